@@ -0,0 +1,26 @@
+/*
+analyser.js
+Extra analysers on a signal. An AnalyserNode passes its input straight
+through, so any number of them can hang off the shared one, each with its
+own FFT size and smoothing (the analysis engine, analysis.js, keeps one per
+setting the visualizers ask for).
+
+tapAnalyser(source, { fftSize, smoothing }) -> { analyser, release() }
+  source   AnalyserNode (or any AudioNode) carrying the signal
+  release  disconnects the tap again
+*/
+
+export const FFT_SIZES = [256, 512, 1024, 2048, 4096, 8192];
+
+export function tapAnalyser(source, { fftSize = 2048, smoothing = 0.8 } = {}) {
+  const analyser = source.context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothing;
+  source.connect(analyser);
+  return {
+    analyser,
+    release() {
+      try { source.disconnect(analyser); } catch { /* already gone with the source */ }
+    },
+  };
+}
@@ -0,0 +1,284 @@
+/*
+analysis.js
+One analysis clock for all live visualizers. A single requestAnimationFrame
+loop pulls the analyser data once per frame and publishes it to every
+subscriber, instead of each visualizer running its own loop.
+
+createAnalysisEngine({ getSource, getTime, getFeed, getBeats, budget })
+  getSource  -> AnalyserNode carrying the imported audio, or null
+  getTime    -> seconds on the audio clock
+  getFeed    -> song feed (video/songFeed.js) while our song plays, or null
+  getBeats   -> { beats, downbeats, position } while audio with a beat grid
+             (beats.js) plays: the grid in seconds and the playback
+             position in the same buffer; null otherwise
+  budget     ms per frame the subscribers may take on average; above it the
+             engine publishes every 2nd, 3rd or 4th frame only
+-> engine { start(), stop(), subscribe(fn, { fftSize, smoothing, fps, stereo }) -> unsubscribe }
+createMonitorBus(ctx) -> stereo GainNode into ctx.destination; route all
+  playback through it and hand it to getSource so every view hears the same
+  signal, in stereo
+
+fn(frame) is called on every published frame, and once with null on stop()
+so visualizers can go idle:
+  frame = { time, feed, sampleRate,
+            freq, wave   byte frequency / time-domain data at the
+                         subscriber's fftSize and smoothing (null without a
+                         source); shared and overwritten next frame
+            bands        { bass, mid, high } energies 0..1
+            left, right  Float32Array time-domain data per channel, from a
+                         channel splitter (only for `stereo` subscribers)
+            rms, peak    0..1 of the raw signal
+            onset        true if a spectral-flux onset was detected since
+                         the subscriber's previous frame
+            beat, downbeat  true if playback passed a beat / downbeat of
+                         the grid since the subscriber's previous frame
+            beatPhase    0..1 through the current beat, 0 without a grid }
+Subscribers sharing an fftSize / smoothing share one analyser tap
+(analyser.js); `fps` caps how often a subscriber is called.
+*/
+import { tapAnalyser } from "./analyser";
+
+const CORE_FFT = 2048;
+const BAND_EDGES = { bass: [20, 250], mid: [250, 4000], high: [4000, 16000] }; // Hz
+const FLUX_HISTORY = 30;   // frames of flux the onset threshold averages
+const ONSET_RATIO = 1.5;   // flux above this times the recent mean is an onset
+const ONSET_FLOOR = 2;     // ...and above this absolute flux (byte units per bin)
+const ONSET_GAP = 0.1;     // s between onsets
+const STEREO_FFT = 2048;
+const MAX_STRIDE = 4;
+const TAP_IDLE_FRAMES = 120;
+const BEAT_LATE = 0.1;     // s after a beat it still counts as just passed (not a seek past it)
+
+const SILENT = { bass: 0, mid: 0, high: 0 };
+const NO_BEAT = { beat: false, downbeat: false, beatPhase: 0 };
+
+// index of the last time in ascending `times` at or before `t`, or -1
+function lastAtOrBefore(times, t) {
+  let lo = 0, hi = times.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (times[mid] <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo - 1;
+}
+
+export function createAnalysisEngine({ getSource, getTime, getFeed, getBeats, budget = 6 }) {
+  const subscribers = new Set();
+  const taps = new Map(); // "fftSize:smoothing" -> { tap, freq, wave, pulled (frame no) }
+  let source = null;
+  let core = null;        // raw tap for bands, levels and onsets
+  let stereo = null;      // splitter + left / right analysers, made on demand
+  let raf = 0;
+  let frameNo = 0;
+  let stride = 1;
+  let cost = 0;           // moving average of ms spent per published frame
+  let prevFreq = null;
+  let fluxes = [];
+  let lastOnset = -Infinity;
+  let lastBeat = -1;      // grid index of the beat last reported
+
+  const release = () => {
+    for (const t of taps.values()) t.tap.release();
+    taps.clear();
+    core?.tap.release();
+    core = null;
+    if (stereo) {
+      try { source.disconnect(stereo.splitter); } catch { /* already gone with the source */ }
+      stereo = null;
+    }
+    source = null;
+    prevFreq = null;
+    fluxes = [];
+  };
+
+  // (re)build taps when the source node changes, e.g. a new import or a seek
+  const attach = () => {
+    const next = getSource() || null;
+    if (next === source) return;
+    release();
+    source = next;
+    if (!source) return;
+    const tap = tapAnalyser(source, { fftSize: CORE_FFT, smoothing: 0 });
+    core = {
+      tap,
+      freq: new Uint8Array(tap.analyser.frequencyBinCount),
+      samples: new Float32Array(tap.analyser.fftSize),
+    };
+  };
+
+  const tapFor = (fftSize, smoothing) => {
+    const key = `${fftSize}:${smoothing}`;
+    let t = taps.get(key);
+    if (!t) {
+      const tap = tapAnalyser(source, { fftSize, smoothing });
+      t = { tap, freq: new Uint8Array(tap.analyser.frequencyBinCount), wave: new Uint8Array(fftSize), pulled: -1 };
+      taps.set(key, t);
+    }
+    if (t.pulled !== frameNo) {
+      t.tap.analyser.getByteFrequencyData(t.freq);
+      t.tap.analyser.getByteTimeDomainData(t.wave);
+      t.pulled = frameNo;
+    }
+    return t;
+  };
+
+  const stereoFor = () => {
+    if (!stereo) {
+      const ctx = source.context;
+      const splitter = ctx.createChannelSplitter(2);
+      source.connect(splitter);
+      const side = (ch) => {
+        const analyser = ctx.createAnalyser();
+        analyser.fftSize = STEREO_FFT;
+        splitter.connect(analyser, ch);
+        return { analyser, data: new Float32Array(STEREO_FFT) };
+      };
+      stereo = { splitter, left: side(0), right: side(1), pulled: -1 };
+    }
+    if (stereo.pulled !== frameNo) {
+      stereo.left.analyser.getFloatTimeDomainData(stereo.left.data);
+      stereo.right.analyser.getFloatTimeDomainData(stereo.right.data);
+      stereo.pulled = frameNo;
+    }
+    return stereo;
+  };
+
+  const measure = (time) => {
+    if (!core) return { bands: SILENT, rms: 0, peak: 0, onset: false };
+    const { analyser } = core.tap;
+    analyser.getByteFrequencyData(core.freq);
+    analyser.getFloatTimeDomainData(core.samples);
+
+    let sum = 0, peak = 0;
+    for (const s of core.samples) {
+      sum += s * s;
+      peak = Math.max(peak, Math.abs(s));
+    }
+
+    const binHz = analyser.context.sampleRate / analyser.fftSize;
+    const bands = {};
+    for (const [name, [lo, hi]] of Object.entries(BAND_EDGES)) {
+      const from = Math.max(1, Math.round(lo / binHz));
+      const to = Math.min(core.freq.length, Math.round(hi / binHz));
+      let e = 0;
+      for (let i = from; i < to; i++) e += core.freq[i];
+      bands[name] = to > from ? e / (to - from) / 255 : 0;
+    }
+
+    // spectral flux against an adaptive threshold
+    let flux = 0;
+    if (prevFreq) {
+      for (let i = 0; i < core.freq.length; i++) flux += Math.max(0, core.freq[i] - prevFreq[i]);
+      flux /= core.freq.length;
+    } else {
+      prevFreq = new Uint8Array(core.freq.length);
+    }
+    prevFreq.set(core.freq);
+    const mean = fluxes.length ? fluxes.reduce((a, b) => a + b, 0) / fluxes.length : Infinity;
+    fluxes.push(flux);
+    if (fluxes.length > FLUX_HISTORY) fluxes.shift();
+    const onset = flux > mean * ONSET_RATIO && flux > ONSET_FLOOR && time - lastOnset > ONSET_GAP;
+    if (onset) lastOnset = time;
+
+    return { bands, rms: Math.sqrt(sum / core.samples.length), peak: Math.min(1, peak), onset };
+  };
+
+  // beats come from the grid, not the signal, so seeks and loops follow them
+  const beatAt = () => {
+    const grid = getBeats?.();
+    if (!grid?.beats.length) {
+      lastBeat = -1;
+      return NO_BEAT;
+    }
+    const { beats, downbeats, position } = grid;
+    const i = lastAtOrBefore(beats, position);
+    const beat = i >= 0 && i !== lastBeat && position - beats[i] < BEAT_LATE;
+    lastBeat = i;
+    const next = beats[i + 1];
+    return {
+      beat,
+      downbeat: beat && downbeats[lastAtOrBefore(downbeats, position)] === beats[i],
+      beatPhase: i >= 0 && next != null ? (position - beats[i]) / (next - beats[i]) : 0,
+    };
+  };
+
+  const tick = () => {
+    raf = requestAnimationFrame(tick);
+    frameNo++;
+    if (frameNo % stride) return;
+
+    const started = performance.now();
+    attach();
+    const time = getTime();
+    const shared = { time, feed: getFeed() || null, sampleRate: source?.context.sampleRate ?? 0, ...measure(time), ...beatAt() };
+    for (const sub of subscribers) {
+      // events are held until a rate-capped subscriber gets a frame
+      sub.onset ||= shared.onset;
+      sub.beat ||= shared.beat;
+      sub.downbeat ||= shared.downbeat;
+      if (started - sub.last < sub.interval) continue;
+      sub.last = started;
+      const t = source ? tapFor(sub.fftSize, sub.smoothing) : null;
+      const lr = source && sub.stereo ? stereoFor() : null;
+      sub.fn({
+        ...shared,
+        onset: sub.onset,
+        beat: sub.beat,
+        downbeat: sub.downbeat,
+        freq: t?.freq ?? null,
+        wave: t?.wave ?? null,
+        left: lr?.left.data ?? null,
+        right: lr?.right.data ?? null,
+      });
+      sub.onset = sub.beat = sub.downbeat = false;
+    }
+
+    // drop taps nobody has read for a while (a visualizer changed its FFT size)
+    for (const [key, t] of taps) {
+      if (frameNo - t.pulled > TAP_IDLE_FRAMES) {
+        t.tap.release();
+        taps.delete(key);
+      }
+    }
+
+    // back off when the subscribers take too long, recover when well under
+    cost = cost * 0.9 + (performance.now() - started) * 0.1;
+    if (cost > budget && stride < MAX_STRIDE) stride++;
+    else if (cost < budget / 2 && stride > 1) stride--;
+  };
+
+  return {
+    start() {
+      if (!raf) raf = requestAnimationFrame(tick);
+    },
+    stop() {
+      cancelAnimationFrame(raf);
+      raf = 0;
+      stride = 1;
+      cost = 0;
+      lastOnset = -Infinity;
+      lastBeat = -1;
+      release();
+      for (const sub of subscribers) sub.fn(null);
+    },
+    subscribe(fn, { fftSize = CORE_FFT, smoothing = 0.8, fps = 60, stereo: wantStereo = false } = {}) {
+      const sub = {
+        fn, fftSize, smoothing, stereo: wantStereo, interval: 1000 / fps - 2, last: -Infinity,
+        onset: false, beat: false, downbeat: false,
+      };
+      subscribers.add(sub);
+      return () => subscribers.delete(sub);
+    },
+  };
+}
+
+export function createMonitorBus(ctx) {
+  const bus = ctx.createGain();
+  // always two channels, so mono sources reach both sides of the split
+  bus.channelCount = 2;
+  bus.channelCountMode = "explicit";
+  bus.channelInterpretation = "speakers";
+  bus.connect(ctx.destination);
+  return bus;
+}
@@ -0,0 +1,260 @@
+/*
+beats.js
+Offline beat and tempo detection for imported audio: an onset envelope from
+log-magnitude spectral flux, tempo by autocorrelation of that envelope, beat
+positions by dynamic programming against the tempo (Ellis 2007), and
+downbeats as the bar phase with the most low-end onsets (4/4 assumed).
+
+detectBeats(buffer, { onProgress, signal }) -> Promise<result>, run in
+  beats.worker.js; aborting terminates the worker and rejects with an
+  AbortError
+analyzeBeats(channels, sampleRate, { onProgress }) -> result, the same on
+  Float32Array channel data, synchronously
+result = { bpm, beats, downbeats, onsets }
+  bpm        from a straight-line fit through the beats, 0 when no tempo
+             was found
+  beats      seconds, ascending; downbeats are a subset of them
+  onsets     seconds of the envelope peaks
+*/
+import { fft, blackman } from "./fft";
+
+const TARGET_RATE = 11025;   // Hz the signal is decimated towards
+const FRAME = 512;
+const HOP = 128;
+const BASS_HZ = 200;         // flux below this drives the downbeat choice
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PRIOR_BPM = 120;       // centre of the tempo preference...
+const PRIOR_OCTAVES = 1;     // ...and its width
+const TIGHTNESS = 100;       // how hard beats are held to the tempo
+const BEATS_PER_BAR = 4;
+const ONSET_GAP = 0.05;      // s between onsets
+
+export function analyzeBeats(channels, sampleRate, { onProgress } = {}) {
+  const factor = Math.max(1, Math.round(sampleRate / TARGET_RATE));
+  const rate = sampleRate / factor;
+  const fps = rate / HOP;
+  const mono = downmix(channels, factor);
+  const { flux, bass } = onsetEnvelope(mono, rate, onProgress);
+  const env = normalize(highpass(flux, Math.round(fps / 2)));
+  const timeOf = (frame) => (frame * HOP + FRAME / 2) / rate;
+
+  const onsets = pickPeaks(env, Math.max(1, Math.round(ONSET_GAP * fps))).map(timeOf);
+  const period = tempoPeriod(env, fps);
+  if (!period || !onsets.length) return { bpm: 0, beats: [], downbeats: [], onsets };
+
+  // no beats in the silence before the first onset or after the last
+  const first = onsets[0] - (0.5 * period) / fps;
+  const last = onsets[onsets.length - 1] + (0.5 * period) / fps;
+  const frames = trackBeats(env, period).filter(f => timeOf(f) >= first && timeOf(f) <= last);
+  const beats = frames.map(timeOf);
+
+  const interval = beats.length > 2 ? beatInterval(beats) : period / fps;
+  const bpm = Math.round(600 / interval) / 10;
+
+  const phase = barPhase(frames, bass);
+  return { bpm, beats, downbeats: beats.filter((_, i) => i % BEATS_PER_BAR === phase), onsets };
+}
+
+export function detectBeats(buffer, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("Beat detection cancelled", "AbortError");
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const worker = new Worker(new URL("./beats.worker.js", import.meta.url), { type: "module" });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    worker.onmessage = (e) => {
+      if (e.data.progress != null) {
+        onProgress?.(e.data.progress);
+      } else if (e.data.error) {
+        finish();
+        reject(new Error(e.data.error));
+      } else {
+        finish();
+        resolve(e.data.result);
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || "Beat detection worker failed"));
+    };
+
+    // copies, so the transfer doesn't detach the AudioBuffer's own storage
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+    worker.postMessage({ channels, sampleRate: buffer.sampleRate }, channels.map(data => data.buffer));
+  });
+}
+
+// mono, averaged over `factor` samples (a crude low-pass before decimating)
+function downmix(channels, factor) {
+  const length = Math.floor(channels[0].length / factor);
+  const out = new Float32Array(length);
+  const scale = 1 / (factor * channels.length);
+  for (const data of channels) {
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let j = i * factor, end = j + factor; j < end; j++) sum += data[j];
+      out[i] += sum * scale;
+    }
+  }
+  return out;
+}
+
+// half-wave rectified flux of log magnitudes, over all bins and the bass bins
+function onsetEnvelope(samples, rate, onProgress) {
+  const count = Math.max(0, Math.floor((samples.length - FRAME) / HOP) + 1);
+  const flux = new Float32Array(count);
+  const bass = new Float32Array(count);
+  const bins = FRAME / 2;
+  const bassBins = Math.max(2, Math.round((BASS_HZ / rate) * FRAME));
+  const window = blackman(FRAME);
+  const re = new Float32Array(FRAME);
+  const im = new Float32Array(FRAME);
+  let prev = new Float32Array(bins);
+  let mags = new Float32Array(bins);
+
+  for (let f = 0; f < count; f++) {
+    const offset = f * HOP;
+    for (let i = 0; i < FRAME; i++) re[i] = samples[offset + i] * window[i];
+    im.fill(0);
+    fft(re, im);
+    let all = 0, low = 0;
+    for (let k = 1; k < bins; k++) {
+      mags[k] = Math.log1p(100 * Math.hypot(re[k], im[k]));
+      const rise = f ? Math.max(0, mags[k] - prev[k]) : 0;
+      all += rise;
+      if (k < bassBins) low += rise;
+    }
+    flux[f] = all;
+    bass[f] = low;
+    [prev, mags] = [mags, prev];
+    if (onProgress && f % 2048 === 0) onProgress(f / count);
+  }
+  onProgress?.(1);
+  return { flux, bass };
+}
+
+// minus the moving average over ±radius frames, clipped at zero
+function highpass(env, radius) {
+  const out = new Float32Array(env.length);
+  let sum = 0, lo = 0, hi = 0;
+  for (let i = 0; i < env.length; i++) {
+    while (hi < env.length && hi <= i + radius) sum += env[hi++];
+    while (lo < i - radius) sum -= env[lo++];
+    out[i] = Math.max(0, env[i] - sum / (hi - lo));
+  }
+  return out;
+}
+
+function normalize(env) {
+  let sum = 0;
+  for (const v of env) sum += v * v;
+  const rms = Math.sqrt(sum / Math.max(1, env.length));
+  if (rms > 1e-9) for (let i = 0; i < env.length; i++) env[i] /= rms;
+  return env;
+}
+
+// local maxima above the local mean, at least `gap` frames apart
+function pickPeaks(env, gap) {
+  const peaks = [];
+  const radius = gap * 4;
+  for (let i = 1; i < env.length - 1; i++) {
+    if (env[i] < 0.5 || env[i] < env[i - 1] || env[i] <= env[i + 1]) continue;
+    let sum = 0, n = 0;
+    for (let j = Math.max(0, i - radius); j < Math.min(env.length, i + radius + 1); j++, n++) sum += env[j];
+    if (env[i] < sum / n + 0.5) continue;
+    if (peaks.length && i - peaks[peaks.length - 1] < gap) {
+      if (env[i] > env[peaks[peaks.length - 1]]) peaks[peaks.length - 1] = i;
+      continue;
+    }
+    peaks.push(i);
+  }
+  return peaks;
+}
+
+// beat period in frames: the autocorrelation peak, weighted towards PRIOR_BPM
+function tempoPeriod(env, fps) {
+  const minLag = Math.floor((60 * fps) / MAX_BPM);
+  const maxLag = Math.ceil((60 * fps) / MIN_BPM);
+  if (env.length < maxLag * 2) return 0;
+  const ac = new Float32Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < env.length; i++) sum += env[i] * env[i - lag];
+    ac[lag] = sum / (env.length - lag);
+  }
+  let best = 0, score = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const octaves = Math.log2((60 * fps) / lag / PRIOR_BPM) / PRIOR_OCTAVES;
+    const s = ac[lag] * Math.exp(-0.5 * octaves * octaves);
+    if (s > score) { score = s; best = lag; }
+  }
+  if (!best) return 0;
+  // parabolic interpolation around the peak for a fractional period
+  const a = ac[best - 1], b = ac[best], c = ac[best + 1];
+  const d = a - 2 * b + c;
+  return d < 0 ? best + (0.5 * (a - c)) / d : best;
+}
+
+// best-scoring chain of onsets spaced about one period apart
+function trackBeats(env, period) {
+  const n = env.length;
+  const score = new Float32Array(n);
+  const back = new Int32Array(n).fill(-1);
+  for (let t = 0; t < n; t++) {
+    let best = 0, from = -1;
+    const lo = Math.max(0, Math.round(t - 2 * period));
+    const hi = Math.round(t - period / 2);
+    for (let p = lo; p <= hi; p++) {
+      const drift = Math.log((t - p) / period);
+      const s = score[p] - TIGHTNESS * drift * drift;
+      if (from < 0 || s > best) { best = s; from = p; }
+    }
+    score[t] = env[t] + (from >= 0 ? best : 0);
+    back[t] = from;
+  }
+
+  // end on the best score within the last period, then walk back
+  let t = -1;
+  for (let i = Math.max(0, n - Math.ceil(period)); i < n; i++) if (t < 0 || score[i] > score[t]) t = i;
+  const frames = [];
+  for (; t >= 0; t = back[t]) frames.push(t);
+  return frames.reverse();
+}
+
+// slope of the least-squares line through (beat number, time), finer than
+// any single interval, which is quantized to the hop size
+function beatInterval(beats) {
+  const n = beats.length;
+  const meanI = (n - 1) / 2;
+  const meanT = beats.reduce((a, b) => a + b, 0) / n;
+  let cov = 0, v = 0;
+  beats.forEach((t, i) => {
+    cov += (i - meanI) * (t - meanT);
+    v += (i - meanI) * (i - meanI);
+  });
+  return cov / v;
+}
+
+// which of the BEATS_PER_BAR positions carries the most bass onsets
+function barPhase(frames, bass) {
+  const sums = new Float32Array(BEATS_PER_BAR);
+  frames.forEach((f, i) => {
+    let v = 0;
+    for (let j = Math.max(0, f - 2); j <= Math.min(bass.length - 1, f + 2); j++) v = Math.max(v, bass[j]);
+    sums[i % BEATS_PER_BAR] += v;
+  });
+  return sums.indexOf(Math.max(...sums));
+}
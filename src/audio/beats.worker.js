@@ -0,0 +1,19 @@
+/*
+beats.worker.js
+Beat and tempo detection (beats.js analyzeBeats) off the main thread.
+
+postMessage({ channels: Float32Array[], sampleRate })
+  -> { progress: 0..1 } while analyzing, then { result } or { error }
+Cancel by terminating the worker.
+*/
+import { analyzeBeats } from "./beats";
+
+self.onmessage = (e) => {
+  try {
+    const { channels, sampleRate } = e.data;
+    const result = analyzeBeats(channels, sampleRate, { onProgress: progress => self.postMessage({ progress }) });
+    self.postMessage({ result });
+  } catch (err) {
+    self.postMessage({ error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,17 @@
+/*
+clock.worker.js
+Steady tick for the playback scheduler. Timers in a worker keep running at
+their interval when the tab is in the background, where main-thread timers
+are throttled to once a second or worse.
+
+postMessage({ interval })  start / restart ticking every `interval` ms
+postMessage({ stop: true }) stop ticking
+*/
+let timer = null;
+
+self.onmessage = (e) => {
+  clearInterval(timer);
+  timer = null;
+  if (e.data?.stop) return;
+  timer = setInterval(() => self.postMessage("tick"), e.data?.interval || 25);
+};
@@ -0,0 +1,49 @@
+/*
+fft.js
+In-place radix-2 FFT and the Blackman window AnalyserNode uses, for
+analysis that has to run outside the audio graph (offline video frames).
+
+fft(re, im)       transforms two Float32Arrays of the same power-of-two length
+blackman(size)    -> Float32Array window (alpha 0.16, as in the Web Audio spec)
+*/
+
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const angle = -2 * Math.PI / len;
+    const wr = Math.cos(angle), wi = Math.sin(angle);
+    const half = len >> 1;
+    for (let i = 0; i < n; i += len) {
+      let cr = 1, ci = 0;
+      for (let k = 0; k < half; k++) {
+        const a = i + k, b = a + half;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr; im[b] = im[a] - ti;
+        re[a] += tr; im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+export function blackman(size) {
+  const a0 = 0.42, a1 = 0.5, a2 = 0.08;
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const x = 2 * Math.PI * i / size;
+    w[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+  }
+  return w;
+}
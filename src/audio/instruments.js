@@ -0,0 +1,418 @@
+/*
+instruments.js
+Instrument bank + voice triggering shared by live playback and renderToBuffer.
+
+Slots are numbered from 1 in the pattern's instr column ("01".."10"), index 0
+of the array is slot 01.
+
+  synth:  { type: "synth", name, wave, pulseWidth, volume,
+            attack, decay, sustain, release,                  — amp ADSR, seconds / 0..1
+            voices, detune,                                   — unison count, spread in cents
+            filter: { type, cutoff, resonance, envAmount,     — envAmount in octaves
+                      attack, decay, sustain, release } }
+  sample: { type: "sample", name, buffer: AudioBuffer,
+            baseNote: "C-4", fineTune: cents,
+            volume: 0..1,                                     — fixed gain of the sample, on top of the channel volume
+            defaultVolume: 0..1,                              — channel volume a note or instrument number loads (MOD / XM sample volume)
+            loopMode: "none" | "forward" | "pingpong",
+            loopStart, loopEnd, panning }                     — loop points in sample frames, pan -1..1 or null
+  multi:  { type: "multi", name, samples: [sample, ...],      — XM style multi-sample instrument
+            keymap: [96 sample indices, from C-0],
+            volEnv, panEnv: { points: [[tick, 0..64], ...],
+                              on, sustainOn, sustain, loopOn, loopStart, loopEnd } | null,
+            fadeout }                                         — volume lost per tick after key-off, /65536
+
+startVoice() only needs a BaseAudioContext, so the same code drives an
+AudioContext and an OfflineAudioContext and playback matches the export.
+Envelope and fadeout times are in sequencer ticks, so note events carry the
+tick length they were played at.
+
+keymapSample(inst, midi) -> the part of a multi-sample instrument that plays
+MIDI note `midi`.
+*/
+import { freqToMidi, noteToFreq } from "./notes";
+import { parseHex } from "./pattern";
+
+export const INSTRUMENT_SLOTS = 16;
+export const LOOP_MODES = ["none", "forward", "pingpong"];
+export const WAVEFORMS = ["sine", "square", "sawtooth", "triangle", "pulse", "noise"];
+export const FILTER_TYPES = ["off", "lowpass", "highpass", "bandpass"];
+
+// per-voice headroom so eight channels of full-volume synth do not clip
+const SYNTH_GAIN = 0.12;
+
+// Defaults reproduce the original short saw blip.
+export const SYNTH_DEFAULTS = {
+  wave: "sawtooth",
+  pulseWidth: 0.5,
+  volume: 1,
+  attack: 0.005,
+  decay: 0.1,
+  sustain: 0,
+  release: 0.02,
+  voices: 1,
+  detune: 0,
+  filter: { type: "off", cutoff: 2000, resonance: 1, envAmount: 0, attack: 0.005, decay: 0.2, sustain: 0, release: 0.05 },
+};
+
+export const makeSynthInstrument = (name = "saw / demo") => ({
+  type: "synth",
+  name,
+  ...SYNTH_DEFAULTS,
+  filter: { ...SYNTH_DEFAULTS.filter },
+});
+
+export const makeInstruments = (count = INSTRUMENT_SLOTS) =>
+  Array.from({ length: count }, () => makeSynthInstrument());
+
+export const makeSampleInstrument = (buffer, name = "sample") => ({
+  type: "sample",
+  name,
+  buffer,
+  baseNote: "C-4",
+  fineTune: 0,
+  volume: 1,
+  defaultVolume: 1,
+  loopMode: "none",
+  loopStart: 0,
+  loopEnd: buffer ? buffer.length : 0,
+  panning: null,
+});
+
+export const makeMultiInstrument = (name, samples, keymap) => ({
+  type: "multi",
+  name,
+  samples,
+  keymap: keymap || Array(96).fill(0),
+  volEnv: null,
+  panEnv: null,
+  fadeout: 0,
+});
+
+// Short label for the instrument slot list.
+export const keymapSample = (inst, midi) =>
+  inst.samples[inst.keymap[Math.max(0, Math.min(95, Math.round(midi) - 12))] ?? 0] || inst.samples[0];
+
+export function instrumentLabel(inst) {
+  if (inst.type === "sample") return `${inst.name} / sample`;
+  if (inst.type === "multi") return `${inst.name} / ${inst.samples.length} smp`;
+  return inst.name;
+}
+
+// Instrument slot number referenced by a cell, or null for "--".
+export const cellInstrument = (cell) => parseHex(cell?.instr);
+
+// Cell volume column (00..40 hex) as a 0..1 gain, 1 when empty.
+export const cellVolume = (cell) => {
+  const v = parseHex(cell?.vol);
+  return v == null ? 1 : Math.min(64, v) / 64;
+};
+
+// Web Audio only loops forwards, so ping-pong loops are unrolled once into a
+// new buffer: [0 .. loopEnd) followed by the loop played backwards.
+const pingPongCache = new WeakMap();
+function pingPongBuffer(inst) {
+  const { buffer, loopStart, loopEnd } = inst;
+  const key = `${loopStart}:${loopEnd}`;
+  const cached = pingPongCache.get(buffer);
+  if (cached?.key === key) return cached.buffer;
+
+  const loopLen = loopEnd - loopStart;
+  const out = new AudioBuffer({
+    length: loopEnd + loopLen,
+    numberOfChannels: buffer.numberOfChannels,
+    sampleRate: buffer.sampleRate,
+  });
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const src = buffer.getChannelData(ch);
+    const dst = out.getChannelData(ch);
+    dst.set(src.subarray(0, loopEnd));
+    for (let i = 0; i < loopLen; i++) dst[loopEnd + i] = src[loopEnd - 1 - i];
+  }
+  pingPongCache.set(buffer, { key, buffer: out });
+  return out;
+}
+
+// Fade a gain param to silence from `at`, keeping whatever level the
+// envelope had reached (cancelAndHoldAtTime is missing in Firefox).
+function release(param, at, fade = 0.005) {
+  if (param.cancelAndHoldAtTime) param.cancelAndHoldAtTime(at);
+  else param.cancelScheduledValues(at);
+  param.linearRampToValueAtTime(0, at + fade);
+}
+
+// Looping white noise, one buffer per context.
+const noiseCache = new WeakMap();
+function noiseBuffer(ctx) {
+  let buf = noiseCache.get(ctx);
+  if (!buf) {
+    buf = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    noiseCache.set(ctx, buf);
+  }
+  return buf;
+}
+
+// Band-limited pulse of the given duty cycle from its Fourier series.
+const pulseCache = new WeakMap();
+function pulseWave(ctx, width) {
+  const w = Math.max(0.01, Math.min(0.99, Math.round(width * 100) / 100));
+  let waves = pulseCache.get(ctx);
+  if (!waves) pulseCache.set(ctx, (waves = new Map()));
+  if (!waves.has(w)) {
+    const harmonics = 64;
+    const real = new Float32Array(harmonics);
+    const imag = new Float32Array(harmonics);
+    for (let n = 1; n < harmonics; n++) real[n] = (2 / (n * Math.PI)) * Math.sin(n * Math.PI * w);
+    waves.set(w, ctx.createPeriodicWave(real, imag));
+  }
+  return waves.get(w);
+}
+
+function makeOscillator(ctx, inst, freq, cents) {
+  if (inst.wave === "noise") {
+    const src = ctx.createBufferSource();
+    src.buffer = noiseBuffer(ctx);
+    src.loop = true;
+    return src;
+  }
+  const osc = ctx.createOscillator();
+  if (inst.wave === "pulse") osc.setPeriodicWave(pulseWave(ctx, inst.pulseWidth));
+  else osc.type = inst.wave;
+  osc.frequency.value = freq;
+  osc.detune.value = cents;
+  return osc;
+}
+
+function startSynthVoice(ctx, dest, instrument, freq, time, velocity) {
+  const inst = { ...SYNTH_DEFAULTS, ...instrument, filter: { ...SYNTH_DEFAULTS.filter, ...instrument.filter } };
+  const { attack, decay, sustain, release: rel, filter } = inst;
+
+  const env = ctx.createGain();
+  env.gain.value = 0;
+  let out = env;
+
+  // optional filter with its own envelope on the cutoff, in octaves
+  let biquad = null;
+  if (filter.type !== "off") {
+    biquad = ctx.createBiquadFilter();
+    biquad.type = filter.type;
+    biquad.Q.value = filter.resonance;
+    const nyquist = ctx.sampleRate / 2 - 1;
+    const at = (octaves) => Math.max(20, Math.min(nyquist, filter.cutoff * Math.pow(2, octaves)));
+    const f = biquad.frequency;
+    f.setValueAtTime(at(0), time);
+    f.exponentialRampToValueAtTime(at(filter.envAmount), time + Math.max(0.001, filter.attack));
+    f.exponentialRampToValueAtTime(at(filter.envAmount * filter.sustain), time + Math.max(0.001, filter.attack) + Math.max(0.001, filter.decay));
+    env.connect(biquad);
+    out = biquad;
+  }
+  out.connect(dest);
+
+  // unison: spread voices evenly across +-detune cents
+  const count = inst.wave === "noise" ? 1 : Math.max(1, Math.min(8, inst.voices | 0));
+  const voiceGain = ctx.createGain();
+  voiceGain.gain.value = 1 / Math.sqrt(count);
+  voiceGain.connect(env);
+  const oscs = Array.from({ length: count }, (_, i) => {
+    const cents = count === 1 ? 0 : -inst.detune + (2 * inst.detune * i) / (count - 1);
+    const osc = makeOscillator(ctx, inst, freq, cents);
+    osc.connect(voiceGain);
+    osc.start(time);
+    return osc;
+  });
+
+  // amp ADSR; with zero sustain the voice ends by itself after the decay
+  const peak = SYNTH_GAIN * (inst.volume ?? 1) * velocity;
+  const decayEnd = time + attack + decay;
+  env.gain.setValueAtTime(0, time);
+  env.gain.linearRampToValueAtTime(peak, time + attack);
+  env.gain.linearRampToValueAtTime(peak * sustain, decayEnd);
+  let end = Infinity;
+  if (sustain <= 0) {
+    end = decayEnd;
+    oscs.forEach(o => o.stop(end + 0.02));
+  }
+
+  return {
+    stop(at) {
+      if (at >= end) return;
+      release(env.gain, at, Math.max(0.005, rel));
+      if (biquad) {
+        const f = biquad.frequency;
+        if (f.cancelAndHoldAtTime) f.cancelAndHoldAtTime(at);
+        else f.cancelScheduledValues(at);
+        f.exponentialRampToValueAtTime(Math.max(20, filter.cutoff), at + Math.max(0.005, filter.release));
+      }
+      end = at;
+      oscs.forEach(o => { try { o.stop(at + Math.max(0.005, rel) + 0.01); } catch { /* already stopped */ } });
+    },
+    kill(at) {
+      oscs.forEach(o => { try { o.stop(at); } catch { /* already stopped */ } });
+    },
+    setFreq(at, f) {
+      oscs.forEach(o => o.frequency?.setValueAtTime(f, at));
+    },
+  };
+}
+
+function startSampleVoice(ctx, dest, inst, freq, time, velocity) {
+  const { loopMode, loopStart, loopEnd } = inst;
+  const looped = loopMode !== "none" && loopEnd > loopStart;
+  const src = ctx.createBufferSource();
+  src.buffer = looped && loopMode === "pingpong" ? pingPongBuffer(inst) : inst.buffer;
+  if (looped) {
+    const rate = inst.buffer.sampleRate;
+    src.loop = true;
+    src.loopStart = loopStart / rate;
+    src.loopEnd = (loopMode === "pingpong" ? 2 * loopEnd - loopStart : loopEnd) / rate;
+  }
+
+  const baseFreq = noteToFreq(inst.baseNote) || noteToFreq("C-4");
+  const rateFor = (f) => (f / baseFreq) * Math.pow(2, (inst.fineTune || 0) / 1200);
+  src.playbackRate.value = rateFor(freq);
+
+  const env = ctx.createGain();
+  env.gain.setValueAtTime(velocity * (inst.volume ?? 1), time);
+  src.connect(env).connect(dest);
+  src.start(time);
+
+  return {
+    stop(at) {
+      release(env.gain, at);
+      try { src.stop(at + 0.01); } catch { /* already stopped */ }
+    },
+    kill(at) {
+      try { src.stop(at); } catch { /* already stopped */ }
+    },
+    setFreq(at, f) {
+      src.playbackRate.setValueAtTime(rateFor(f), at);
+    },
+  };
+}
+
+// Envelope value at a tick, linearly interpolated between points.
+function envValueAt(points, tick) {
+  if (!points.length) return 64;
+  if (tick <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x0, y0] = points[i - 1];
+    if (tick <= x1) return x1 === x0 ? y1 : y0 + ((y1 - y0) * (tick - x0)) / (x1 - x0);
+  }
+  return points[points.length - 1][1];
+}
+
+// Ramp `param` through the envelope from tick `from` to `to`, starting at `t0`.
+// Returns the time reached.
+function runEnvelope(param, points, map, t0, tick, from, to) {
+  param.setValueAtTime(map(envValueAt(points, from)), t0);
+  for (const [x, y] of points) {
+    if (x > from && x <= to) param.linearRampToValueAtTime(map(y), t0 + (x - from) * tick);
+  }
+  return t0 + (to - from) * tick;
+}
+
+const ENV_HORIZON = 60; // seconds of envelope loop scheduled ahead
+
+// Attack phase of an XM envelope: up to the sustain point (held there until
+// key-off), or through the loop repeated up to ENV_HORIZON.
+function startEnvelope(param, env, map, time, tick) {
+  const { points } = env;
+  const last = points[points.length - 1][0];
+  const susX = env.sustainOn ? points[env.sustain]?.[0] : null;
+  if (env.loopOn && points[env.loopEnd] && points[env.loopStart]) {
+    const ls = points[env.loopStart][0];
+    const le = points[env.loopEnd][0];
+    if (susX != null && susX <= le) return runEnvelope(param, points, map, time, tick, 0, susX);
+    let t = runEnvelope(param, points, map, time, tick, 0, le);
+    while (le > ls && t < time + ENV_HORIZON) t = runEnvelope(param, points, map, t, tick, ls, le);
+    return t;
+  }
+  return runEnvelope(param, points, map, time, tick, 0, susX ?? last);
+}
+
+function startMultiVoice(ctx, dest, inst, freq, time, { tick = 0.02, midi } = {}) {
+  const m = midi ?? freqToMidi(freq);
+  const sample = keymapSample(inst, m);
+  if (!sample?.buffer) return startSynthVoice(ctx, dest, makeSynthInstrument(), freq, time, 0);
+
+  const volEnv = inst.volEnv?.on && inst.volEnv.points.length ? inst.volEnv : null;
+  const panEnv = inst.panEnv?.on && inst.panEnv.points.length ? inst.panEnv : null;
+
+  // sample -> envelope gain -> fadeout gain -> panner -> dest
+  const env = ctx.createGain();
+  const fade = ctx.createGain();
+  const pan = ctx.createStereoPanner();
+  env.connect(fade).connect(pan).connect(dest);
+  const voice = startSampleVoice(ctx, env, sample, freq, time, 1);
+
+  const toGain = (v) => v / 64;
+  const toPan = (v) => (v - 32) / 32;
+  if (volEnv) startEnvelope(env.gain, volEnv, toGain, time, tick);
+  if (panEnv) startEnvelope(pan.pan, panEnv, toPan, time, tick);
+  else pan.pan.setValueAtTime(sample.panning ?? 0, time);
+
+  return {
+    // key-off: continue the envelopes past the sustain point and fade out;
+    // without a volume envelope FT2 simply cuts the note
+    stop(at) {
+      if (!volEnv) {
+        voice.stop(at);
+        return;
+      }
+      let end = Infinity;
+      for (const [e, param, map] of [[volEnv, env.gain, toGain], [panEnv, pan.pan, toPan]]) {
+        if (!e) continue;
+        if (param.cancelAndHoldAtTime) param.cancelAndHoldAtTime(at);
+        else param.cancelScheduledValues(at);
+        const last = e.points[e.points.length - 1];
+        const from = e.sustainOn ? e.points[e.sustain]?.[0] ?? 0 : 0;
+        const t = runEnvelope(param, e.points, map, at, tick, from, last[0]);
+        if (e === volEnv && last[1] === 0) end = t;
+      }
+      if (inst.fadeout > 0) {
+        const fadeEnd = at + (65536 / inst.fadeout) * tick;
+        fade.gain.setValueAtTime(1, at);
+        fade.gain.linearRampToValueAtTime(0, fadeEnd);
+        end = Math.min(end, fadeEnd);
+      }
+      if (end < Infinity) voice.kill(end + 0.01);
+    },
+    kill: voice.kill,
+    setFreq: voice.setFreq,
+  };
+}
+
+/*
+Start a note on `inst` at `freq` Hz. The returned voice has
+  stop(at)          key-off / release
+  cut(at)           silence at once (a new note on the same channel)
+  setFreq(at, hz)   pitch effects
+  setVolume(at, v)  channel volume 0..1, on top of the instrument's envelope
+  setPan(at, p)     channel panning -1..1
+`opts` = { tick, midi, pan } from the sequencer; tick and midi are used by
+multi-sample instruments.
+*/
+export function startVoice(ctx, dest, inst, freq, time, velocity = 1, opts = {}) {
+  const vol = ctx.createGain();
+  const pan = ctx.createStereoPanner();
+  vol.gain.setValueAtTime(velocity, time);
+  const initialPan = opts.pan ?? (inst?.type === "sample" ? inst.panning : null);
+  if (initialPan != null) pan.pan.setValueAtTime(initialPan, time);
+  vol.connect(pan).connect(dest);
+
+  let voice;
+  if (inst?.type === "multi" && inst.samples.length) voice = startMultiVoice(ctx, vol, inst, freq, time, opts);
+  else if (inst?.type === "sample" && inst.buffer) voice = startSampleVoice(ctx, vol, inst, freq, time, 1);
+  else voice = startSynthVoice(ctx, vol, inst || makeSynthInstrument(), freq, time, 1);
+
+  voice.cut = (at) => {
+    release(vol.gain, at);
+    voice.kill(at + 0.01);
+  };
+  voice.setVolume = (at, v) => vol.gain.setValueAtTime(v, at);
+  voice.setPan = (at, p) => pan.pan.setValueAtTime(p, at);
+  return voice;
+}
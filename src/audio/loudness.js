@@ -0,0 +1,150 @@
+/*
+loudness.js
+Loudness measurement and normalization for exports, following ITU-R BS.1770-4
+/ EBU R128:
+
+- integrated loudness (LUFS): K-weighting (high shelf + high pass), mean
+  square over 400 ms blocks with 75 % overlap, absolute gate at -70 LUFS and
+  relative gate 10 LU below the ungated level;
+- true peak (dBTP): 4x oversampled peak using a windowed-sinc interpolator.
+  Only neighbourhoods within 6 dB of the sample peak are oversampled, since
+  inter-sample overs further below it don't decide the maximum.
+
+normalizeLoudness(buffer, { target, ceiling }) returns a new AudioBuffer
+scaled to `target` LUFS, or less if that would push the true peak over
+`ceiling` dBTP, with a report of the levels before and after.
+*/
+
+export const LOUDNESS_TARGETS = [-9, -14, -16, -18, -23];
+
+const toDb = (v) => (v > 0 ? 20 * Math.log10(v) : -Infinity);
+
+// BS.1770 K-weighting as two biquads, recomputed for any sample rate
+function kWeightingCoefficients(fs) {
+  let f0 = 1681.974450955533, G = 3.999843853973347, Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI * f0 / fs);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+  };
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / fs);
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0],
+  };
+  return [shelf, highpass];
+}
+
+function biquad(input, { b, a }) {
+  const out = new Float32Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    out[i] = y;
+  }
+  return out;
+}
+
+export function integratedLoudness(buffer) {
+  const fs = buffer.sampleRate;
+  const [shelf, highpass] = kWeightingCoefficients(fs);
+  const weighted = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    weighted.push(biquad(biquad(buffer.getChannelData(c), shelf), highpass));
+  }
+
+  // mean square per 100 ms step, then 400 ms blocks = 4 consecutive steps
+  const step = Math.round(fs * 0.1);
+  const steps = Math.floor(buffer.length / step);
+  const power = new Float64Array(steps);
+  for (const data of weighted) {
+    for (let s = 0; s < steps; s++) {
+      let sum = 0;
+      for (let i = s * step; i < (s + 1) * step; i++) sum += data[i] * data[i];
+      power[s] += sum / step;
+    }
+  }
+  const blocks = [];
+  for (let s = 0; s + 4 <= steps; s++) blocks.push((power[s] + power[s + 1] + power[s + 2] + power[s + 3]) / 4);
+
+  const lufs = (p) => -0.691 + 10 * Math.log10(p);
+  const mean = (list) => list.reduce((n, p) => n + p, 0) / list.length;
+  const absolute = blocks.filter(p => lufs(p) > -70);
+  if (!absolute.length) return -Infinity;
+  const relativeGate = lufs(mean(absolute)) - 10;
+  const gated = absolute.filter(p => lufs(p) > relativeGate);
+  return gated.length ? lufs(mean(gated)) : -Infinity;
+}
+
+// 4x interpolation kernel: phases 1..3 between two samples, TAPS each side
+const TAPS = 12;
+const KERNEL = [1, 2, 3].map(p => {
+  const frac = p / 4;
+  const k = new Float32Array(TAPS * 2);
+  for (let j = 0; j < TAPS * 2; j++) {
+    const t = j - TAPS + 1 - frac;
+    const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+    const w = 0.5 + 0.5 * Math.cos(Math.PI * t / TAPS);
+    k[j] = sinc * w;
+  }
+  return k;
+});
+
+export function truePeak(buffer) {
+  let peak = 0;
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const data = buffer.getChannelData(c);
+    let samplePeak = 0;
+    for (let i = 0; i < data.length; i++) samplePeak = Math.max(samplePeak, Math.abs(data[i]));
+    peak = Math.max(peak, samplePeak);
+    const near = samplePeak / 2;
+    for (let i = TAPS - 1; i < data.length - TAPS; i++) {
+      if (Math.abs(data[i]) < near && Math.abs(data[i + 1]) < near) continue;
+      for (const k of KERNEL) {
+        let v = 0;
+        for (let j = 0; j < k.length; j++) v += k[j] * data[i - TAPS + 1 + j];
+        peak = Math.max(peak, Math.abs(v));
+      }
+    }
+  }
+  return toDb(peak);
+}
+
+export const measureLoudness = (buffer) => ({ lufs: integratedLoudness(buffer), truePeak: truePeak(buffer) });
+
+/*
+normalizeLoudness(buffer, { target = -14, ceiling = -1 })
+  -> { buffer, gain (dB), before: { lufs, truePeak }, after: { lufs, truePeak }, peakLimited }
+*/
+export function normalizeLoudness(buffer, { target = -14, ceiling = -1 } = {}) {
+  const before = measureLoudness(buffer);
+  if (!Number.isFinite(before.lufs)) return { buffer, gain: 0, before, after: before, peakLimited: false };
+
+  let gainDb = target - before.lufs;
+  const peakLimited = before.truePeak + gainDb > ceiling;
+  if (peakLimited) gainDb = ceiling - before.truePeak;
+
+  const g = Math.pow(10, gainDb / 20);
+  const out = new AudioBuffer({ length: buffer.length, numberOfChannels: buffer.numberOfChannels, sampleRate: buffer.sampleRate });
+  for (let c = 0; c < buffer.numberOfChannels; c++) {
+    const src = buffer.getChannelData(c);
+    const dst = out.getChannelData(c);
+    for (let i = 0; i < src.length; i++) dst[i] = src[i] * g;
+  }
+  return {
+    buffer: out,
+    gain: gainDb,
+    before,
+    after: { lufs: before.lufs + gainDb, truePeak: before.truePeak + gainDb },
+    peakLimited,
+  };
+}
@@ -0,0 +1,139 @@
+/*
+master.js
+Master bus chain, shared by live playback and renderToBuffer:
+
+  input (MASTER_GAIN) -> 3-band EQ -> compressor -> makeup -> limiter -> dest
+
+Settings live on the song (missing fields fall back to MASTER_DEFAULTS):
+
+  song.master = {
+    eq:      { low, mid, high (dB), lowFreq, midFreq, highFreq (Hz) },
+    comp:    { on, threshold (dB), ratio, attack (s), release (s), makeup (dB) },
+    limiter: { on, ceiling (dBFS) },
+  }
+
+The limiter is a fast, hard-knee compressor followed by a clipper at the
+ceiling, so nothing leaves the bus above it even when the compressor's
+attack lets a transient through.
+*/
+
+export const MASTER_GAIN = 0.9;
+
+export const MASTER_DEFAULTS = {
+  eq: { low: 0, mid: 0, high: 0, lowFreq: 200, midFreq: 1000, highFreq: 5000 },
+  comp: { on: false, threshold: -18, ratio: 3, attack: 0.01, release: 0.2, makeup: 0 },
+  limiter: { on: true, ceiling: -1 },
+};
+
+export const masterSettings = (song) => ({
+  eq: { ...MASTER_DEFAULTS.eq, ...song.master?.eq },
+  comp: { ...MASTER_DEFAULTS.comp, ...song.master?.comp },
+  limiter: { ...MASTER_DEFAULTS.limiter, ...song.master?.limiter },
+});
+
+export function setMaster(song, section, changes) {
+  const current = masterSettings(song);
+  return { ...song, master: { ...current, [section]: { ...current[section], ...changes } } };
+}
+
+export const dbToGain = (db) => Math.pow(10, db / 20);
+
+// transfer curve: straight line up to the ceiling, flat beyond it
+const clipCurves = new Map();
+function clipCurve(ceiling) {
+  if (!clipCurves.has(ceiling)) {
+    const n = 4096;
+    const limit = dbToGain(ceiling);
+    const curve = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const x = (i / (n - 1)) * 2 - 1;
+      curve[i] = Math.max(-limit, Math.min(limit, x));
+    }
+    clipCurves.set(ceiling, curve);
+  }
+  return clipCurves.get(ceiling);
+}
+
+/*
+createMasterChain(ctx, dest, song) -> { input, update(song, at), disconnect() }
+*/
+export function createMasterChain(ctx, dest, song) {
+  const input = ctx.createGain();
+  const low = ctx.createBiquadFilter();
+  const mid = ctx.createBiquadFilter();
+  const high = ctx.createBiquadFilter();
+  const comp = ctx.createDynamicsCompressor();
+  const makeup = ctx.createGain();
+  const limiter = ctx.createDynamicsCompressor();
+  const clipper = ctx.createWaveShaper();
+  input.gain.value = MASTER_GAIN;
+  low.type = "lowshelf";
+  mid.type = "peaking";
+  mid.Q.value = 0.7;
+  high.type = "highshelf";
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.001;
+  limiter.release.value = 0.05;
+  clipper.oversample = "4x";
+
+  input.connect(low);
+  low.connect(mid);
+  mid.connect(high);
+
+  // bypassed stages are left out of the graph rather than set to unity
+  let wiring = null;
+  const rewire = (s) => {
+    const key = `${s.comp.on}:${s.limiter.on}`;
+    if (key === wiring) return;
+    wiring = key;
+    [high, comp, makeup, limiter, clipper].forEach(n => n.disconnect());
+    let node = high;
+    if (s.comp.on) {
+      node.connect(comp);
+      comp.connect(makeup);
+      node = makeup;
+    }
+    if (s.limiter.on) {
+      node.connect(limiter);
+      limiter.connect(clipper);
+      node = clipper;
+    }
+    node.connect(dest);
+  };
+
+  let first = true;
+  let ceiling = null;
+  const update = (nextSong, at = ctx.currentTime) => {
+    const s = masterSettings(nextSong);
+    // the first update sets values outright so a render doesn't start mid-glide
+    const set = first
+      ? (param, value) => { param.value = value; }
+      : (param, value) => param.setTargetAtTime(value, at, 0.01);
+    first = false;
+    set(low.frequency, s.eq.lowFreq);
+    set(low.gain, s.eq.low);
+    set(mid.frequency, s.eq.midFreq);
+    set(mid.gain, s.eq.mid);
+    set(high.frequency, s.eq.highFreq);
+    set(high.gain, s.eq.high);
+    set(comp.threshold, s.comp.threshold);
+    set(comp.ratio, s.comp.ratio);
+    set(comp.attack, s.comp.attack);
+    set(comp.release, s.comp.release);
+    set(makeup.gain, dbToGain(s.comp.makeup));
+    set(limiter.threshold, s.limiter.ceiling);
+    if (s.limiter.ceiling !== ceiling) {
+      ceiling = s.limiter.ceiling;
+      clipper.curve = clipCurve(ceiling);
+    }
+    rewire(s);
+  };
+  update(song);
+
+  return {
+    input,
+    update,
+    disconnect: () => [high, comp, makeup, limiter, clipper].forEach(n => n.disconnect()),
+  };
+}
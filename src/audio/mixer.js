@@ -0,0 +1,118 @@
+/*
+mixer.js
+Per-channel mixer strips. Settings live on the song so they are saved with
+the project:
+
+  song.mix = [{ volume, pan: -1..1, mute, solo, reverb, delay, chorus }, ...]   // index = channel
+
+reverb / delay / chorus are post-fader send levels (0..1) into the effects
+in sends.js.
+
+Missing entries mean DEFAULT_STRIP. When any channel is soloed, only soloed
+channels are heard; mute always wins.
+
+createMixerGraph(ctx, dest, { meters, sends }) builds the strips lazily (gain ->
+stereo panner -> dest) for either an AudioContext or an OfflineAudioContext,
+so live playback and renderToBuffer mix the same way. With `meters`, each
+strip also feeds an AnalyserNode for the peak / RMS meters; with `sends`
+(the send bus inputs by name) a send gain per effect.
+*/
+
+export const DEFAULT_STRIP = { volume: 1, pan: 0, mute: false, solo: false, reverb: 0, delay: 0, chorus: 0 };
+
+export const mixStrip = (song, chan) => ({ ...DEFAULT_STRIP, ...song.mix?.[chan] });
+
+export function setStrip(song, chan, changes) {
+  const channels = Math.max(song.patterns[0]?.length || 0, chan + 1);
+  const mix = Array.from({ length: channels }, (_, c) => mixStrip(song, c));
+  mix[chan] = { ...mix[chan], ...changes };
+  return { ...song, mix };
+}
+
+// Gain a channel actually plays at once mute and solo are taken into account.
+export function stripGain(song, chan) {
+  const strip = mixStrip(song, chan);
+  const soloing = song.mix?.some(s => s?.solo);
+  if (strip.mute || (soloing && !strip.solo)) return 0;
+  return strip.volume;
+}
+
+const METER_SIZE = 1024;
+
+export function createMixerGraph(ctx, dest, { meters = false, sends = null } = {}) {
+  const strips = [];
+  let song = null;
+
+  const strip = (chan) => {
+    if (!strips[chan]) {
+      const gain = ctx.createGain();
+      const panner = ctx.createStereoPanner();
+      gain.connect(panner);
+      panner.connect(dest);
+      let analyser = null;
+      if (meters) {
+        analyser = ctx.createAnalyser();
+        analyser.fftSize = METER_SIZE;
+        panner.connect(analyser);
+      }
+      const sendGains = {};
+      for (const [name, input] of Object.entries(sends || {})) {
+        sendGains[name] = ctx.createGain();
+        panner.connect(sendGains[name]);
+        sendGains[name].connect(input);
+      }
+      strips[chan] = { gain, panner, sendGains, analyser, data: meters ? new Float32Array(METER_SIZE) : null };
+      if (song) {
+        // new strips start at their setting rather than gliding to it
+        const settings = mixStrip(song, chan);
+        gain.gain.value = stripGain(song, chan);
+        panner.pan.value = settings.pan;
+        for (const name in sendGains) sendGains[name].gain.value = settings[name];
+      }
+    }
+    return strips[chan];
+  };
+
+  const apply = (chan, at) => {
+    const s = strips[chan];
+    const settings = mixStrip(song, chan);
+    s.gain.gain.setTargetAtTime(stripGain(song, chan), at, 0.01);
+    s.panner.pan.setTargetAtTime(settings.pan, at, 0.01);
+    for (const name in s.sendGains) s.sendGains[name].gain.setTargetAtTime(settings[name], at, 0.01);
+  };
+
+  return {
+    // node a channel's voices connect to
+    input: (chan) => strip(chan).gain,
+
+    // push the song's mix settings to every strip
+    update(nextSong, at = ctx.currentTime) {
+      song = nextSong;
+      const channels = song.patterns[0]?.length || 0;
+      for (let c = 0; c < channels; c++) strip(c);
+      strips.forEach((s, c) => s && apply(c, at));
+    },
+
+    // { peak, rms } (linear, 0..1+) per channel, from the last METER_SIZE samples
+    levels() {
+      return strips.map(s => {
+        if (!s?.analyser) return { peak: 0, rms: 0 };
+        s.analyser.getFloatTimeDomainData(s.data);
+        let peak = 0, sum = 0;
+        for (const x of s.data) {
+          peak = Math.max(peak, Math.abs(x));
+          sum += x * x;
+        }
+        return { peak, rms: Math.sqrt(sum / s.data.length) };
+      });
+    },
+
+    disconnect() {
+      strips.forEach(s => {
+        if (!s) return;
+        s.panner.disconnect();
+        Object.values(s.sendGains).forEach(g => g.disconnect());
+      });
+    },
+  };
+}
@@ -0,0 +1,88 @@
+/*
+notes.js
+Tracker note strings <-> MIDI numbers <-> frequencies.
+
+Cells store notes the way Schism / FastTracker print them:
+ - "C-4", "C#5"  -> a pitched note (A-4 = 440 Hz, C-4 = MIDI 60)
+ - "---" / "--"  -> empty cell
+ - "==="         -> note-off (release whatever the channel is playing)
+*/
+
+export const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+export const EMPTY_NOTE = "---";
+export const NOTE_OFF = "===";
+
+const A4_FREQ = 440;
+const A4_MIDI = 69;
+
+const NOTE_RE = /^([A-G])([-#])(-?\d)$/;
+export const MAX_NOTE_MIDI = 131; // B-9, the highest note NOTE_RE can spell
+
+// Parse a cell note. Returns { midi } for pitched notes, { off: true } for
+// note-off and null for empty / unrecognised cells.
+export function parseNote(str) {
+  if (!str) return null;
+  const s = String(str).trim().toUpperCase();
+  if (s === NOTE_OFF || s === "^^^" || s === "OFF") return { off: true };
+
+  const m = NOTE_RE.exec(s);
+  if (!m) return null;
+  const idx = NOTE_NAMES.indexOf(m[2] === "#" ? `${m[1]}#` : m[1]);
+  if (idx < 0) return null; // e.g. "E#4"
+  const octave = Number(m[3]);
+  return { midi: (octave + 1) * 12 + idx };
+}
+
+export function midiToFreq(midi) {
+  return A4_FREQ * Math.pow(2, (midi - A4_MIDI) / 12);
+}
+
+export function freqToMidi(freq) {
+  if (!freq || freq <= 0) return null;
+  return Math.round(A4_MIDI + 12 * Math.log2(freq / A4_FREQ));
+}
+
+export function midiToNote(midi) {
+  if (midi == null || !Number.isFinite(midi)) return EMPTY_NOTE;
+  const name = NOTE_NAMES[((midi % 12) + 12) % 12];
+  const octave = Math.floor(midi / 12) - 1;
+  return `${name.padEnd(2, "-")}${octave}`;
+}
+
+// Frequency of a cell note, or null when the cell does not trigger a pitch.
+export function noteToFreq(str) {
+  const n = parseNote(str);
+  return n && !n.off ? midiToFreq(n.midi) : null;
+}
+
+export function isNoteOff(str) {
+  return !!parseNote(str)?.off;
+}
+
+// Inverse of noteToFreq: snaps to the nearest semitone and prints it in
+// tracker format so parseNote(freqToNoteName(f)) round-trips.
+export function freqToNoteName(freq) {
+  return midiToNote(freqToMidi(freq));
+}
+
+// FastTracker-style piano layout, keyed by KeyboardEvent.code so it works on
+// non-QWERTY layouts. Values are semitones above C of the current octave.
+export const PIANO_KEYS = {
+  // lower row: Z..M (+ S D G H J sharps), then , L . ; / into the next octave
+  KeyZ: 0, KeyS: 1, KeyX: 2, KeyD: 3, KeyC: 4, KeyV: 5, KeyG: 6,
+  KeyB: 7, KeyH: 8, KeyN: 9, KeyJ: 10, KeyM: 11,
+  Comma: 12, KeyL: 13, Period: 14, Semicolon: 15, Slash: 16,
+  // upper row: Q..P (+ 2 3 5 6 7 9 0 sharps), one octave up
+  KeyQ: 12, Digit2: 13, KeyW: 14, Digit3: 15, KeyE: 16, KeyR: 17, Digit5: 18,
+  KeyT: 19, Digit6: 20, KeyY: 21, Digit7: 22, KeyU: 23,
+  KeyI: 24, Digit9: 25, KeyO: 26, Digit0: 27, KeyP: 28,
+};
+
+// Note string for a piano key at the given base octave, or null. The upper
+// row reaches two octaves up, so high octaves are clamped at B-9.
+export function pianoKeyToNote(code, octave) {
+  const semi = PIANO_KEYS[code];
+  if (semi == null) return null;
+  return midiToNote(Math.min(MAX_NOTE_MIDI, (octave + 1) * 12 + semi));
+}
@@ -0,0 +1,99 @@
+/*
+offlineAnalyser.js
+An AnalyserNode stand-in over a rendered AudioBuffer, so visualizers written
+against `analyser.getByteFrequencyData()` can be stepped frame by frame at
+any time position instead of in real time.
+
+createOfflineAnalyser(buffer, { fftSize, smoothingTimeConstant, minDecibels, maxDecibels })
+  -> { fftSize, frequencyBinCount, context: { sampleRate }, seek(time),
+       getByteFrequencyData(arr), getFloatFrequencyData(arr),
+       getByteTimeDomainData(arr), getFloatTimeDomainData(arr) }
+
+The maths follows the Web Audio spec: the fftSize samples ending at the
+current time (channels averaged to mono), Blackman window, |X|/N, smoothing
+against the previous analysis, then dB. As with the real node, smoothing
+carries over from one analysis to the next, so seek forward in order.
+*/
+import { blackman, fft } from "./fft";
+
+export function createOfflineAnalyser(buffer, {
+  fftSize = 2048,
+  smoothingTimeConstant = 0.8,
+  minDecibels = -100,
+  maxDecibels = -30,
+} = {}) {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const win = blackman(fftSize);
+  const bins = fftSize / 2;
+  const frame = new Float32Array(fftSize);
+  const re = new Float32Array(fftSize);
+  const im = new Float32Array(fftSize);
+  const smoothed = new Float32Array(bins);
+  let position = 0;      // frame index the analysis window ends at
+  let analysedAt = null; // position the spectrum was last computed for
+
+  const readFrame = () => {
+    const start = position - fftSize;
+    for (let i = 0; i < fftSize; i++) {
+      const s = start + i;
+      let v = 0;
+      if (s >= 0 && s < buffer.length) {
+        for (const data of channels) v += data[s];
+        v /= channels.length;
+      }
+      frame[i] = v;
+    }
+  };
+
+  const analyse = () => {
+    if (analysedAt === position) return;
+    analysedAt = position;
+    readFrame();
+    for (let i = 0; i < fftSize; i++) {
+      re[i] = frame[i] * win[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < bins; k++) {
+      const mag = Math.hypot(re[k], im[k]) / fftSize;
+      smoothed[k] = smoothingTimeConstant * smoothed[k] + (1 - smoothingTimeConstant) * mag;
+    }
+  };
+
+  return {
+    fftSize,
+    frequencyBinCount: bins,
+    minDecibels,
+    maxDecibels,
+    smoothingTimeConstant,
+    context: { sampleRate: buffer.sampleRate },
+
+    seek(time) {
+      position = Math.max(0, Math.round(time * buffer.sampleRate));
+    },
+
+    getFloatFrequencyData(arr) {
+      analyse();
+      for (let k = 0; k < arr.length && k < bins; k++) arr[k] = 20 * Math.log10(smoothed[k] || 1e-20);
+    },
+
+    getByteFrequencyData(arr) {
+      analyse();
+      const scale = 255 / (maxDecibels - minDecibels);
+      for (let k = 0; k < arr.length && k < bins; k++) {
+        const db = 20 * Math.log10(smoothed[k] || 1e-20);
+        arr[k] = Math.max(0, Math.min(255, Math.floor(scale * (db - minDecibels))));
+      }
+    },
+
+    getFloatTimeDomainData(arr) {
+      readFrame();
+      for (let i = 0; i < arr.length && i < fftSize; i++) arr[i] = frame[i];
+    },
+
+    getByteTimeDomainData(arr) {
+      readFrame();
+      for (let i = 0; i < arr.length && i < fftSize; i++) arr[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + frame[i]))));
+    },
+  };
+}
@@ -0,0 +1,54 @@
+/*
+pattern.js
+Pattern / cell model shared by the editor, playback and the offline renderer.
+
+A pattern is channels x rows of cells:
+  { note: "C-4" | "---" | "===", instr: "01" | "--", vol: "40" | "--", fx: "A0F" | "---" }
+instr / vol are two hex digits, fx is a command character followed by two
+hex digits. Dashes mean "empty".
+*/
+import { EMPTY_NOTE } from "./notes";
+
+export const EMPTY_INSTR = "--";
+export const EMPTY_VOL = "--";
+export const EMPTY_FX = "---";
+
+// Cursor stops inside a cell, in order. The effect column has two stops:
+// the command character and its two-digit hex parameter.
+export const CELL_COLUMNS = ["note", "instr", "vol", "fxcmd", "fxparam"];
+
+export const columnField = (column) => (column.startsWith("fx") ? "fx" : column);
+
+export const makeCell = () => ({ note: EMPTY_NOTE, instr: EMPTY_INSTR, vol: EMPTY_VOL, fx: EMPTY_FX });
+
+export const makePattern = (channels, rows) =>
+  Array.from({ length: channels }, () => Array.from({ length: rows }, makeCell));
+
+export const emptyValue = (column) =>
+  ({ note: EMPTY_NOTE, instr: EMPTY_INSTR, vol: EMPTY_VOL, fx: EMPTY_FX })[column];
+
+export const formatHex = (n, width = 2) =>
+  n == null || n < 0 ? "-".repeat(width) : n.toString(16).toUpperCase().padStart(width, "0");
+
+export const parseHex = (str) => {
+  if (!str || /^-+$/.test(str)) return null;
+  const n = parseInt(str, 16);
+  return Number.isNaN(n) ? null : n;
+};
+
+// Type one character into an instr / vol / fx stop, shifting the existing
+// digits left like the trackers do. Returns null for invalid input.
+export function typeIntoField(column, value, ch) {
+  const c = ch.toUpperCase();
+  if (column === "fxcmd") {
+    if (!/^[0-9A-Z]$/.test(c)) return null;
+    return value === EMPTY_FX ? `${c}00` : `${c}${value.slice(1)}`;
+  }
+  if (!/^[0-9A-F]$/.test(c)) return null;
+  if (column === "fxparam") {
+    const cur = value === EMPTY_FX ? "000" : value;
+    return `${cur[0]}${cur[2]}${c}`;
+  }
+  const cur = /^-+$/.test(value) ? "00" : value;
+  return `${cur.slice(1)}${c}`;
+}
@@ -0,0 +1,53 @@
+/*
+peaks.js
+Min/max peaks for waveform overviews, computed once per buffer so drawing
+never touches the samples again.
+
+computePeaks(buffer, block) -> { min, max, block, sampleRate, duration }
+  one min and one max per `block` samples, over all channels
+peakColumns(peaks, start, end, columns) -> { min, max }
+  the peaks between start and end (seconds) reduced to `columns` values;
+  columns narrower than a block repeat the block they fall in
+*/
+
+export const PEAK_BLOCK = 256;
+
+export function computePeaks(buffer, block = PEAK_BLOCK) {
+  const count = Math.ceil(buffer.length / block);
+  const min = new Float32Array(count).fill(Infinity);
+  const max = new Float32Array(count).fill(-Infinity);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let b = 0; b < count; b++) {
+      let lo = min[b], hi = max[b];
+      const end = Math.min(data.length, (b + 1) * block);
+      for (let i = b * block; i < end; i++) {
+        const v = data[i];
+        if (v < lo) lo = v;
+        if (v > hi) hi = v;
+      }
+      min[b] = lo;
+      max[b] = hi;
+    }
+  }
+  return { min, max, block, sampleRate: buffer.sampleRate, duration: buffer.duration };
+}
+
+export function peakColumns(peaks, start, end, columns) {
+  const min = new Float32Array(columns);
+  const max = new Float32Array(columns);
+  const perSecond = peaks.sampleRate / peaks.block;
+  const last = peaks.min.length;
+  for (let c = 0; c < columns; c++) {
+    const from = Math.floor((start + ((end - start) * c) / columns) * perSecond);
+    const to = Math.max(from + 1, Math.floor((start + ((end - start) * (c + 1)) / columns) * perSecond));
+    let lo = 0, hi = 0;
+    for (let b = Math.max(0, from); b < Math.min(last, to); b++) {
+      if (peaks.min[b] < lo) lo = peaks.min[b];
+      if (peaks.max[b] > hi) hi = peaks.max[b];
+    }
+    min[c] = lo;
+    max[c] = hi;
+  }
+  return { min, max };
+}
@@ -0,0 +1,111 @@
+/*
+player.js
+Transport for a whole AudioBuffer (an imported file or the rendered song):
+play / pause from any position, seeking while playing, and an A–B loop.
+
+createBufferPlayer(ctx, dest, { onEnded }) -> player
+  player.analyser      AnalyserNode every source plays through (it stays the
+                       same across seeks, so taps on it keep working)
+  player.load(buffer)  stops and rewinds
+  player.play(from)    from the current position by default
+  player.pause()       keeps the position
+  player.seek(time)    also while playing
+  player.setLoop({ start, end } | null)
+  player.position()    seconds into the buffer, following the loop
+  player.playing, player.buffer
+onEnded() fires when playback runs off the end, not on pause or seek.
+
+The loop uses the source's own loopStart / loopEnd, so it is sample
+accurate. Starting before A plays into the loop; starting after B jumps to A.
+*/
+
+export function createBufferPlayer(ctx, dest, { onEnded } = {}) {
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.connect(dest);
+
+  let buffer = null;
+  let source = null;
+  let loop = null;
+  let offset = 0;     // buffer position when the current source started
+  let startedAt = 0;  // ctx time it started
+
+  const halt = () => {
+    if (!source) return;
+    source.onended = null;
+    try { source.stop(); } catch { /* never started */ }
+    source.disconnect();
+    source = null;
+  };
+
+  const position = () => {
+    if (!source) return offset;
+    const t = offset + (ctx.currentTime - startedAt);
+    if (loop && offset < loop.end && t >= loop.end) {
+      return loop.start + ((t - loop.end) % (loop.end - loop.start));
+    }
+    return Math.min(t, buffer.duration);
+  };
+
+  const start = (from) => {
+    halt();
+    if (!buffer) return;
+    offset = Math.max(0, Math.min(from, buffer.duration));
+    if (loop && offset >= loop.end) offset = loop.start;
+    source = ctx.createBufferSource();
+    source.buffer = buffer;
+    if (loop) {
+      source.loop = true;
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+    source.connect(analyser);
+    source.onended = () => {
+      source = null;
+      offset = 0;
+      onEnded?.();
+    };
+    startedAt = ctx.currentTime;
+    source.start(0, offset);
+  };
+
+  return {
+    analyser,
+    get buffer() { return buffer; },
+    get playing() { return !!source; },
+    load(next) {
+      halt();
+      buffer = next;
+      offset = 0;
+    },
+    play(from = position()) {
+      start(from);
+    },
+    pause() {
+      offset = position();
+      halt();
+    },
+    seek(time) {
+      if (source) start(time);
+      else offset = Math.max(0, Math.min(time, buffer?.duration ?? 0));
+    },
+    setLoop(region) {
+      const at = position();
+      loop = region && region.end - region.start > 0.01 ? { start: region.start, end: region.end } : null;
+      if (!source) return;
+      if (loop && at >= loop.end) {
+        start(at);
+        return;
+      }
+      // change the running source in place and re-base the position on it
+      source.loop = !!loop;
+      if (loop) {
+        source.loopStart = loop.start;
+        source.loopEnd = loop.end;
+      }
+      offset = at;
+      startedAt = ctx.currentTime;
+    },
+    position,
+  };
+}
@@ -0,0 +1,69 @@
+/*
+render.js
+Offline rendering of the whole song through the same sequencer, mixer, send
+effects and master chain as live playback (see scheduler.js).
+
+renderToBuffer(song, instruments, bpm, secondsLimit, options) -> Promise<AudioBuffer>
+options:
+  sampleRate  one of RENDER_SAMPLE_RATES, default 44100
+  channel     only this channel is heard (stems)
+  instrument  only notes on this instrument slot are heard (stems)
+  master      false to bypass the master EQ / compressor / limiter, so stems
+              add up to the mix before the master chain
+The buffer length depends only on the song, so every stem of a song lines up.
+*/
+import { applyEvent, scheduleSong } from "./sequencer";
+import { createMixerGraph, mixStrip } from "./mixer";
+import { createSendBus, fxTail } from "./sends";
+import { createMasterChain, MASTER_GAIN } from "./master";
+
+export const RENDER_SAMPLE_RATE = 44100;
+export const RENDER_SAMPLE_RATES = [44100, 48000, 96000];
+
+// mix settings for an isolated render: nothing muted or soloed
+const unsoloed = (song) => ({
+  ...song,
+  mix: (song.patterns[0] || []).map((_, c) => ({ ...mixStrip(song, c), mute: false, solo: false })),
+});
+
+export async function renderToBuffer(song, instruments, bpm, secondsLimit = 120, { sampleRate = RENDER_SAMPLE_RATE, channel = null, instrument = null, master = true } = {}) {
+  // run the sequencer first so the buffer length follows speed / tempo effects and jumps
+  const { rows: songRows, duration } = scheduleSong(song, { bpm, secondsLimit, instruments });
+  const estimatedSeconds = Math.min(secondsLimit, duration + fxTail(song, bpm));
+  const channels = 2;
+  const offlineCtx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(channels, Math.ceil(sampleRate * estimatedSeconds), sampleRate);
+
+  let out;
+  if (master) {
+    out = createMasterChain(offlineCtx, offlineCtx.destination, song).input;
+  } else {
+    out = offlineCtx.createGain();
+    out.gain.value = MASTER_GAIN;
+    out.connect(offlineCtx.destination);
+  }
+
+  // channels go through the same mixer strips, send effects and master chain as live playback
+  const mixSong = channel != null || instrument != null ? unsoloed(song) : song;
+  const bus = createSendBus(offlineCtx, out, mixSong, bpm);
+  const mixer = createMixerGraph(offlineCtx, out, { sends: bus.inputs });
+  mixer.update(mixSong, 0);
+
+  // replay the sequencer's events: notes start voices, ticks bend pitch / volume
+  const voices = [];
+  for (const r of songRows) {
+    for (const ev of r.events) {
+      const t = r.time + ev.offset;
+      if (t >= estimatedSeconds) continue;
+      if (channel != null && ev.chan !== channel) continue;
+      if (instrument != null && ev.type === "note" && ev.instNo !== instrument) {
+        // another instrument takes over the channel: the isolated one stops there
+        voices[ev.chan]?.cut(t);
+        voices[ev.chan] = null;
+        continue;
+      }
+      applyEvent(offlineCtx, mixer.input, voices, instruments, ev, t);
+    }
+  }
+
+  return offlineCtx.startRendering();
+}
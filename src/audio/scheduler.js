@@ -0,0 +1,103 @@
+/*
+scheduler.js
+Live playback on the AudioContext clock. A worker timer wakes every TIMER_MS
+and queues every row that starts before currentTime + lookahead, through the
+same createSequencer / applyEvent path renderToBuffer uses, so what plays live
+is what gets exported. A requestAnimationFrame loop reports each row to the UI
+once the audio clock reaches it, so the cursor follows what is heard rather
+than what has been queued.
+
+createScheduler(ctx, dest, { getSong, getInstruments, bpm, order, row, onRow })
+  -> { mixer, update(song), setTempo(bpm), stop() }
+onRow({ time, order, pattern, row, events }) is called once per row as it is
+heard, with the row's sequencer events (see sequencer.js).
+Channels play through `mixer` (mixer.js, with meters), the send effects
+(sends.js) and the master chain (master.js); call update(song) when their
+settings change.
+*/
+import { createMasterChain } from "./master";
+import { createMixerGraph } from "./mixer";
+import { createSendBus } from "./sends";
+import { applyEvent, createSequencer } from "./sequencer";
+
+const TIMER_MS = 25;
+const LOOKAHEAD = 0.1;        // s of audio queued ahead of the clock
+const HIDDEN_LOOKAHEAD = 1.5; // background tabs wake rarely, so queue more
+const START_DELAY = 0.05;     // s between PLAY and the first row
+
+function startClock(onTick) {
+  try {
+    const worker = new Worker(new URL("./clock.worker.js", import.meta.url));
+    worker.onmessage = onTick;
+    worker.postMessage({ interval: TIMER_MS });
+    return () => worker.terminate();
+  } catch (err) {
+    console.warn("Clock worker unavailable, using setInterval:", err);
+    const id = setInterval(onTick, TIMER_MS);
+    return () => clearInterval(id);
+  }
+}
+
+export function createScheduler(ctx, dest, { getSong, getInstruments, bpm, order = 0, row = 0, onRow }) {
+  const chain = createMasterChain(ctx, dest, getSong());
+  const master = chain.input;
+  const bus = createSendBus(ctx, master, getSong(), bpm);
+  const mixer = createMixerGraph(ctx, master, { meters: true, sends: bus.inputs });
+  mixer.update(getSong());
+
+  const seq = createSequencer(getSong, { bpm, order, row, loop: true, getInstruments });
+  const voices = [];
+  const queue = []; // rows queued but not yet heard: { time, order, pattern, row, events }
+  let nextTime = ctx.currentTime + START_DELAY;
+  let raf = 0;
+
+  const schedule = () => {
+    // after a stall (suspended context, long GC) start again from now rather
+    // than bursting out every row that was missed
+    if (nextTime < ctx.currentTime) nextTime = ctx.currentTime + START_DELAY;
+    const horizon = ctx.currentTime + (document.hidden ? HIDDEN_LOOKAHEAD : LOOKAHEAD);
+    while (nextTime < horizon) {
+      const r = seq.step();
+      if (!r) break;
+      const instruments = getInstruments();
+      for (const ev of r.events) applyEvent(ctx, mixer.input, voices, instruments, ev, nextTime + ev.offset);
+      queue.push({ time: nextTime, order: r.order, pattern: r.pattern, row: r.row, events: r.events });
+      nextTime += r.duration;
+    }
+  };
+
+  const follow = () => {
+    while (queue.length && queue[0].time <= ctx.currentTime) onRow?.(queue.shift());
+    raf = requestAnimationFrame(follow);
+  };
+
+  schedule();
+  const stopClock = startClock(schedule);
+  raf = requestAnimationFrame(follow);
+
+  return {
+    mixer,
+    update(song) {
+      mixer.update(song);
+      bus.update(song, seq.tempo);
+      chain.update(song);
+    },
+    setTempo(tempo) {
+      seq.tempo = tempo;
+      bus.update(getSong(), tempo);
+    },
+    stop() {
+      stopClock();
+      cancelAnimationFrame(raf);
+      // rows already queued ahead would still sound: fade the bus out, then drop it
+      const t = ctx.currentTime;
+      voices.forEach(v => v?.stop(t));
+      master.gain.setTargetAtTime(0, t, 0.01);
+      setTimeout(() => {
+        mixer.disconnect();
+        bus.disconnect();
+        chain.disconnect();
+      }, 200);
+    },
+  };
+}
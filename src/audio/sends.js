@@ -0,0 +1,217 @@
+/*
+sends.js
+Send / return effects: reverb, tempo-synced delay and chorus. Each channel
+strip feeds every effect through its own post-fader send level (mixer.js);
+the returns mix back into the master bus. Settings live on the song:
+
+  song.fx = {
+    reverb: { return, decay (s), preDelay (s), damping (Hz) },
+    delay:  { return, division, feedback, tone (Hz) },
+    chorus: { return, rate (Hz), depth (s), delay (s) },
+  }
+
+Missing fields fall back to FX_DEFAULTS. The reverb is a convolver fed with
+an impulse response generated here (decaying stereo noise, darkened over
+time by a one-pole lowpass), so nothing is downloaded. Delay divisions are
+in beats, where a beat is four rows at the song's starting speed.
+
+createSendBus(ctx, dest, song, bpm) -> { inputs: { reverb, delay, chorus }, update(song, bpm, at), disconnect() }
+works for AudioContext and OfflineAudioContext alike.
+fxTail(song, bpm) -> seconds the returns ring on after the last note: the
+reverb decay, or the delay's echoes until they fall below -60 dB, whichever
+is longer (at most MAX_TAIL).
+*/
+import { DEFAULT_SPEED, tickDuration } from "./sequencer";
+
+export const SEND_NAMES = ["reverb", "delay", "chorus"];
+
+export const DELAY_DIVISIONS = {
+  "1/4": 1, "1/4d": 1.5, "1/4t": 2 / 3,
+  "1/8": 0.5, "1/8d": 0.75, "1/8t": 1 / 3,
+  "1/16": 0.25, "1/16d": 0.375, "1/16t": 1 / 6,
+};
+
+export const FX_DEFAULTS = {
+  reverb: { return: 0.8, decay: 2.5, preDelay: 0.02, damping: 6000 },
+  delay: { return: 0.6, division: "1/8d", feedback: 0.35, tone: 4000 },
+  chorus: { return: 0.7, rate: 0.6, depth: 0.003, delay: 0.018 },
+};
+
+const MAX_DELAY = 4; // s
+const MAX_FEEDBACK = 0.95;
+const MAX_TAIL = 30; // s
+
+export const fxSettings = (song, name) => ({ ...FX_DEFAULTS[name], ...song.fx?.[name] });
+
+export const setFx = (song, name, changes) => ({
+  ...song,
+  fx: { ...song.fx, [name]: { ...fxSettings(song, name), ...changes } },
+});
+
+export const beatSeconds = (bpm, speed = DEFAULT_SPEED) => 4 * speed * tickDuration(bpm);
+
+const delaySeconds = (s, beat) => Math.min(MAX_DELAY, beat * (DELAY_DIVISIONS[s.division] ?? 0.5));
+
+export function fxTail(song, bpm) {
+  const delay = fxSettings(song, "delay");
+  const feedback = Math.min(MAX_FEEDBACK, delay.feedback);
+  // each repeat is `feedback` times the last; count them down to -60 dB
+  const repeats = feedback > 0 ? Math.ceil(Math.log(0.001) / Math.log(feedback)) : 0;
+  const echoes = delay.return > 0 ? delaySeconds(delay, beatSeconds(bpm, song.speed || DEFAULT_SPEED)) * (repeats + 1) : 0;
+  return Math.min(MAX_TAIL, Math.max(fxSettings(song, "reverb").decay, echoes, 1));
+}
+
+// the first update sets values outright so a render doesn't start mid-glide
+const paramSetter = (first, at) => (first
+  ? (param, value) => { param.value = value; }
+  : (param, value) => param.setTargetAtTime(value, at, 0.02));
+
+// impulse responses are pure functions of their settings; share them
+const irCache = new Map();
+
+function impulseResponse(sampleRate, decay, damping) {
+  const key = `${sampleRate}:${decay}:${damping}`;
+  if (irCache.has(key)) return irCache.get(key);
+
+  const length = Math.max(1, Math.round(sampleRate * decay));
+  const ir = new AudioBuffer({ length, numberOfChannels: 2, sampleRate });
+  // fixed seed so renders are repeatable
+  let seed = 0x2545f491;
+  const random = () => {
+    seed ^= seed << 13; seed ^= seed >>> 17; seed ^= seed << 5;
+    return (seed >>> 0) / 4294967296 * 2 - 1;
+  };
+  for (let c = 0; c < 2; c++) {
+    const data = ir.getChannelData(c);
+    let lp = 0;
+    for (let i = 0; i < length; i++) {
+      const t = i / sampleRate;
+      // -60 dB at `decay`, lowpass closing from 20 kHz down to `damping`
+      const cutoff = damping + (20000 - damping) * Math.exp(-4 * t / decay);
+      const a = 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+      lp += a * (random() - lp);
+      data[i] = lp * Math.pow(10, -3 * t / decay);
+    }
+  }
+  irCache.set(key, ir);
+  return ir;
+}
+
+function createReverb(ctx, out) {
+  const input = ctx.createGain();
+  const pre = ctx.createDelay(1);
+  const convolver = ctx.createConvolver();
+  const ret = ctx.createGain();
+  input.connect(pre);
+  pre.connect(convolver);
+  convolver.connect(ret);
+  ret.connect(out);
+
+  let irKey = null;
+  let first = true;
+  return {
+    input,
+    update(s, at) {
+      const set = paramSetter(first, at);
+      first = false;
+      const key = `${s.decay}:${s.damping}`;
+      if (key !== irKey) {
+        convolver.buffer = impulseResponse(ctx.sampleRate, s.decay, s.damping);
+        irKey = key;
+      }
+      pre.delayTime.setValueAtTime(s.preDelay, at);
+      set(ret.gain, s.return);
+    },
+    disconnect: () => ret.disconnect(),
+  };
+}
+
+function createDelay(ctx, out) {
+  const input = ctx.createGain();
+  const delay = ctx.createDelay(MAX_DELAY);
+  const tone = ctx.createBiquadFilter();
+  const feedback = ctx.createGain();
+  const ret = ctx.createGain();
+  tone.type = "lowpass";
+  input.connect(delay);
+  delay.connect(tone);
+  tone.connect(feedback);
+  feedback.connect(delay);
+  tone.connect(ret);
+  ret.connect(out);
+
+  let first = true;
+  return {
+    input,
+    update(s, at, beat) {
+      const set = paramSetter(first, at);
+      first = false;
+      set(delay.delayTime, delaySeconds(s, beat));
+      set(feedback.gain, Math.min(MAX_FEEDBACK, s.feedback));
+      set(tone.frequency, s.tone);
+      set(ret.gain, s.return);
+    },
+    disconnect: () => ret.disconnect(),
+  };
+}
+
+// two modulated delay lines, LFO in opposite phase left and right
+function createChorus(ctx, out) {
+  const input = ctx.createGain();
+  const lfo = ctx.createOscillator();
+  const depthL = ctx.createGain();
+  const depthR = ctx.createGain();
+  const left = ctx.createDelay(0.1);
+  const right = ctx.createDelay(0.1);
+  const merger = ctx.createChannelMerger(2);
+  const ret = ctx.createGain();
+  input.connect(left);
+  input.connect(right);
+  lfo.connect(depthL);
+  lfo.connect(depthR);
+  depthL.connect(left.delayTime);
+  depthR.connect(right.delayTime);
+  left.connect(merger, 0, 0);
+  right.connect(merger, 0, 1);
+  merger.connect(ret);
+  ret.connect(out);
+  lfo.start(0);
+
+  let first = true;
+  return {
+    input,
+    update(s, at) {
+      const set = paramSetter(first, at);
+      first = false;
+      const depth = Math.min(s.depth, s.delay); // delay time can't swing below zero
+      set(lfo.frequency, s.rate);
+      set(depthL.gain, depth);
+      set(depthR.gain, -depth);
+      set(left.delayTime, s.delay);
+      set(right.delayTime, s.delay);
+      set(ret.gain, s.return);
+    },
+    disconnect() {
+      lfo.stop();
+      ret.disconnect();
+    },
+  };
+}
+
+const FACTORIES = { reverb: createReverb, delay: createDelay, chorus: createChorus };
+
+export function createSendBus(ctx, dest, song, bpm) {
+  const effects = Object.fromEntries(SEND_NAMES.map(name => [name, FACTORIES[name](ctx, dest)]));
+
+  const update = (nextSong, nextBpm, at = ctx.currentTime) => {
+    const beat = beatSeconds(nextBpm, nextSong.speed || DEFAULT_SPEED);
+    SEND_NAMES.forEach(name => effects[name].update(fxSettings(nextSong, name), at, beat));
+  };
+  update(song, bpm);
+
+  return {
+    inputs: Object.fromEntries(SEND_NAMES.map(name => [name, effects[name].input])),
+    update,
+    disconnect: () => SEND_NAMES.forEach(name => effects[name].disconnect()),
+  };
+}
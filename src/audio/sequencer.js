@@ -0,0 +1,359 @@
+/*
+sequencer.js
+Tick-level song sequencer with the classic tracker effect column.
+
+Timing follows ProTracker / FT2: a row lasts `speed` ticks, a tick lasts
+2.5 / tempo seconds. The BPM field is the tempo, so at the default speed 6 a
+row is still a sixteenth note (60 / bpm / 4).
+
+Supported effects (fx column, command + two hex digits):
+  0xy arpeggio               1xx / 2xx portamento up / down (xx/16 semitone per tick)
+  3xx tone portamento        4xy vibrato (speed x, depth y)
+  Axy volume slide           Bxx position jump
+  Cxx set volume             Dxx pattern break (row in decimal, like the trackers)
+  ECx note cut at tick x     EDx note delay to tick x
+  Fxx set speed (< 20) / tempo (>= 20)
+  8xx set panning            Kxx key-off at tick xx (XM)
+1 / 2 / 3 / 4 / A with a 00 parameter reuse the channel's last value.
+
+The vol column holds 00..40 (set volume) or, as in XM, a command in the high
+nibble: 6x / 7x slide down / up, 8x / 9x fine slide, Ax vibrato speed,
+Bx vibrato depth, Cx set panning, Dx / Ex pan slide, Fx tone portamento.
+
+step() plays one row and returns its length plus the events to schedule,
+with offsets in seconds from the start of the row:
+  { type: "note", chan, offset, freq, midi, instNo, volume, pan, tick }
+  { type: "off", chan, offset }
+  { type: "freq", chan, offset, freq }
+  { type: "volume", chan, offset, volume }
+  { type: "pan", chan, offset, pan }
+applyEvent() turns those into voices, for both AudioContext and
+OfflineAudioContext.
+*/
+import { midiToFreq, parseNote } from "./notes";
+import { parseHex } from "./pattern";
+import { patternRows } from "./song";
+import { cellInstrument, keymapSample, startVoice } from "./instruments";
+
+export const DEFAULT_SPEED = 6;
+
+// effects the sequencer understands, keyed by command (E by sub-command)
+export const SUPPORTED_EFFECTS = ["0", "1", "2", "3", "4", "8", "A", "B", "C", "D", "F", "EC", "ED", "K"];
+
+export const tickDuration = (tempo) => 2.5 / tempo;
+
+export function parseEffect(fx) {
+  if (!fx || fx[0] === "-") return null;
+  const cmd = fx[0].toUpperCase();
+  const param = parseHex(fx.slice(1)) ?? 0;
+  return { cmd, param, x: param >> 4, y: param & 15 };
+}
+
+// vol column: { volume: 0..1 } for 00..40, { cmd, x } for 60..FF, else null
+export function parseVolumeColumn(str) {
+  const v = parseHex(str);
+  if (v == null) return null;
+  if (v <= 0x40) return { volume: v / 64 };
+  if (v >= 0x60) return { cmd: v >> 4, x: v & 15 };
+  return null;
+}
+
+const makeChannelState = () => ({
+  instNo: 1,
+  midi: null,   // current pitch in (fractional) semitones
+  volume: 1,    // channel volume 0..1
+  pan: null,    // channel panning -1..1, null until an effect sets it
+  target: null, // tone portamento destination
+  vibPos: 0,
+  dirty: false, // pitch was bent by arpeggio / vibrato and needs restoring
+  mem: {},      // effect memory for 00 parameters
+});
+
+/*
+createSequencer(getSong, { bpm, speed, order, row, loop, getInstruments })
+getSong is called every row so edits made during playback are heard. With
+loop set the song wraps at the end; without it step() returns null at the end
+of the order list or when a jump revisits a row (so B00 loops do not render
+forever). A note or instrument number loads the instrument's defaultVolume
+(for a multi-sample instrument, that of the sample the note maps to) into the
+channel volume, as in ProTracker / FT2; getInstruments supplies them.
+*/
+export function createSequencer(getSong, { bpm = 125, speed, order = 0, row = 0, loop = false, getInstruments = () => [] } = {}) {
+  const seq = {
+    tempo: bpm,
+    speed: speed || getSong().speed || DEFAULT_SPEED,
+    order,
+    row,
+    channels: [],
+    visited: new Set(),
+    step,
+  };
+
+  const defaultVolume = (instNo, midi) => {
+    const inst = getInstruments()[instNo - 1];
+    const sample = inst?.type === "multi" && midi != null ? keymapSample(inst, midi) : inst;
+    return sample?.defaultVolume ?? 1;
+  };
+
+  function memo(ch, cmd, param) {
+    if (param) ch.mem[cmd] = param;
+    return ch.mem[cmd] || 0;
+  }
+
+  function step() {
+    const song = getSong();
+    // orders pointing at a missing pattern are skipped, as in flattenSong
+    for (let tries = 0; ; tries++) {
+      if (seq.order >= song.orders.length) {
+        if (!loop) return null;
+        seq.order = 0;
+        seq.row = 0;
+      }
+      if (song.patterns[song.orders[seq.order]]) break;
+      if (tries >= song.orders.length) return null; // nothing playable at all
+      seq.order++;
+      seq.row = 0;
+    }
+    const patIdx = song.orders[seq.order];
+    const pattern = song.patterns[patIdx];
+    if (seq.row >= patternRows(pattern)) seq.row = 0;
+
+    if (!loop) {
+      const key = `${seq.order}:${seq.row}`;
+      if (seq.visited.has(key)) return null;
+      seq.visited.add(key);
+    }
+
+    const cells = pattern.map(c => c[seq.row]);
+    const fxs = cells.map(c => parseEffect(c?.fx));
+
+    // speed / tempo apply to the row they are on
+    for (const fx of fxs) {
+      if (fx?.cmd !== "F" || !fx.param) continue;
+      if (fx.param < 0x20) seq.speed = fx.param;
+      else seq.tempo = fx.param;
+    }
+    const tick = tickDuration(seq.tempo);
+    const ticks = seq.speed;
+
+    const events = [];
+    let jumpOrder = null;
+    let breakRow = null;
+
+    cells.forEach((cell, ci) => {
+      const ch = seq.channels[ci] || (seq.channels[ci] = makeChannelState());
+      const fx = fxs[ci];
+      const emit = (type, t, extra) => events.push({ type, chan: ci, offset: t * tick, ...extra });
+      const emitFreq = (t, midi) => emit("freq", t, { freq: midiToFreq(midi) });
+      const emitPan = (t) => emit("pan", t, { pan: ch.pan });
+      const setVolume = (t, v) => {
+        ch.volume = Math.max(0, Math.min(1, v));
+        emit("volume", t, { volume: ch.volume });
+      };
+
+      const note = parseNote(cell?.note);
+      const instNo = cellInstrument(cell);
+      const vol = parseVolumeColumn(cell?.vol);
+      const delay = fx?.cmd === "E" && fx.x === 0xd ? fx.y : 0;
+      if (delay >= ticks) return; // delayed past the row: the note never plays
+      const portaFx = fx?.cmd === "3" || vol?.cmd === 0xf;
+      const porta = portaFx && note && !note.off && ch.midi != null;
+
+      // slides and vibrato run on ticks 1..speed-1
+      const slidePitch = (amount, up) => {
+        if (ch.midi == null) return;
+        for (let t = 1; t < ticks; t++) {
+          ch.midi += up ? amount : -amount;
+          emitFreq(t, ch.midi);
+        }
+      };
+      const tonePorta = (amount) => {
+        if (ch.midi == null || ch.target == null) return;
+        for (let t = 1; t < ticks && ch.midi !== ch.target; t++) {
+          ch.midi = ch.midi < ch.target
+            ? Math.min(ch.target, ch.midi + amount)
+            : Math.max(ch.target, ch.midi - amount);
+          emitFreq(t, ch.midi);
+        }
+      };
+      const vibrato = (speed, depth) => {
+        if (ch.midi == null) return;
+        for (let t = 1; t < ticks; t++) {
+          ch.vibPos = (ch.vibPos + speed) & 63;
+          emitFreq(t, ch.midi + Math.sin((ch.vibPos / 64) * 2 * Math.PI) * (depth / 8));
+        }
+        ch.dirty = true;
+      };
+      const slideVolume = (delta) => {
+        for (let t = 1; t < ticks; t++) setVolume(t, ch.volume + delta);
+      };
+
+      // --- tick 0 (or the delay tick): notes, instrument, volume column
+      if (instNo != null) {
+        ch.instNo = instNo;
+        // an instrument number alone resets the playing note's volume
+        if (!note || note.off || porta) setVolume(delay, defaultVolume(instNo, ch.midi));
+      }
+      if (note?.off) {
+        emit("off", delay);
+      } else if (note && porta) {
+        ch.target = note.midi;
+      } else if (note) {
+        ch.midi = note.midi;
+        ch.target = null;
+        ch.vibPos = 0;
+        ch.dirty = false;
+        ch.volume = vol?.volume ?? defaultVolume(ch.instNo, ch.midi);
+        emit("note", delay, { freq: midiToFreq(ch.midi), midi: ch.midi, instNo: ch.instNo, volume: ch.volume, pan: ch.pan, tick });
+      }
+      if (vol?.volume != null && (!note || note.off || porta)) setVolume(delay, vol.volume);
+
+      // arpeggio / vibrato only bend for one row; put the pitch back after
+      const bends = (fx && ((fx.cmd === "0" && fx.param) || fx.cmd === "4")) || vol?.cmd === 0xb;
+      if (ch.dirty && !bends && ch.midi != null && !(note && !note.off && !porta)) {
+        emitFreq(0, ch.midi);
+        ch.dirty = false;
+      }
+
+      // --- XM volume column commands
+      if (vol?.cmd) {
+        const { x } = vol;
+        switch (vol.cmd) {
+          case 0x6: slideVolume(-x / 64); break;
+          case 0x7: slideVolume(x / 64); break;
+          case 0x8: setVolume(delay, ch.volume - x / 64); break;
+          case 0x9: setVolume(delay, ch.volume + x / 64); break;
+          case 0xa: ch.mem["4"] = (x << 4) | ((ch.mem["4"] || 0) & 15); break;
+          case 0xb: if (fx?.cmd !== "4") vibrato((ch.mem["4"] || 0) >> 4, x); break;
+          case 0xc: ch.pan = (x / 15) * 2 - 1; emitPan(delay); break;
+          case 0xd:
+          case 0xe:
+            for (let t = 1; t < ticks; t++) {
+              ch.pan = Math.max(-1, Math.min(1, (ch.pan ?? 0) + (vol.cmd === 0xd ? -x : x) / 128));
+              emitPan(t);
+            }
+            break;
+          case 0xf: if (fx?.cmd !== "3") tonePorta(memo(ch, "3", x * 16) / 16); break;
+          default: break;
+        }
+      }
+
+      if (!fx) return;
+      switch (fx.cmd) {
+        case "0":
+          if (!fx.param || ch.midi == null) break;
+          for (let t = delay; t < ticks; t++) {
+            emitFreq(t, ch.midi + [0, fx.x, fx.y][t % 3]);
+          }
+          ch.dirty = true;
+          break;
+        case "1":
+        case "2":
+          slidePitch(memo(ch, fx.cmd, fx.param) / 16, fx.cmd === "1");
+          break;
+        case "3":
+          tonePorta(memo(ch, "3", fx.param) / 16);
+          break;
+        case "4": {
+          const p = memo(ch, "4", fx.param);
+          vibrato(p >> 4, p & 15);
+          break;
+        }
+        case "8":
+          ch.pan = (fx.param / 255) * 2 - 1;
+          emitPan(delay);
+          break;
+        case "A": {
+          const p = memo(ch, "A", fx.param);
+          slideVolume(((p >> 4) || -(p & 15)) / 64);
+          break;
+        }
+        case "B":
+          jumpOrder = fx.param;
+          break;
+        case "C":
+          setVolume(delay, Math.min(64, fx.param) / 64);
+          break;
+        case "D":
+          breakRow = fx.x * 10 + fx.y;
+          break;
+        case "E":
+          if (fx.x === 0xc && fx.y < ticks) setVolume(fx.y, 0);
+          break;
+        case "K":
+          if (fx.param < ticks) emit("off", fx.param);
+          break;
+        default:
+          break;
+      }
+    });
+
+    const result = {
+      order: seq.order,
+      pattern: patIdx,
+      row: seq.row,
+      time: 0,
+      duration: ticks * tick,
+      tick,
+      tempo: seq.tempo,
+      speed: seq.speed,
+      events,
+    };
+
+    // where to go next
+    if (jumpOrder != null || breakRow != null) {
+      seq.order = jumpOrder != null ? jumpOrder : seq.order + 1;
+      const next = song.patterns[song.orders[seq.order]];
+      seq.row = breakRow != null && next ? Math.min(breakRow, patternRows(next) - 1) : 0;
+    } else if (++seq.row >= patternRows(pattern)) {
+      seq.row = 0;
+      seq.order++;
+    }
+    return result;
+  }
+
+  return seq;
+}
+
+// Walk the whole song once (no looping) and return every row with absolute
+// times: { rows: [{ order, pattern, row, time, duration, tempo, speed, events }], duration }.
+export function scheduleSong(song, { bpm, secondsLimit = Infinity, instruments = [] } = {}) {
+  const seq = createSequencer(() => song, { bpm, getInstruments: () => instruments });
+  const rows = [];
+  let time = 0;
+  for (let r = seq.step(); r && time < secondsLimit; r = seq.step()) {
+    r.time = time;
+    rows.push(r);
+    time += r.duration;
+  }
+  return { rows, duration: Math.min(time, secondsLimit) };
+}
+
+// Apply one sequencer event at absolute context time `time`. `voices` holds
+// the sounding voice per channel and is updated in place. `dest` is an
+// AudioNode, or chan => AudioNode to route each channel (mixer strips).
+export function applyEvent(ctx, dest, voices, instruments, ev, time) {
+  const voice = voices[ev.chan];
+  switch (ev.type) {
+    case "note":
+      voice?.cut(time);
+      voices[ev.chan] = startVoice(ctx, typeof dest === "function" ? dest(ev.chan) : dest,
+        instruments[ev.instNo - 1], ev.freq, time, ev.volume, ev);
+      break;
+    case "off":
+      voice?.stop(time);
+      voices[ev.chan] = null;
+      break;
+    case "freq":
+      voice?.setFreq(time, ev.freq);
+      break;
+    case "volume":
+      voice?.setVolume(time, ev.volume);
+      break;
+    case "pan":
+      voice?.setPan(time, ev.pan);
+      break;
+    default:
+      break;
+  }
+}
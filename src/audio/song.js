@@ -0,0 +1,111 @@
+/*
+song.js
+Song arrangement: a bank of numbered patterns plus an order list.
+
+  song = {
+    patterns: [pattern, ...],   // each pattern is channels x rows (see pattern.js), rows may differ
+    orders: [0, 0, 1, ...],     // sequence of pattern indices played in order
+    speed?: 6,                  // initial ticks per row (module imports)
+    mix?: [strip, ...],         // per-channel mixer settings, see mixer.js
+    fx?: {...},                 // send effect settings, see sends.js
+    master?: {...},             // master chain settings, see master.js
+  }
+
+All helpers are immutable — they return a new song object so they can be fed
+straight into setState.
+*/
+import { makeCell, makePattern } from "./pattern";
+
+export const MAX_ROWS = 256;
+export const MAX_PATTERNS = 256;
+
+export const makeSong = (channels, rows) => ({
+  patterns: [makePattern(channels, rows)],
+  orders: [0],
+});
+
+export const patternRows = (pattern) => pattern[0]?.length || 0;
+
+const replacePattern = (song, idx, pattern) => ({
+  ...song,
+  patterns: song.patterns.map((p, i) => (i === idx ? pattern : p)),
+});
+
+export function setCell(song, patIdx, chan, row, changes) {
+  const pattern = song.patterns[patIdx];
+  return replacePattern(song, patIdx, pattern.map((c, ci) =>
+    ci !== chan ? c : c.map((cell, ri) => (ri !== row ? cell : { ...cell, ...changes }))
+  ));
+}
+
+// Append an empty pattern with the same channel count as the first one.
+export function addPattern(song, rows) {
+  if (song.patterns.length >= MAX_PATTERNS) return song;
+  const channels = song.patterns[0]?.length || 1;
+  return { ...song, patterns: [...song.patterns, makePattern(channels, rows)] };
+}
+
+export function clonePattern(song, idx) {
+  if (song.patterns.length >= MAX_PATTERNS) return song;
+  const copy = song.patterns[idx].map(c => c.map(cell => ({ ...cell })));
+  return { ...song, patterns: [...song.patterns, copy] };
+}
+
+// Remove a pattern and renumber the order list: entries that pointed at it
+// are dropped, later indices shift down. A song always keeps one pattern and
+// one order entry.
+export function deletePattern(song, idx) {
+  if (song.patterns.length <= 1) return song;
+  const patterns = song.patterns.filter((_, i) => i !== idx);
+  let orders = song.orders.filter(o => o !== idx).map(o => (o > idx ? o - 1 : o));
+  if (!orders.length) orders = [0];
+  return { ...song, patterns, orders };
+}
+
+// Grow (with empty rows) or truncate a pattern to `rows` rows.
+export function resizePattern(song, idx, rows) {
+  const n = Math.max(1, Math.min(MAX_ROWS, rows | 0));
+  const pattern = song.patterns[idx].map(c =>
+    n <= c.length ? c.slice(0, n) : [...c, ...Array.from({ length: n - c.length }, makeCell)]
+  );
+  return replacePattern(song, idx, pattern);
+}
+
+export function insertOrder(song, pos, patIdx) {
+  const orders = song.orders.slice();
+  orders.splice(pos, 0, patIdx);
+  return { ...song, orders };
+}
+
+export function removeOrder(song, pos) {
+  if (song.orders.length <= 1) return song;
+  return { ...song, orders: song.orders.filter((_, i) => i !== pos) };
+}
+
+export function moveOrder(song, pos, dir) {
+  const to = pos + dir;
+  if (to < 0 || to >= song.orders.length) return song;
+  const orders = song.orders.slice();
+  [orders[pos], orders[to]] = [orders[to], orders[pos]];
+  return { ...song, orders };
+}
+
+export function setOrder(song, pos, patIdx) {
+  const idx = Math.max(0, Math.min(song.patterns.length - 1, patIdx));
+  return { ...song, orders: song.orders.map((o, i) => (i === pos ? idx : o)) };
+}
+
+// Walk the order list and return every row that gets played, in order:
+// [{ order, pattern, row, cells: [cell per channel] }, ...]
+export function flattenSong(song, fromOrder = 0) {
+  const out = [];
+  for (let order = fromOrder; order < song.orders.length; order++) {
+    const pattern = song.patterns[song.orders[order]];
+    if (!pattern) continue;
+    const rows = patternRows(pattern);
+    for (let row = 0; row < rows; row++) {
+      out.push({ order, pattern: song.orders[order], row, cells: pattern.map(c => c[row]) });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,70 @@
+/*
+stems.js
+Stem export: the song rendered once per channel or per instrument with
+renderToBuffer, all the same length, with the master chain bypassed so the
+stems add back up to the pre-master mix. Channels or instruments that never
+play a note are skipped.
+
+renderStems(song, instruments, bpm, { by, sampleRate, secondsLimit, onProgress })
+  -> Promise<[{ name, buffer }]>
+markersText(song, bpm, secondsLimit, sampleRate) -> tempo and marker listing (see below)
+*/
+import { formatHex } from "./pattern";
+import { renderToBuffer, RENDER_SAMPLE_RATE } from "./render";
+import { DEFAULT_SPEED, scheduleSong } from "./sequencer";
+
+export const STEM_MODES = ["channel", "instrument"];
+
+// file-name-safe version of an instrument name
+const safeName = (name) => name.replace(/[^\w\- ]+/g, "").trim().replace(/\s+/g, "_");
+
+function stemTargets(song, instruments, bpm, by, secondsLimit) {
+  const used = new Set();
+  for (const r of scheduleSong(song, { bpm, secondsLimit }).rows) {
+    for (const ev of r.events) {
+      if (ev.type === "note") used.add(by === "channel" ? ev.chan : ev.instNo);
+    }
+  }
+  return [...used].sort((a, b) => a - b).map(n => by === "channel"
+    ? { channel: n, name: `ch${String(n).padStart(2, "0")}` }
+    : { instrument: n, name: `inst${formatHex(n)}${instruments[n - 1] ? `_${safeName(instruments[n - 1].name)}` : ""}` });
+}
+
+export async function renderStems(song, instruments, bpm, { by = "channel", sampleRate, secondsLimit = 180, onProgress } = {}) {
+  const targets = stemTargets(song, instruments, bpm, by, secondsLimit);
+  const stems = [];
+  for (const [i, t] of targets.entries()) {
+    onProgress?.(i, targets.length, t.name);
+    const { name, ...only } = t;
+    stems.push({ name, buffer: await renderToBuffer(song, instruments, bpm, secondsLimit, { ...only, sampleRate, master: false }) });
+  }
+  onProgress?.(targets.length, targets.length, null);
+  return stems;
+}
+
+const formatTime = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${(s % 60).toFixed(3).padStart(6, "0")}`;
+
+/*
+Plain text for the DAW side: "#" header lines with the starting tempo, then
+one tab-separated line per marker (seconds, mm:ss.mmm, label). Markers are
+placed at every order-list entry and every tempo / speed change.
+*/
+export function markersText(song, bpm, secondsLimit = 180, sampleRate = RENDER_SAMPLE_RATE) {
+  const { rows, duration } = scheduleSong(song, { bpm, secondsLimit });
+  const first = rows[0];
+  const lines = [
+    "# tracker-visualizer stems",
+    `# tempo ${first?.tempo ?? bpm} BPM, speed ${first?.speed ?? song.speed ?? DEFAULT_SPEED} ticks/row (4 rows = 1 beat at speed 6)`,
+    `# sample rate ${sampleRate} Hz, song length ${formatTime(duration)}`,
+    "# seconds\ttime\tlabel",
+  ];
+  let last = null;
+  for (const r of rows) {
+    const labels = [];
+    if (!last || r.order !== last.order) labels.push(`order ${formatHex(r.order)} pattern ${formatHex(r.pattern)}${r.row ? ` row ${r.row}` : ""}`);
+    if (last && (r.tempo !== last.tempo || r.speed !== last.speed)) labels.push(`tempo ${r.tempo} speed ${r.speed}`);
+    if (labels.length) lines.push(`${r.time.toFixed(3)}\t${formatTime(r.time)}\t${labels.join(", ")}`);
+    last = r;
+  }
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,54 @@
+/*
+AsciiCircleVisualizer.jsx
+ASCII face whose mood follows the music: the note triggers from the song
+feed (video/songFeed.js) while our song plays, the average FFT level of
+imported audio otherwise. Imported audio with a detected beat grid also
+kicks the face on every beat, harder on downbeats.
+*/
+import React from 'react';
+import { faceForLevel, IDLE_FACE } from "../video/draw";
+import { feedLevel } from "../video/songFeed";
+import { useAnalysis } from "./useAnalysis";
+
+const KICK_DECAY = 0.85; // per frame
+const DOWNBEAT_KICK = 1;
+const BEAT_KICK = 0.6;
+
+function AsciiCircleVisualizer({ input, settings }) {
+  const { analysis, playing, songPlaying } = input;
+  const { color, fontSize, fftSize, smoothing, inertia, beatKick } = settings;
+  const [face, setFace] = React.useState(IDLE_FACE);
+  const [scale, setScale] = React.useState(1);
+  const smooth = React.useRef(0); // smoothed level to reduce jitter
+  const kick = React.useRef(0);   // 0..1 beat impulse, decaying
+
+  useAnalysis(analysis, (frame) => {
+    let level = null;
+    if (frame && songPlaying && frame.feed) level = feedLevel(frame.feed, frame.time);
+    else if (frame?.freq && playing) level = frame.freq.reduce((a, b) => a + b, 0) / frame.freq.length;
+
+    if (level == null) {
+      smooth.current = 0;
+      kick.current = 0;
+      setFace(IDLE_FACE);
+      setScale(1);
+      return;
+    }
+    smooth.current = smooth.current * inertia + level * (1 - inertia);
+    kick.current = frame.beat ? (frame.downbeat ? DOWNBEAT_KICK : BEAT_KICK) : kick.current * KICK_DECAY;
+    const bump = kick.current * beatKick;
+    setFace(faceForLevel(Math.min(255, smooth.current + bump * 255)));
+    setScale(1 + bump * 0.2);
+  }, { fftSize, smoothing });
+
+  return (
+    <div
+      className="font-mono flex items-center justify-center h-full select-none transition-all duration-200"
+      style={{ color, fontSize }}
+    >
+      <pre className="leading-tight" style={{ transform: `scale(${scale})` }}>{face}</pre>
+    </div>
+  );
+}
+
+export default AsciiCircleVisualizer;
@@ -0,0 +1,29 @@
+/*
+AsciiSpectrumVisualizer.jsx
+ASCII bar spectrum (video/draw.js) on a canvas that fills its panel, drawn
+from the analysis engine's frames while imported audio plays.
+*/
+import React from 'react';
+import { drawAsciiSpectrum, fitCanvas } from "../video/draw";
+import { useAnalysis } from "./useAnalysis";
+
+function AsciiSpectrumVisualizer({ input, settings }) {
+  const { analysis, playing } = input;
+  const { color, chars, fontSize, fftSize, smoothing } = settings;
+  const canvasRef = React.useRef(null);
+
+  useAnalysis(analysis, (frame) => {
+    if (!canvasRef.current) return;
+    const { ctx, width, height, dpr } = fitCanvas(canvasRef.current);
+    if (!frame?.freq || !playing) {
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, width, height);
+      return;
+    }
+    drawAsciiSpectrum(ctx, frame.freq, { width, height, fontSize: fontSize * dpr, color, chars });
+  }, { fftSize, smoothing });
+
+  return <canvas ref={canvasRef} className="w-full h-full block bg-black" />;
+}
+
+export default AsciiSpectrumVisualizer;
@@ -0,0 +1,51 @@
+/*
+ChannelBarsVisualizer.jsx
+Static overview of the pattern in the editor: one bar per channel, as long
+as the share of its rows that hold a note.
+*/
+import React from 'react';
+import { noteToFreq } from "../audio/notes";
+import { patternRows } from "../audio/song";
+
+function ChannelBarsVisualizer({ input, settings }) {
+  const { pattern } = input;
+  const { color } = settings;
+  const canvasRef = React.useRef(null);
+
+  React.useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width = canvas.clientWidth * dpr;
+    const h = canvas.height = canvas.clientHeight * dpr;
+    ctx.clearRect(0, 0, w, h);
+
+    // brutalist grid + bars
+    const rows = patternRows(pattern);
+    const pad = 8 * dpr;
+    const barH = (h - pad * 2) / pattern.length;
+    for (let c = 0; c < pattern.length; c++) {
+      const x = pad;
+      const y = pad + c * barH + 4 * dpr;
+      // intensity from how many non-empty notes the channel has
+      const active = pattern[c].reduce((acc, cell) => acc + (noteToFreq(cell.note) ? 1 : 0), 0);
+      const ratio = rows ? active / rows : 0;
+      // background block
+      ctx.fillStyle = '#0b0b0b';
+      ctx.fillRect(x, y, w - pad * 2, barH - 6 * dpr);
+      // active bar
+      ctx.fillStyle = color;
+      ctx.fillRect(x + 4 * dpr, y + 4 * dpr, Math.max(2, (w - pad * 2 - 8 * dpr) * ratio), barH - 14 * dpr);
+
+      // channel label
+      ctx.fillStyle = '#cfcfcf';
+      ctx.font = `${12 * dpr}px monospace`;
+      ctx.fillText(`CH ${String(c).padStart(2, '0')}  ${active} notes`, x + 6 * dpr, y + 12 * dpr);
+    }
+  }, [pattern, color]);
+
+  return <canvas ref={canvasRef} className="w-full h-full block rounded-sm border border-[#111]" />;
+}
+
+export default ChannelBarsVisualizer;
@@ -0,0 +1,73 @@
+/*
+HexConsoleVisualizer.jsx
+Scrolling console: one line per heard row (video/songFeed.js rowDumpLine)
+while our song plays, FFT band levels in hex (video/draw.js hexConsoleLine)
+for imported audio at the RATE setting. Lines are keyed by sequence number
+and memoized, so a new line renders one row rather than the whole history;
+the fade and the glow on the newest line are plain CSS.
+*/
+import React from 'react';
+import { hexConsoleLine } from "../video/draw";
+import { rowDumpLine } from "../video/songFeed";
+import { useAnalysis } from "./useAnalysis";
+
+const Line = React.memo(function Line({ text }) {
+  return <div className="transition-all duration-700">{text}</div>;
+});
+
+function HexConsoleVisualizer({ input, settings }) {
+  const { analysis, playing, songPlaying } = input;
+  const { color, history, fftSize, smoothing, fps } = settings;
+  const [lines, setLines] = React.useState([]); // [{ id, text }]
+  const containerRef = React.useRef(null);
+  const seen = React.useRef({ feed: null, count: -1, id: 0 });
+
+  useAnalysis(analysis, (frame) => {
+    const s = seen.current;
+    if (frame && songPlaying && frame.feed) {
+      const { feed } = frame;
+      if (feed === s.feed && feed.count === s.count) return;
+      // rows are pushed one by one, so line ids follow feed.count
+      const fresh = feed !== s.feed ? feed.recent : feed.recent.slice(-(feed.count - s.count));
+      const first = feed.count - fresh.length;
+      const added = fresh.map((r, i) => ({ id: `${s.id}:${first + i}`, text: rowDumpLine(feed, r) }));
+      if (feed !== s.feed) setLines(added.slice(-history));
+      else setLines(prev => [...prev, ...added].slice(-history));
+      s.feed = feed;
+      s.count = feed.count;
+      return;
+    }
+    if (s.feed) {
+      s.feed = null;
+      s.count = -1;
+      s.id++;
+    }
+
+    if (!frame?.freq || !playing) return;
+    const time = new Date().toISOString().split("T")[1].split("Z")[0];
+    const line = { id: `fft:${s.id++}`, text: hexConsoleLine(frame.freq, time) };
+    setLines(prev => [...prev, line].slice(-history));
+  }, { fftSize, smoothing, fps });
+
+  // autoscroll
+  React.useEffect(() => {
+    if (containerRef.current) containerRef.current.scrollTop = containerRef.current.scrollHeight;
+  }, [lines]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={
+        "absolute inset-0 overflow-y-auto font-mono text-[11px] leading-tight p-2 whitespace-pre bg-[#020202] " +
+        // recent lines stay bright, older ones fade; the newest glows
+        "[&>div]:opacity-50 [&>div:nth-last-child(-n+3)]:opacity-85 [&>div:last-child]:opacity-100 " +
+        "[&>div:last-child]:brightness-125 [&>div:last-child]:[text-shadow:0_0_4px_var(--glow),0_0_8px_var(--glow)]"
+      }
+      style={{ color, "--glow": color }}
+    >
+      {lines.map(l => <Line key={l.id} text={l.text} />)}
+    </div>
+  );
+}
+
+export default HexConsoleVisualizer;
@@ -0,0 +1,40 @@
+/*
+ImportSummary.jsx
+What a module import brought in, and what it could not: warnings plus the
+effect commands the sequencer does not play (they stay in the fx column).
+*/
+import React from 'react';
+
+function ImportSummary({ summary, onClose }) {
+  if (!summary) return null;
+  const { format, title, channels, patterns, orders, samples, warnings = [], unsupported = [] } = summary;
+
+  return (
+    <div className="mt-3 p-2 border border-[#333] bg-[#050505] rounded-sm font-mono text-xs text-left">
+      <div className="flex justify-between items-center mb-1">
+        <span className="text-[#7fffd4]">IMPORTED {format}{title ? ` — ${title}` : ""}</span>
+        <button onClick={onClose} className="px-2 border border-[#333] rounded-sm">×</button>
+      </div>
+      <div className="text-[#9a9a9a]">
+        {channels} channels · {patterns} patterns · {orders} orders · {samples} samples
+      </div>
+      {warnings.map((w, i) => (
+        <div key={i} className="text-[#ffbf7f]">! {w}</div>
+      ))}
+      {unsupported.length > 0 ? (
+        <div className="mt-1">
+          <div className="text-[#ffbf7f]">Unsupported effects (kept in the pattern, not played):</div>
+          {unsupported.map(u => (
+            <div key={u.key} className="pl-2 text-[#cfcfcf]">
+              {u.key.padEnd(3, "x")} {u.name} — {u.count}×
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div className="text-[#9fff7f]">All effects supported.</div>
+      )}
+    </div>
+  );
+}
+
+export default ImportSummary;
@@ -0,0 +1,197 @@
+/*
+InstrumentEditor.jsx
+Settings for the selected instrument slot. Synth slots get waveform, ADSR,
+unison and filter controls; sample slots get base note, fine-tune, default volume,
+gain and loop controls; multi-sample slots (XM imports) list their keymap, envelopes and
+fadeout. Any slot can be turned into a sample by loading a file or
+taking the last IMPORT AUDIO buffer, and back into a synth with NEW SYNTH. Render with key={slot}
+so the base note text field resets when the slot changes.
+*/
+import React from 'react';
+import { midiToNote, parseNote } from "../audio/notes";
+import { FILTER_TYPES, LOOP_MODES, SYNTH_DEFAULTS, WAVEFORMS } from "../audio/instruments";
+import { formatHex } from "../audio/pattern";
+
+const input = "bg-transparent border border-[#222] p-0.5 text-right";
+const btn = "px-2 py-0.5 border border-[#333] rounded-sm font-mono text-xs cursor-pointer hover:border-[#7fffd4]";
+const select = "bg-[#060606] border border-[#222] p-0.5";
+
+// labelled numeric field, clamped to [min, max]
+function Num({ label, value, min, max, step = 0.01, onChange }) {
+  return (
+    <>
+      <span>{label}</span>
+      <input type="number" min={min} max={max} step={step} value={value}
+        onChange={e => onChange(Math.max(min, Math.min(max, Number(e.target.value) || 0)))}
+        className={input} />
+    </>
+  );
+}
+
+// A / D / S / R block shared by the amp and filter envelopes
+function Adsr({ env, onChange }) {
+  return (
+    <>
+      <Num label="ATTACK s" value={env.attack} min={0} max={10} onChange={v => onChange({ attack: v })} />
+      <Num label="DECAY s" value={env.decay} min={0} max={10} onChange={v => onChange({ decay: v })} />
+      <Num label="SUSTAIN" value={env.sustain} min={0} max={1} onChange={v => onChange({ sustain: v })} />
+      <Num label="RELEASE s" value={env.release} min={0} max={10} onChange={v => onChange({ release: v })} />
+    </>
+  );
+}
+
+function SynthControls({ instrument, onChange }) {
+  const synth = { ...SYNTH_DEFAULTS, ...instrument };
+  const filter = { ...SYNTH_DEFAULTS.filter, ...instrument.filter };
+  const setFilter = (changes) => onChange({ filter: { ...filter, ...changes } });
+
+  return (
+    <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+      <span>WAVE</span>
+      <select value={synth.wave} onChange={e => onChange({ wave: e.target.value })} className={select}>
+        {WAVEFORMS.map(w => <option key={w} value={w}>{w}</option>)}
+      </select>
+      {synth.wave === "pulse" && (
+        <Num label="PULSE WIDTH" value={synth.pulseWidth} min={0.01} max={0.99} onChange={v => onChange({ pulseWidth: v })} />
+      )}
+      <span>VOLUME {Math.round(synth.volume * 64)}</span>
+      <input type="range" min={0} max={64} value={Math.round(synth.volume * 64)}
+        onChange={e => onChange({ volume: Number(e.target.value) / 64 })} />
+      <Adsr env={synth} onChange={onChange} />
+      <Num label="UNISON" value={synth.voices} min={1} max={8} step={1} onChange={v => onChange({ voices: Math.round(v) })} />
+      <Num label="DETUNE ¢" value={synth.detune} min={0} max={100} step={1} onChange={v => onChange({ detune: v })} />
+
+      <span className="col-span-2 mt-1 text-[#7fffd4]">FILTER</span>
+      <span>TYPE</span>
+      <select value={filter.type} onChange={e => setFilter({ type: e.target.value })} className={select}>
+        {FILTER_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+      </select>
+      {filter.type !== "off" && (
+        <>
+          <Num label="CUTOFF Hz" value={filter.cutoff} min={20} max={20000} step={1} onChange={v => setFilter({ cutoff: v })} />
+          <Num label="RESONANCE" value={filter.resonance} min={0.1} max={20} step={0.1} onChange={v => setFilter({ resonance: v })} />
+          <Num label="ENV AMT oct" value={filter.envAmount} min={-8} max={8} step={0.1} onChange={v => setFilter({ envAmount: v })} />
+          <Adsr env={filter} onChange={setFilter} />
+        </>
+      )}
+    </div>
+  );
+}
+
+// "C-1..B-2" style ranges of keymap entries that play sample `index`
+function keyRanges(keymap, index) {
+  const ranges = [];
+  keymap.forEach((s, k) => {
+    if (s !== index) return;
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === k - 1) last[1] = k;
+    else ranges.push([k, k]);
+  });
+  return ranges.map(([a, b]) => a === b ? midiToNote(a + 12) : `${midiToNote(a + 12)}..${midiToNote(b + 12)}`).join(" ");
+}
+
+const envText = (env) => !env?.on ? "off" : [
+  `${env.points.length} pts`,
+  env.sustainOn && `sus ${env.sustain}`,
+  env.loopOn && `loop ${env.loopStart}-${env.loopEnd}`,
+].filter(Boolean).join(" · ");
+
+function MultiControls({ instrument, onChange }) {
+  return (
+    <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+      <span>VOL ENV</span>
+      <span className="text-right">{envText(instrument.volEnv)}</span>
+      <span>PAN ENV</span>
+      <span className="text-right">{envText(instrument.panEnv)}</span>
+      <Num label="FADEOUT" value={instrument.fadeout} min={0} max={4095} step={1} onChange={v => onChange({ fadeout: Math.round(v) })} />
+
+      <span className="col-span-2 mt-1 text-[#7fffd4]">SAMPLES</span>
+      {instrument.samples.map((s, i) => (
+        <div key={i} className="col-span-2 text-[#8a8a8a] truncate">
+          {formatHex(i)} {s.name || "—"} · {s.baseNote} · {s.loopMode} · {keyRanges(instrument.keymap, i) || "unmapped"}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function InstrumentEditor({ slot, instrument, lastImport, onChange, onLoadFile, onAssignImport, onMakeSynth }) {
+  const [noteText, setNoteText] = React.useState(instrument.baseNote || "C-4");
+  const sample = instrument.type === "sample" ? instrument : null;
+  const frames = sample?.buffer?.length || 0;
+
+  return (
+    <div className="flex flex-col gap-2 font-mono text-xs text-left">
+      <div className="flex items-center gap-2">
+        <span className="text-[#7fffd4]">INST {formatHex(slot)}</span>
+        <input
+          value={instrument.name}
+          onChange={e => onChange({ name: e.target.value })}
+          className="flex-1 bg-transparent border border-[#222] p-0.5"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <label className={btn}>
+          LOAD SAMPLE
+          <input
+            type="file"
+            accept="audio/*"
+            style={{ display: "none" }}
+            onChange={e => { onLoadFile(e.target.files[0]); e.target.value = ""; }}
+          />
+        </label>
+        <button className={btn} disabled={!lastImport} onClick={onAssignImport}>USE IMPORT</button>
+        {instrument.type !== "synth" && (
+          <button className={btn} onClick={onMakeSynth}>NEW SYNTH</button>
+        )}
+      </div>
+
+      {instrument.type === "multi" ? (
+        <MultiControls instrument={instrument} onChange={onChange} />
+      ) : !sample ? (
+        <SynthControls instrument={instrument} onChange={onChange} />
+      ) : (
+        <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+          <span>BASE NOTE</span>
+          <input
+            value={noteText}
+            onChange={e => {
+              setNoteText(e.target.value);
+              const n = parseNote(e.target.value);
+              if (n && !n.off) onChange({ baseNote: e.target.value.toUpperCase() });
+            }}
+            className={input}
+          />
+          <span>FINETUNE ¢</span>
+          <input type="number" min={-100} max={100} value={sample.fineTune}
+            onChange={e => onChange({ fineTune: Math.max(-100, Math.min(100, Number(e.target.value) || 0)) })}
+            className={input} />
+          <span title="channel volume a note starts at; the vol column and Cxx replace it">DEFAULT VOL {Math.round((sample.defaultVolume ?? 1) * 64)}</span>
+          <input type="range" min={0} max={64} value={Math.round((sample.defaultVolume ?? 1) * 64)}
+            onChange={e => onChange({ defaultVolume: Number(e.target.value) / 64 })} />
+          <span title="fixed level of the sample, applied on top of the channel volume">GAIN {Math.round(sample.volume * 64)}</span>
+          <input type="range" min={0} max={64} value={Math.round(sample.volume * 64)}
+            onChange={e => onChange({ volume: Number(e.target.value) / 64 })} />
+          <span>LOOP</span>
+          <select value={sample.loopMode} onChange={e => onChange({ loopMode: e.target.value })} className={select}>
+            {LOOP_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+          </select>
+          <span>LOOP START</span>
+          <input type="number" min={0} max={frames} value={sample.loopStart}
+            onChange={e => onChange({ loopStart: Math.max(0, Math.min(sample.loopEnd - 1, Number(e.target.value) || 0)) })}
+            className={input} />
+          <span>LOOP END</span>
+          <input type="number" min={0} max={frames} value={sample.loopEnd}
+            onChange={e => onChange({ loopEnd: Math.max(sample.loopStart + 1, Math.min(frames, Number(e.target.value) || 0)) })}
+            className={input} />
+          <span className="text-[#8a8a8a] col-span-2">
+            {frames} frames · {sample.buffer.sampleRate} Hz · {sample.buffer.duration.toFixed(2)} s
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default InstrumentEditor;
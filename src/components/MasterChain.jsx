@@ -0,0 +1,70 @@
+/*
+MasterChain.jsx
+Master bus settings (audio/master.js): 3-band EQ, compressor with makeup
+gain, and the brickwall limiter's ceiling. Edits go through
+onChange(section, changes).
+*/
+import React from 'react';
+import { masterSettings } from "../audio/master";
+
+const input = "w-16 bg-transparent border border-[#222] p-0.5 text-right";
+
+function Num({ label, value, min, max, step, scale = 1, onChange }) {
+  return (
+    <>
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={Math.round(value * scale * 1000) / 1000}
+        onChange={e => onChange(Math.max(min, Math.min(max, Number(e.target.value) || 0)) / scale)}
+        className={input}
+      />
+    </>
+  );
+}
+
+function Toggle({ label, on, onChange }) {
+  return (
+    <label className="col-span-2 flex items-center gap-2 text-[#7fffd4]">
+      <input type="checkbox" checked={on} onChange={e => onChange(e.target.checked)} />
+      {label}
+    </label>
+  );
+}
+
+function MasterChain({ song, onChange }) {
+  const { eq, comp, limiter } = masterSettings(song);
+
+  return (
+    <div className="grid grid-cols-3 gap-4 font-mono text-xs">
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+        <span className="col-span-2 text-[#7fffd4]">EQ</span>
+        <Num label="LOW dB" value={eq.low} min={-24} max={24} step={0.5} onChange={v => onChange("eq", { low: v })} />
+        <Num label="LOW Hz" value={eq.lowFreq} min={20} max={1000} step={10} onChange={v => onChange("eq", { lowFreq: v })} />
+        <Num label="MID dB" value={eq.mid} min={-24} max={24} step={0.5} onChange={v => onChange("eq", { mid: v })} />
+        <Num label="MID Hz" value={eq.midFreq} min={200} max={8000} step={10} onChange={v => onChange("eq", { midFreq: v })} />
+        <Num label="HIGH dB" value={eq.high} min={-24} max={24} step={0.5} onChange={v => onChange("eq", { high: v })} />
+        <Num label="HIGH Hz" value={eq.highFreq} min={1000} max={16000} step={100} onChange={v => onChange("eq", { highFreq: v })} />
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+        <Toggle label="COMPRESSOR" on={comp.on} onChange={on => onChange("comp", { on })} />
+        <Num label="THRESH dB" value={comp.threshold} min={-60} max={0} step={1} onChange={v => onChange("comp", { threshold: v })} />
+        <Num label="RATIO" value={comp.ratio} min={1} max={20} step={0.5} onChange={v => onChange("comp", { ratio: v })} />
+        <Num label="ATTACK ms" value={comp.attack} min={0} max={1000} step={1} scale={1000} onChange={v => onChange("comp", { attack: v })} />
+        <Num label="RELEASE ms" value={comp.release} min={10} max={1000} step={10} scale={1000} onChange={v => onChange("comp", { release: v })} />
+        <Num label="MAKEUP dB" value={comp.makeup} min={0} max={24} step={0.5} onChange={v => onChange("comp", { makeup: v })} />
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center content-start">
+        <Toggle label="LIMITER" on={limiter.on} onChange={on => onChange("limiter", { on })} />
+        <Num label="CEILING dB" value={limiter.ceiling} min={-12} max={0} step={0.1} onChange={v => onChange("limiter", { ceiling: v })} />
+      </div>
+    </div>
+  );
+}
+
+export default MasterChain;
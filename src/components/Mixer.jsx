@@ -0,0 +1,123 @@
+/*
+Mixer.jsx
+One strip per channel: peak / RMS meter, volume fader, pan, send levels for
+the reverb / delay / chorus returns, mute and solo.
+Settings are edited through onChange(chan, changes) and stored on the song
+(audio/mixer.js). Meters poll getLevels() every animation frame while
+playing and write straight to the DOM so they don't re-render the strips.
+*/
+import React from 'react';
+import { mixStrip, stripGain } from "../audio/mixer";
+import { SEND_NAMES } from "../audio/sends";
+
+const btn = "w-6 border border-[#333] rounded-sm font-mono text-[11px]";
+const METER_FLOOR_DB = -60;
+
+const toDb = (v) => (v > 0 ? 20 * Math.log10(v) : -Infinity);
+const meterHeight = (v) => `${Math.max(0, Math.min(1, (toDb(v) - METER_FLOOR_DB) / -METER_FLOOR_DB)) * 100}%`;
+const formatDb = (v) => (v > 0 ? `${toDb(v).toFixed(1)}` : "-inf");
+
+function Mixer({ song, playing, getLevels, onChange }) {
+  const channels = song.patterns[0]?.length || 0;
+  const metersRef = React.useRef([]); // [{ rms, peak }] DOM nodes per channel
+
+  React.useEffect(() => {
+    const reset = () => metersRef.current.forEach(m => {
+      if (!m) return;
+      m.rms.style.height = "0%";
+      m.peak.style.bottom = "0%";
+    });
+    if (!playing) {
+      reset();
+      return;
+    }
+    let raf = 0;
+    const loop = () => {
+      const levels = getLevels();
+      metersRef.current.forEach((m, c) => {
+        if (!m) return;
+        const l = levels[c] || { peak: 0, rms: 0 };
+        m.rms.style.height = meterHeight(l.rms);
+        m.peak.style.bottom = meterHeight(l.peak);
+        m.peak.style.background = l.peak >= 1 ? "#ff5f5f" : "#cfcfcf";
+      });
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return () => {
+      cancelAnimationFrame(raf);
+      reset();
+    };
+  }, [playing, getLevels]);
+
+  return (
+    <div className="flex gap-1 overflow-x-auto font-mono text-[11px]">
+      {Array.from({ length: channels }, (_, c) => {
+        const strip = mixStrip(song, c);
+        const silent = stripGain(song, c) === 0;
+        return (
+          <div key={c} className={`flex flex-col items-center gap-1 p-1 min-w-[64px] border border-[#111] rounded-sm ${silent ? "opacity-50" : ""}`}>
+            <span className={silent ? "text-[#555]" : "text-[#7fffd4]"}>CH {c}</span>
+            <div className="flex gap-1 h-24">
+              {/* meter: bar is RMS, line is peak */}
+              <div className="relative w-2 bg-[#0b0b0b] border border-[#1a1a1a] overflow-hidden">
+                <div
+                  ref={el => { metersRef.current[c] = el && { rms: el.firstChild, peak: el.lastChild }; }}
+                  className="absolute inset-0"
+                >
+                  <div className="absolute bottom-0 left-0 right-0 bg-[#00ff99]" style={{ height: "0%" }} />
+                  <div className="absolute left-0 right-0 h-px bg-[#cfcfcf]" style={{ bottom: "0%" }} />
+                </div>
+              </div>
+              <input
+                type="range"
+                min={0}
+                max={1.5}
+                step={0.01}
+                value={strip.volume}
+                title={`${formatDb(strip.volume)} dB`}
+                onChange={e => onChange(c, { volume: Number(e.target.value) })}
+                onDoubleClick={() => onChange(c, { volume: 1 })}
+                style={{ writingMode: "vertical-lr", direction: "rtl" }}
+                className="w-4"
+              />
+            </div>
+            <span className="text-[#8a8a8a]">{formatDb(strip.volume)}</span>
+            <input
+              type="range"
+              min={-1}
+              max={1}
+              step={0.01}
+              value={strip.pan}
+              title={`pan ${Math.round(strip.pan * 100)}`}
+              onChange={e => onChange(c, { pan: Number(e.target.value) })}
+              onDoubleClick={() => onChange(c, { pan: 0 })}
+              className="w-14"
+            />
+            {SEND_NAMES.map(name => (
+              <label key={name} className="flex items-center gap-1 text-[#8a8a8a]" title={`${name} send ${Math.round(strip[name] * 100)}%`}>
+                {name[0].toUpperCase()}
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.01}
+                  value={strip[name]}
+                  onChange={e => onChange(c, { [name]: Number(e.target.value) })}
+                  onDoubleClick={() => onChange(c, { [name]: 0 })}
+                  className="w-11"
+                />
+              </label>
+            ))}
+            <div className="flex gap-1">
+              <button className={`${btn} ${strip.mute ? "bg-[#ff5f5f] text-black" : ""}`} onClick={() => onChange(c, { mute: !strip.mute })}>M</button>
+              <button className={`${btn} ${strip.solo ? "bg-[#ffd75f] text-black" : ""}`} onClick={() => onChange(c, { solo: !strip.solo })}>S</button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default Mixer;
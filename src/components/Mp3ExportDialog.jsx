@@ -0,0 +1,112 @@
+/*
+Mp3ExportDialog.jsx
+Options for EXPORT MP3 (formats/mp3.js): CBR bitrate or VBR quality, mono
+downmix, and the ID3 tags (title, artist, BPM, cover image). While the
+export runs it shows a progress bar and CANCEL aborts it.
+*/
+import React from 'react';
+import { MP3_BITRATES, MP3_VBR_QUALITIES } from "../formats/mp3";
+
+const btn = "px-3 py-1 border border-[#333] rounded-sm font-mono text-sm hover:border-[#7fffd4]";
+const field = "bg-[#060606] border border-[#222] p-1";
+
+function Mp3ExportDialog({ options, defaultTitle, defaultBpm, progress, onChange, onExport, onCancel }) {
+  const set = (changes) => onChange({ ...options, ...changes });
+  const busy = progress != null;
+
+  const pickCover = async (file) => {
+    if (!file) return;
+    set({ cover: { name: file.name, type: file.type, data: new Uint8Array(await file.arrayBuffer()) } });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70" onClick={busy ? undefined : onCancel}>
+      <div
+        className="w-[420px] p-4 border border-[#333] bg-[#070707] rounded-md font-mono text-xs text-left flex flex-col gap-3"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="text-[#7fffd4] text-sm">EXPORT MP3</div>
+
+        <fieldset disabled={busy} className="grid grid-cols-2 gap-x-2 gap-y-2 items-center">
+          <span>MODE</span>
+          <select value={options.vbr ? "vbr" : "cbr"} onChange={e => set({ vbr: e.target.value === "vbr" })} className={field}>
+            <option value="cbr">constant bitrate</option>
+            <option value="vbr">variable bitrate</option>
+          </select>
+
+          {options.vbr ? (
+            <>
+              <span>QUALITY</span>
+              <select value={options.quality} onChange={e => set({ quality: Number(e.target.value) })} className={field}>
+                {MP3_VBR_QUALITIES.map(q => <option key={q} value={q}>V{q}{q === 0 ? " (best)" : ""}</option>)}
+              </select>
+            </>
+          ) : (
+            <>
+              <span>BITRATE</span>
+              <select value={options.bitrate} onChange={e => set({ bitrate: Number(e.target.value) })} className={field}>
+                {MP3_BITRATES.map(b => <option key={b} value={b}>{b} kbps</option>)}
+              </select>
+            </>
+          )}
+
+          <span>CHANNELS</span>
+          <select value={options.mono ? "mono" : "stereo"} onChange={e => set({ mono: e.target.value === "mono" })} className={field}>
+            <option value="stereo">stereo</option>
+            <option value="mono">mono</option>
+          </select>
+
+          <span>TITLE</span>
+          <input value={options.title} placeholder={defaultTitle} onChange={e => set({ title: e.target.value })} className={field} />
+          <span>ARTIST</span>
+          <input value={options.artist} onChange={e => set({ artist: e.target.value })} className={field} />
+          <span>BPM</span>
+          <input
+            type="number"
+            min={1}
+            max={999}
+            value={options.bpm}
+            placeholder={String(defaultBpm)}
+            onChange={e => set({ bpm: e.target.value })}
+            className={field}
+          />
+
+          <span>COVER</span>
+          <div className="flex items-center gap-2 min-w-0">
+            <label className="px-2 py-0.5 border border-[#333] rounded-sm cursor-pointer shrink-0">
+              {options.cover ? "CHANGE" : "CHOOSE"}
+              <input
+                type="file"
+                accept="image/jpeg,image/png"
+                style={{ display: "none" }}
+                onChange={e => { pickCover(e.target.files[0]); e.target.value = ""; }}
+              />
+            </label>
+            {options.cover && (
+              <>
+                <span className="truncate text-[#9a9a9a]">{options.cover.name}</span>
+                <button onClick={() => set({ cover: null })} className="text-[#ff6b6b]">×</button>
+              </>
+            )}
+          </div>
+        </fieldset>
+
+        {busy && (
+          <div className="flex items-center gap-2">
+            <div className="flex-1 h-2 bg-[#111] border border-[#222]">
+              <div className="h-full bg-[#7fffd4]" style={{ width: `${Math.round(progress * 100)}%` }} />
+            </div>
+            <span className="w-20 text-right">{progress === 0 ? "RENDERING" : `${Math.round(progress * 100)}%`}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className={btn} onClick={onCancel}>CANCEL</button>
+          <button className={btn} disabled={busy} onClick={onExport}>EXPORT</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default Mp3ExportDialog;
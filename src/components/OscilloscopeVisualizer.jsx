@@ -0,0 +1,29 @@
+/*
+OscilloscopeVisualizer.jsx
+Canvas oscilloscope of everything playing (the monitor bus, see
+audio/analysis.js). Each sweep starts at a crossing of the trigger level,
+so periodic sounds stand still instead of rolling.
+*/
+import React from 'react';
+import { fitCanvas } from "../video/draw";
+import { drawScope } from "../video/scope";
+import { useAnalysis } from "./useAnalysis";
+
+const IDLE_WAVE = new Uint8Array(256).fill(128); // flat line while nothing plays
+
+function OscilloscopeVisualizer({ input, settings }) {
+  const { analysis } = input;
+  const { color, lineWidth, level, edge, fftSize } = settings;
+  const canvasRef = React.useRef(null);
+
+  useAnalysis(analysis, (frame) => {
+    if (!canvasRef.current) return;
+    const { ctx, width, height, dpr } = fitCanvas(canvasRef.current);
+    const wave = frame?.wave ?? IDLE_WAVE;
+    drawScope(ctx, wave, { width, height, color, lineWidth: lineWidth * dpr, level, edge });
+  }, { fftSize });
+
+  return <canvas ref={canvasRef} className="w-full h-full block bg-black" />;
+}
+
+export default OscilloscopeVisualizer;
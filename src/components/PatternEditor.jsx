@@ -0,0 +1,109 @@
+/*
+PatternEditor.jsx
+Schism / FastTracker style pattern grid: rows x channels, each cell split into
+note, instrument, volume and effect sub-columns. Purely presentational — the
+cursor and all editing live in TrackerVisualizer's keyboard handler. Any channel
+count and pattern length; wide modules scroll sideways. The channel header
+carries the mixer's mute / solo toggles.
+*/
+import React from 'react';
+
+const ROW_HEIGHT = 18; // px, keep in sync with the h-[18px] row class
+const CHANNEL_WIDTH = 120; // px, minimum width of one channel column
+
+function PatternEditor({ pattern, cursorRow, selectedChan, cursorCol, octave, strips, onCellClick, onStripChange }) {
+  const containerRef = React.useRef(null);
+  const channels = pattern.length;
+  const rows = pattern[0]?.length || 0;
+
+  // keep the cursor row roughly centred, like the trackers do
+  React.useEffect(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    el.scrollTop = Math.max(0, cursorRow * ROW_HEIGHT - el.clientHeight / 2 + ROW_HEIGHT);
+  }, [cursorRow]);
+
+  const stop = (ci, ri, col, text, color) => {
+    const active = ri === cursorRow && ci === selectedChan && col === cursorCol;
+    const empty = /^[-]+$/.test(text);
+    return (
+      <span
+        onMouseDown={(e) => { e.preventDefault(); onCellClick?.(ci, ri, col); }}
+        className={active ? "bg-[#7fffd4] text-black" : empty ? "text-[#2d4a3e]" : color}
+      >
+        {text}
+      </span>
+    );
+  };
+
+  return (
+    <div className="border border-[#111] bg-[#020202] rounded-sm font-mono text-xs select-none overflow-x-auto">
+      <div style={{ minWidth: 40 + channels * CHANNEL_WIDTH }}>
+        {/* channels header */}
+        <div className="flex border-b border-[#111] bg-[#050505]">
+          <div className="w-10 shrink-0 p-1 text-[#555] text-right pr-2">OCT{octave}</div>
+          {Array.from({ length: channels }).map((_, ci) => (
+            <div key={ci} className={`flex-1 flex items-center gap-1 p-1 border-l border-[#111] ${ci === selectedChan ? 'bg-[#0f1720] text-[#7fffd4]' : ''}`}>
+              <span className="flex-1">CH {ci}</span>
+              {strips && (
+                <>
+                  <button
+                    title="Mute"
+                    onClick={() => onStripChange?.(ci, { mute: !strips[ci].mute })}
+                    className={`px-1 border border-[#222] ${strips[ci].mute ? "bg-[#ff5f5f] text-black" : "text-[#555]"}`}
+                  >
+                    M
+                  </button>
+                  <button
+                    title="Solo"
+                    onClick={() => onStripChange?.(ci, { solo: !strips[ci].solo })}
+                    className={`px-1 border border-[#222] ${strips[ci].solo ? "bg-[#ffd75f] text-black" : "text-[#555]"}`}
+                  >
+                    S
+                  </button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div ref={containerRef} className="overflow-y-auto max-h-[360px]">
+          {Array.from({ length: rows }).map((_, ri) => (
+            <div
+              key={ri}
+              className={`flex h-[18px] leading-[18px] ${
+                ri === cursorRow
+                  ? "bg-[#0f1f1a]"
+                  : ri % 16 === 0
+                  ? "bg-[#0c0c0c]"
+                  : ri % 4 === 0
+                  ? "bg-[#080808]"
+                  : ""
+              }`}
+            >
+              <div className={`w-10 shrink-0 text-right pr-2 ${ri % 4 === 0 ? "text-[#7fffd4aa]" : "text-[#00ff9966]"}`}>
+                {ri.toString().padStart(3, "0")}
+              </div>
+              {pattern.map((chan, ci) => {
+                const cell = chan[ri];
+                return (
+                  <div key={ci} className="flex-1 flex gap-1 px-1 border-l border-[#002b1e] text-[#00ff99] whitespace-pre">
+                    {stop(ci, ri, "note", cell.note, "text-[#cfcfcf]")}
+                    {stop(ci, ri, "instr", cell.instr, "text-[#7fbfff]")}
+                    {stop(ci, ri, "vol", cell.vol, "text-[#9fff7f]")}
+                    <span>
+                      {stop(ci, ri, "fxcmd", cell.fx[0], "text-[#ffbf7f]")}
+                      {stop(ci, ri, "fxparam", cell.fx.slice(1), "text-[#ffbf7f]")}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PatternEditor;
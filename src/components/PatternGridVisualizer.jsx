@@ -0,0 +1,110 @@
+/*
+PatternGridVisualizer.jsx
+Tracker-style grid. While our own song plays it shows the real pattern rows
+around the heard one from the song feed (video/songFeed.js), with channel
+headers flashing as their notes trigger; for imported audio it guesses a
+note per column by peak-picking the FFT.
+*/
+import React from 'react';
+import { formatHex } from "../audio/pattern";
+import { patternRows } from "../audio/song";
+import { spectrumNotes } from "../video/draw";
+import { formatCell, triggerLevel } from "../video/songFeed";
+import { useAnalysis } from "./useAnalysis";
+
+const FFT_ROWS = 64; // rows kept by the FFT guess before it wraps
+
+// "#rrggbb" plus an alpha byte for 0..1
+const withAlpha = (color, alpha) => color + Math.round(alpha * 255).toString(16).padStart(2, "0");
+
+const emptyGrid = (channels) => Array.from({ length: FFT_ROWS }, () => Array.from({ length: channels }, () => "···"));
+
+function PatternGridVisualizer({ input, settings }) {
+  const { analysis, playing, song, songPlaying } = input;
+  const { color, flash, rows: songRows, channels, fftSize, smoothing, fps } = settings;
+  const [grid, setGrid] = React.useState(() => emptyGrid(channels));
+  const [view, setView] = React.useState(null); // { order, pattern, row, lit[] } in song mode
+  const containerRef = React.useRef(null);
+  const fft = React.useRef({ grid: null, cursor: 0 });
+
+  useAnalysis(analysis, (frame) => {
+    // song mode: follow the heard row, channels flash as their notes trigger
+    if (frame && songPlaying && frame.feed?.current) {
+      const { order, pattern, row } = frame.feed.current;
+      // flashes in tenths, so frames that change nothing visible don't re-render
+      const lit = frame.feed.triggers.map(t => Math.round(triggerLevel(t, frame.time) * 10) / 10);
+      setView(v => (v && v.order === order && v.pattern === pattern && v.row === row && v.lit.join() === lit.join()
+        ? v
+        : { order, pattern, row, lit }));
+      return;
+    }
+    setView(null);
+
+    // imported audio: scroll a guessed note per column
+    if (!frame?.freq || !playing) return;
+    const state = fft.current;
+    if (state.grid?.[0].length !== channels) state.grid = emptyGrid(channels);
+    state.grid[state.cursor] = spectrumNotes(frame.freq, frame.sampleRate, channels);
+    setGrid([...state.grid]);
+    state.cursor = (state.cursor + 1) % FFT_ROWS;
+    if (containerRef.current) {
+      containerRef.current.scrollTop = (state.cursor / FFT_ROWS) * containerRef.current.scrollHeight;
+    }
+  }, { fftSize, smoothing, fps });
+
+  if (view && song.patterns[view.pattern]) {
+    const pattern = song.patterns[view.pattern];
+    const total = patternRows(pattern);
+    const first = Math.max(0, Math.min(view.row - Math.floor(songRows / 2), total - songRows));
+    const visible = Array.from({ length: Math.min(songRows, total) }, (_, i) => first + i);
+    return (
+      <div className="border border-[#0f0f0f] bg-[#020202] rounded-sm font-mono text-xs overflow-hidden h-full" style={{ color }}>
+        <div className="flex border-b border-[#002b1e]" style={{ color: withAlpha(color, 0.67) }}>
+          <div className="w-10 shrink-0 text-right pr-2">{formatHex(view.order)}</div>
+          {pattern.map((_, c) => (
+            <div
+              key={c}
+              className="flex-1 min-w-[72px] px-1 border-l border-[#002b1e] text-center"
+              style={{ backgroundColor: withAlpha(flash, (view.lit[c] || 0) * 0.6), color: view.lit[c] > 0.3 ? "#020202" : undefined }}
+            >
+              CH {String(c).padStart(2, "0")}
+            </div>
+          ))}
+        </div>
+        {visible.map(r => (
+          <div key={r} className={`flex border-b border-[#0a0a0a] ${r === view.row ? "bg-[#002a1a] brightness-125" : ""}`}>
+            <div className="w-10 shrink-0 text-right pr-2" style={{ color: withAlpha(color, 0.67) }}>{r.toString().padStart(3, "0")}</div>
+            {pattern.map((ch, c) => (
+              <div key={c} className="flex-1 min-w-[72px] px-1 border-l border-[#002b1e] text-center whitespace-pre">
+                {formatCell(ch[r])}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      ref={containerRef}
+      className="border border-[#0f0f0f] bg-[#020202] rounded-sm font-mono text-xs overflow-y-hidden h-full"
+      style={{ color }}
+    >
+      {grid.map((row, r) => (
+        <div key={r} className={`flex border-b border-[#0a0a0a] ${r === grid.length - 1 ? "bg-[#002a1a] brightness-125" : ""}`}>
+          <div className="w-10 text-right pr-2" style={{ color: withAlpha(color, 0.67) }}>
+            {r.toString().padStart(3, "0")}
+          </div>
+          {row.map((cell, c) => (
+            <div key={c} className="flex-1 px-1 border-l border-[#002b1e] text-center">
+              {cell}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PatternGridVisualizer;
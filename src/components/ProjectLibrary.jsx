@@ -0,0 +1,57 @@
+/*
+ProjectLibrary.jsx
+Projects kept in the browser (storage/library.js). The current project is
+autosaved; the rest can be opened, renamed, duplicated or deleted here.
+Purely presentational — TrackerVisualizer does the storage calls.
+*/
+import React from 'react';
+
+const btn = "px-1 border border-[#333] rounded-sm font-mono text-[11px] hover:border-[#7fffd4]";
+
+const formatDate = (ms) => new Date(ms).toLocaleString(undefined, { dateStyle: "short", timeStyle: "short" });
+const formatSize = (bytes) => bytes >= 1 << 20 ? `${(bytes / (1 << 20)).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+function ProjectLibrary({ projects, currentId, status, onNew, onOpen, onRename, onDuplicate, onDelete }) {
+  return (
+    <div className="flex flex-col gap-1 font-mono text-xs">
+      <div className="flex items-center gap-2">
+        <span className="text-[#7fffd4]">LIBRARY</span>
+        <span className="flex-1 text-[11px] text-[#555] truncate">{status}</span>
+        <button className={btn} onClick={onNew}>NEW</button>
+      </div>
+      <div className="flex flex-col gap-1 max-h-[160px] overflow-y-auto">
+        {projects.length === 0 && <div className="text-[#555]">no stored projects yet</div>}
+        {projects.map(p => (
+          <div
+            key={p.id}
+            className={`px-2 py-1 rounded-sm border ${p.id === currentId ? "border-[#7fffd4] bg-[#071214]" : "border-[#111]"}`}
+          >
+            <div className="flex items-center gap-1">
+              <span
+                className="flex-1 truncate cursor-pointer"
+                title="Open"
+                onClick={() => p.id !== currentId && onOpen(p.id)}
+              >
+                {p.name}
+              </span>
+              <button
+                className={btn}
+                onClick={() => {
+                  const name = prompt("Rename project", p.name);
+                  if (name?.trim()) onRename(p.id, name.trim());
+                }}
+              >
+                REN
+              </button>
+              <button className={btn} onClick={() => onDuplicate(p.id)}>DUP</button>
+              <button className={btn} onClick={() => confirm(`Delete "${p.name}"?`) && onDelete(p.id)}>DEL</button>
+            </div>
+            <div className="text-[10px] text-[#8a8a8a]">{formatDate(p.updated)} · {formatSize(p.size)}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default ProjectLibrary;
@@ -0,0 +1,67 @@
+/*
+SendEffects.jsx
+Return-side settings for the send effects (audio/sends.js): one column each
+for reverb, delay and chorus. Channels set how much they send from their
+mixer strip; this panel sets what the effect does with it.
+*/
+import React from 'react';
+import { DELAY_DIVISIONS, fxSettings } from "../audio/sends";
+
+const input = "w-16 bg-transparent border border-[#222] p-0.5 text-right";
+const select = "bg-[#060606] border border-[#222] p-0.5";
+
+function Num({ label, value, min, max, step, scale = 1, onChange }) {
+  return (
+    <>
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={Math.round(value * scale * 1000) / 1000}
+        onChange={e => onChange(Math.max(min, Math.min(max, Number(e.target.value) || 0)) / scale)}
+        className={input}
+      />
+    </>
+  );
+}
+
+function SendEffects({ song, onChange }) {
+  const reverb = fxSettings(song, "reverb");
+  const delay = fxSettings(song, "delay");
+  const chorus = fxSettings(song, "chorus");
+
+  return (
+    <div className="grid grid-cols-3 gap-4 font-mono text-xs">
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+        <span className="col-span-2 text-[#7fffd4]">REVERB</span>
+        <Num label="RETURN" value={reverb.return} min={0} max={1} step={0.05} onChange={v => onChange("reverb", { return: v })} />
+        <Num label="DECAY s" value={reverb.decay} min={0.1} max={10} step={0.1} onChange={v => onChange("reverb", { decay: v })} />
+        <Num label="PRE ms" value={reverb.preDelay} min={0} max={500} step={1} scale={1000} onChange={v => onChange("reverb", { preDelay: v })} />
+        <Num label="DAMP Hz" value={reverb.damping} min={200} max={20000} step={100} onChange={v => onChange("reverb", { damping: v })} />
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+        <span className="col-span-2 text-[#7fffd4]">DELAY</span>
+        <Num label="RETURN" value={delay.return} min={0} max={1} step={0.05} onChange={v => onChange("delay", { return: v })} />
+        <span>TIME</span>
+        <select value={delay.division} onChange={e => onChange("delay", { division: e.target.value })} className={select}>
+          {Object.keys(DELAY_DIVISIONS).map(d => <option key={d} value={d}>{d}</option>)}
+        </select>
+        <Num label="FEEDBACK" value={delay.feedback} min={0} max={0.95} step={0.05} onChange={v => onChange("delay", { feedback: v })} />
+        <Num label="TONE Hz" value={delay.tone} min={200} max={20000} step={100} onChange={v => onChange("delay", { tone: v })} />
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center">
+        <span className="col-span-2 text-[#7fffd4]">CHORUS</span>
+        <Num label="RETURN" value={chorus.return} min={0} max={1} step={0.05} onChange={v => onChange("chorus", { return: v })} />
+        <Num label="RATE Hz" value={chorus.rate} min={0.05} max={10} step={0.05} onChange={v => onChange("chorus", { rate: v })} />
+        <Num label="DEPTH ms" value={chorus.depth} min={0} max={10} step={0.1} scale={1000} onChange={v => onChange("chorus", { depth: v })} />
+        <Num label="DELAY ms" value={chorus.delay} min={5} max={50} step={1} scale={1000} onChange={v => onChange("chorus", { delay: v })} />
+      </div>
+    </div>
+  );
+}
+
+export default SendEffects;
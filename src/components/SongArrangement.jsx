@@ -0,0 +1,74 @@
+/*
+SongArrangement.jsx
+Pattern bank + order list controls. Edits go through `onChange(song => newSong)`
+using the helpers in audio/song.js; clicking an order entry jumps there.
+*/
+import React from 'react';
+import { formatHex } from "../audio/pattern";
+import {
+  addPattern, clonePattern, deletePattern, insertOrder, moveOrder,
+  patternRows, removeOrder, resizePattern, setOrder,
+} from "../audio/song";
+
+const btn = "px-2 py-0.5 border border-[#333] rounded-sm font-mono text-xs hover:border-[#7fffd4]";
+
+function SongArrangement({ song, editPattern, orderPos, defaultRows, onChange, onSelectPattern, onJump }) {
+  const rows = patternRows(song.patterns[editPattern]);
+  const count = song.patterns.length;
+
+  return (
+    <div className="flex flex-col gap-2 font-mono text-xs">
+      {/* pattern bank */}
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-[#7fffd4]">PATTERN</span>
+        <button className={btn} onClick={() => onSelectPattern(Math.max(0, editPattern - 1))}>-</button>
+        <span>{formatHex(editPattern)} / {formatHex(count - 1)}</span>
+        <button className={btn} onClick={() => onSelectPattern(Math.min(count - 1, editPattern + 1))}>+</button>
+        <button className={btn} onClick={() => { onChange(s => addPattern(s, defaultRows)); onSelectPattern(count); }}>ADD</button>
+        <button className={btn} onClick={() => { onChange(s => clonePattern(s, editPattern)); onSelectPattern(count); }}>CLONE</button>
+        <button
+          className={btn}
+          disabled={count <= 1}
+          onClick={() => { onChange(s => deletePattern(s, editPattern)); onSelectPattern(Math.max(0, Math.min(editPattern, count - 2))); }}
+        >
+          DEL
+        </button>
+        <label className="ml-2">
+          ROWS
+          <input
+            type="number"
+            min={1}
+            max={256}
+            value={rows}
+            onChange={e => onChange(s => resizePattern(s, editPattern, Number(e.target.value) || 1))}
+            className="ml-2 w-14 bg-transparent border border-[#222] p-0.5 text-right"
+          />
+        </label>
+      </div>
+
+      {/* order list */}
+      <div className="flex items-center gap-2">
+        <span className="text-[#7fffd4]">ORDERS</span>
+        <button className={btn} title="Insert the edited pattern after the selected order" onClick={() => onChange(s => insertOrder(s, orderPos + 1, editPattern))}>INS</button>
+        <button className={btn} disabled={song.orders.length <= 1} onClick={() => onChange(s => removeOrder(s, orderPos))}>DEL</button>
+        <button className={btn} onClick={() => { onChange(s => moveOrder(s, orderPos, -1)); onJump(Math.max(0, orderPos - 1)); }}>◀</button>
+        <button className={btn} onClick={() => { onChange(s => moveOrder(s, orderPos, 1)); onJump(Math.min(song.orders.length - 1, orderPos + 1)); }}>▶</button>
+        <button className={btn} onClick={() => onChange(s => setOrder(s, orderPos, s.orders[orderPos] - 1))}>PAT-</button>
+        <button className={btn} onClick={() => onChange(s => setOrder(s, orderPos, s.orders[orderPos] + 1))}>PAT+</button>
+      </div>
+      <div className="flex flex-wrap gap-1 bg-[#050505] p-1 border border-[#111] rounded-sm">
+        {song.orders.map((p, i) => (
+          <div
+            key={i}
+            onClick={() => onJump(i)}
+            className={`px-1 cursor-pointer border ${i === orderPos ? "border-[#7fffd4] bg-[#071214] text-[#7fffd4]" : "border-[#111] text-[#9a9a9a]"}`}
+          >
+            <span className="text-[#555]">{formatHex(i)}:</span>{formatHex(p)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default SongArrangement;
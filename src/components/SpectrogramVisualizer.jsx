@@ -0,0 +1,37 @@
+/*
+SpectrogramVisualizer.jsx
+Scrolling spectrogram of everything playing: time runs right to left,
+frequency is on a log axis from MIN Hz to Nyquist, level is mapped through
+the chosen color map (video/scope.js).
+*/
+import React from 'react';
+import { fitCanvas } from "../video/draw";
+import { colorMapLut, drawFrequencyAxis, drawSpectrogramColumn, logFrequencyBins } from "../video/scope";
+import { useAnalysis } from "./useAnalysis";
+
+function SpectrogramVisualizer({ input, settings }) {
+  const { analysis } = input;
+  const { colorMap, speed, minHz, fftSize, smoothing } = settings;
+  const canvasRef = React.useRef(null);
+  const bins = React.useRef({ key: "", rows: null });
+
+  useAnalysis(analysis, (frame) => {
+    if (!canvasRef.current || !frame?.freq) return;
+    const { ctx, width, height, dpr } = fitCanvas(canvasRef.current);
+    const step = Math.max(1, Math.round(speed * dpr));
+
+    const key = `${height}:${frame.freq.length}:${frame.sampleRate}:${minHz}`;
+    if (bins.current.key !== key) {
+      bins.current = { key, rows: logFrequencyBins(height, frame.freq.length, frame.sampleRate, minHz) };
+    }
+
+    // scroll the history left and paint the newest column at the right edge
+    ctx.drawImage(canvasRef.current, step, 0, width - step, height, 0, 0, width - step, height);
+    drawSpectrogramColumn(ctx, frame.freq, { x: width - step, width: step, height, bins: bins.current.rows, lut: colorMapLut(colorMap) });
+    drawFrequencyAxis(ctx, { height, sampleRate: frame.sampleRate, minHz, fontSize: 9 * dpr });
+  }, { fftSize, smoothing });
+
+  return <canvas ref={canvasRef} className="w-full h-full block bg-black" />;
+}
+
+export default SpectrogramVisualizer;
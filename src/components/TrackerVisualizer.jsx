@@ -1,1108 +1,1142 @@
-/*
-TrackerVisualizer.jsx
-Single-file React component that implements:
- - Pattern editor (Schism Tracker style grid)
- - Channel/instrument list
- - Track visualization (waveform-like simplified view)
- - Brutalist / BIOS inspired UI using Tailwind classes
-
-How to use:
-
-
-Notes:
- - This is a UI-first demo: audio output is simulated (cursor + simple oscillator preview code is included but can be removed).
- - Styling uses Tailwind utility classes; tweak the `bg-...` classes to tune the brutalist palette.
- - Uses inline canvas and SVG for visualization. No external audio libraries required.
-
-*/
-import lamejs from "lamejs";
-import React, { useEffect, useRef, useState } from 'react';
-
-const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
-
-function freqToNoteName(freq) {
-  if (!freq || freq <= 0) return "--";
-  const A4 = 440;
-  const semitones = Math.round(12 * Math.log2(freq / A4));
-  const midi = 69 + semitones;
-  const note = NOTE_NAMES[midi % 12];
-  const octave = Math.floor(midi / 12) - 1;
-  return `${note}${octave}`;
-}
-
-/* -------------------- ADD THESE TWO -------------------- */
-function AudioLengthVisualizer({ audioCtxRef, sourceRef, analyserRef, playing }) {
-  const [progress, setProgress] = React.useState(0);
-  const [currentTime, setCurrentTime] = React.useState(0);
-  const [duration, setDuration] = React.useState(0);
-  const rafRef = React.useRef();
-
-  React.useEffect(() => {
-    if (!playing || !audioCtxRef.current || !sourceRef.current) {
-      cancelAnimationFrame(rafRef.current);
-      setProgress(0);
-      setCurrentTime(0);
-      return;
-    }
-
-    const ctx = audioCtxRef.current;
-    const src = sourceRef.current;
-
-    // We assume sourceRef.current.buffer is an AudioBuffer
-    const total = src.buffer?.duration || 0;
-    setDuration(total);
-
-    const update = () => {
-      if (!ctx || ctx.state !== "running") return;
-      const elapsed = ctx.currentTime - (src.startTime || 0);
-      setCurrentTime(Math.min(elapsed, total));
-      setProgress(total ? Math.min(elapsed / total, 1) : 0);
-      rafRef.current = requestAnimationFrame(update);
-    };
-
-    update();
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [playing, audioCtxRef, sourceRef]);
-
-  const formatTime = (s) => {
-    const m = Math.floor(s / 60);
-    const sec = Math.floor(s % 60);
-    return `${m}:${sec.toString().padStart(2, "0")}`;
-  };
-
-  return (
-    <div className="w-full mt-2">
-      <div className="flex justify-between text-xs font-mono text-[#888] mb-1">
-        <span>{formatTime(currentTime)}</span>
-        <span>{formatTime(duration)}</span>
-      </div>
-      <div
-    className="h-full bg-[#7fffd4] transition-all duration-100 cursor-pointer"
-    style={{ width: `${progress * 100}%` }}
-    onClick={(e) => {
-      if (!audioCtxRef.current || !sourceRef.current || !sourceRef.current.buffer) return;
-
-      const rect = e.currentTarget.getBoundingClientRect();
-      const clickX = e.clientX - rect.left;
-      const newProgress = clickX / rect.width;
-      const newTime = newProgress * sourceRef.current.buffer.duration;
-
-      seekToTime(newTime); // call the function we will define
-    }}
-  />
-      
-    </div>
-  );
- function seekToTime(timeInSeconds) {
-const audioCtx = audioCtxRef.current;
-    const oldSource = sourceRef.current; // use sourceRef instead of oscRef
-    if (!audioCtx || !oldSource || !oldSource.buffer) return;
-
-    try { oldSource.stop(); } catch(e){}
-
-    const newSource = audioCtx.createBufferSource();
-   newSource.buffer = oldSource.buffer;
-    newSource.startTime = audioCtx.currentTime - timeInSeconds; // store starting time
-
-    const newAnalyser = audioCtx.createAnalyser();
-    newAnalyser.fftSize = 2048;
-
-    newSource.connect(newAnalyser);
-    newAnalyser.connect(audioCtx.destination);
-
-    // update refs
-    sourceRef.current = newSource;      // update sourceRef
-    analyserRef.current = newAnalyser;  // update analyserRef
-
-    newSource.start(0, timeInSeconds);
-  };
-}
-
-function AsciiCircleVisualizer({ analyserRef, playing }) {
-  const [face, setFace] = React.useState("(・‿・)");
-  const rafRef = React.useRef();
-
-  // 30 ASCII moods from chill → chaos
-const asciiFaces = [
-  // 0–9: calm & relaxed
-  "(·‿·)", "(・‿・)", "(-‿-)", "(￣‿￣)", "(^‿^)", "(^‿-)", "(o‿o)", "(◕‿◕)", "(＾‿＾)", "(＾▽＾)",
-  // 10–19: playful & alert
-  "(•‿•)", "(¬‿¬)", "(^▽^)", "(・▽・)", "(>‿<)", "(⊙‿⊙)", "(°‿°)", "(ʘ‿ʘ)", "(⊙ᴗ⊙)", "(☆‿☆)",
-  // 20–29: surprised / active
-  "(°o°)", "(⊙o⊙)", "(☉_☉)", "(⊙_☉)", "(◎_◎;)", "(°□°)", "(ᵔoᵔ)", "(◉_◉;)", "(⊙﹏⊙)", "(ʘoʘ)",
-  // 30–39: expressive / intense
-  "(╯°□°）╯", "(╮°-°)╭", "(งಠ_ಠ)ง", "(ง •̀_•́)ง", "(ಠ‿ಠ)", "(ಠ⌣ಠ)", "(ಥ‿ಥ)", "(ಥ﹏ಥ)", "(ಥ_ʖಥ)", "(☠‿☠)",
-  // 40–49: angry / chaotic / energy burst
-  "(ノಠ益ಠ)ノ", "(ノಠ益ಠ)ノ彡┻━┻", "(>_<)", "(≧▽≦)", "(≧︿≦)", "(>﹏<)", "(⌐■_■)", "(ಠ益ಠ)", "(ಠ╭╮ಠ)", "(ノ｀Д´)ノ",
-  // 50–59: transcendent / funky / meme energy
-  "(⊂◉‿◉⊃)", "(☯‿☯)", "(☉‿☉✿)", "(ノ◕ヮ◕)ノ*:･ﾟ✧", "(ノ◕‿◕)ノ", "(✧◡✧)", "(☆▽☆)", "(⌒‿⌒)", "(◕‿◕✿)", "¯\\(°_o)/¯",
-];
-
-  React.useEffect(() => {
-    if (!playing) {
-      cancelAnimationFrame(rafRef.current);
-      setFace("(・‿・)");
-      return;
-    }
-
-    const analyser = analyserRef.current;
-    if (!analyser) return;
-
-    const data = new Uint8Array(analyser.frequencyBinCount);
-    let smooth = 0; // smoothed average to reduce jitter
-
-    const loop = () => {
-      analyser.getByteFrequencyData(data);
-      const avg = data.reduce((a, b) => a + b, 0) / data.length;
-      // simple smoothing
-      smooth = smooth * 0.8 + avg * 0.2;
-
-      const level = Math.min(
-        asciiFaces.length - 1,
-        Math.floor((smooth / 255) * asciiFaces.length)
-      );
-      setFace(asciiFaces[level]);
-
-      rafRef.current = requestAnimationFrame(loop);
-    };
-
-    loop();
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [playing, analyserRef]);
-
-  return (
-    <div className="font-mono text-[#00ff99] text-base flex items-center justify-center h-full select-none transition-all duration-200">
-      <pre className="leading-tight">{face}</pre>
-    </div>
-  );
-
-}
-
-function PatternGridVisualizer({
-  analyserRef,
-  playing,
-}) {
-  const [grid, setGrid] = React.useState([]);
-  const containerRef = React.useRef(null);
-  const rafRef = React.useRef();
-
-  const CHANNELS = 8;
-  const ROWS = 64;
-
-  const smoothFreqs = React.useRef(Array(CHANNELS).fill(0)).current;
-  // initialize grid
-  React.useEffect(() => {
-    setGrid(
-      Array.from({ length: ROWS }, () =>
-        Array.from({ length: CHANNELS }, () => "···")
-      )
-    );
-  }, []);
-
-  // dynamic scroll + reaction to music
-  React.useEffect(() => {
-    if (!playing || !analyserRef.current) {
-      cancelAnimationFrame(rafRef.current);
-      return;
-    }
-
-    const analyser = analyserRef.current;
-    const data = new Uint8Array(analyser.frequencyBinCount);
-    const newGrid = Array.from({ length: ROWS }, () =>
-      Array.from({ length: CHANNELS }, () => "···")
-    );
-
-    let cursor = 0;
-
-    const loop = () => {
-      analyser.getByteFrequencyData(data);
-
-      // Map frequency spectrum into channels
-      const bandsPerChan = Math.floor(data.length / CHANNELS);
-const newRow = [];
-
-for (let c = 0; c < CHANNELS; c++) {
-  const slice = data.slice(c * bandsPerChan, (c + 1) * bandsPerChan);
-  
-  // Find peak bin
-  let peakIdx = 0;
-  let peakVal = 0;
-  slice.forEach((v, i) => {
-    if (v > peakVal) {
-      peakVal = v;
-      peakIdx = i;
-    }
-  });
-
-  // Convert FFT bin to frequency
-  
-const audioCtx = analyser.context || audioCtxRef.current;
-const binFreq = peakIdx * (audioCtx.sampleRate / analyser.fftSize);
-
-// smooth frequency to reduce jitter
-smoothFreqs[c] = (smoothFreqs[c] || 0) * 0.7 + binFreq * 0.3;
-
-  // Show note only if amplitude is above threshold
-  const note = peakVal < 10 ? "--" : freqToNoteName(binFreq);
-  newRow.push(note);
-}
-
-newGrid[cursor] = newRow;
-setGrid([...newGrid]);
-
-      cursor = (cursor + 1) % ROWS;
-      if (containerRef.current) {
-        containerRef.current.scrollTop =
-          (cursor / ROWS) * containerRef.current.scrollHeight;
-      }
-
-      rafRef.current = requestAnimationFrame(loop);
-    };
-
-    rafRef.current = requestAnimationFrame(loop);
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [playing, analyserRef]);
-
-  return (
-    <div
-      ref={containerRef}
-      className="border border-[#0f0f0f] bg-[#020202] rounded-sm font-mono text-xs text-[#00ff99] overflow-y-hidden max-h-[280px]"
-    >
-      {grid.map((row, r) => (
-        <div
-          key={r}
-          className={`flex border-b border-[#0a0a0a] ${
-            r === grid.length - 1
-              ? "text-[#00ffaa] bg-[#002a1a]"
-              : ""
-          }`}
-        >
-          <div className="w-10 text-right pr-2 text-[#00ff99aa]">
-            {r.toString().padStart(3, "0")}
-          </div>
-          {row.map((cell, c) => (
-            <div
-              key={c}
-              className="flex-1 px-1 border-l border-[#002b1e] text-center"
-            >
-              {cell}
-            </div>
-          ))}
-        </div>
-      ))}
-    </div>
-  );
-}
-
-
-
-/* -------------------- END ADDITION -------------------- */
-
-
-
-export default function TrackerVisualizer() {
-  const CHANNELS = 8;
-  const ROWS = 64;
-
-  // Generate empty pattern (channels x rows)
-  const makePattern = () => Array.from({ length: CHANNELS }, () => Array.from({ length: ROWS }, () => ({ note: "--", instr: "--", vol: "--" })));
-
-  const [pattern, setPattern] = useState(makePattern);
-  const [playing, setPlaying] = useState(false);
-  const [cursorRow, setCursorRow] = useState(0);
-  const [bpm, setBpm] = useState(125);
-  const [selectedChan, setSelectedChan] = useState(0);
-  const [tempoMs, setTempoMs] = useState(125);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const audioCtxRef = useRef(null);
-  const oscRef = useRef(null);
-  const rafRef = useRef(null);
-  const lastTickRef = useRef(performance.now());
-  const analyserRef = useRef(null);
-  useEffect(() => {
-    setTempoMs(Math.round((60_000 / bpm) / 4)); // quarter-step per row approximation
-  }, [bpm]);
-
-  useEffect(() => {
-    if (!playing) {
-      cancelAnimationFrame(rafRef.current);
-      if (oscRef.current) {
-        try { oscRef.current.stop(); } catch(e){}
-        oscRef.current = null;
-      }
-      return;
-    }
-
-    // Initialize audio context when starting
-    if (!audioCtxRef.current) {
-      audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    }
-
-    lastTickRef.current = performance.now();
-
-    const tick = (t) => {
-      const elapsed = t - lastTickRef.current;
-      if (elapsed >= tempoMs) {
-        // move cursor
-        setCursorRow(r => (r + 1) % ROWS);
-        lastTickRef.current = t;
-
-        // play simple click/osc for active notes in the row
-        playRow(cursorRow);
-      }
-      rafRef.current = requestAnimationFrame(tick);
-    };
-    rafRef.current = requestAnimationFrame(tick);
-
-    return () => cancelAnimationFrame(rafRef.current);
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [playing, tempoMs]);
-
-  const playRow = (row) => {
-    if (!audioCtxRef.current) return;
-    // Simple per-channel tone based on channel index — just for demo
-    const ctx = audioCtxRef.current;
-    const now = ctx.currentTime;
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.type = 'sawtooth';
-    osc.frequency.value = 110 + (selectedChan * 30);
-    gain.gain.value = 0.05; // low volume
-    osc.connect(gain).connect(ctx.destination);
-    osc.start(now);
-    osc.stop(now + 0.06);
-  };
-
-  const togglePlay = async () => {
-    if (!audioCtxRef.current) audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-    if (audioCtxRef.current.state === 'suspended') await audioCtxRef.current.resume();
-    setPlaying(p => !p);
-  };
-
-  const editCell = (chan, row) => {
-    const newPattern = pattern.map(c => c.slice());
-    const cell = { ...newPattern[chan][row] };
-    // simple demo editing: cycle note placeholder
-    const options = ['C-4', 'D-4', 'E-4', 'F-4', 'G-4', '--'];
-    const idx = options.indexOf(cell.note) >= 0 ? (options.indexOf(cell.note) + 1) % options.length : 0;
-    cell.note = options[idx];
-    newPattern[chan][row] = cell;
-    setPattern(newPattern);
-  };
-
-  // Canvas visualization for waveform-like per-channel bar
-  const visRef = useRef(null);
-  useEffect(() => {
-    const canvas = visRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext('2d');
-    const w = canvas.width = canvas.clientWidth * devicePixelRatio;
-    const h = canvas.height = canvas.clientHeight * devicePixelRatio;
-    ctx.clearRect(0,0,w,h);
-
-    // brutalist grid + bars
-    const pad = 8 * devicePixelRatio;
-    const barH = (h - pad*2) / CHANNELS;
-    for (let c=0;c<CHANNELS;c++){
-      const x = pad;
-      const y = pad + c*barH + 4*devicePixelRatio;
-      // compute intensity from how many non-empty notes in channel
-      const active = pattern[c].reduce((acc,cell)=> acc + (cell.note !== '--' ? 1 : 0),0);
-      const ratio = active / ROWS;
-      // background block
-      ctx.fillStyle = '#0b0b0b';
-      ctx.fillRect(x, y, w - pad*2, barH - 6*devicePixelRatio);
-      // active bar
-      ctx.fillStyle = '#7fffd4';
-      ctx.fillRect(x+4*devicePixelRatio, y+4*devicePixelRatio, Math.max(2, (w - pad*2 - 8*devicePixelRatio) * ratio), barH - 14*devicePixelRatio);
-
-      // channel label
-      ctx.fillStyle = '#cfcfcf';
-      ctx.font = `${12*devicePixelRatio}px monospace`;
-      ctx.fillText(`CH ${String(c).padStart(2,'0')}  ${active} notes`, x + 6*devicePixelRatio, y + 12*devicePixelRatio);
-    }
-  }, [pattern]);
-
-  // keyboard navigation: arrow keys to move cursor
-  useEffect(() => {
-    const onKey = (e) => {
-      if (e.key === ' ') { e.preventDefault(); togglePlay(); }
-      if (e.key === 'ArrowDown') setCursorRow(r => Math.min(ROWS-1, r+1));
-      if (e.key === 'ArrowUp') setCursorRow(r => Math.max(0, r-1));
-      if (e.key === 'ArrowRight') setSelectedChan(c => Math.min(CHANNELS-1, c+1));
-      if (e.key === 'ArrowLeft') setSelectedChan(c => Math.max(0, c-1));
-    };
-    window.addEventListener('keydown', onKey);
-    return () => window.removeEventListener('keydown', onKey);
-  }, []);
-
-// Render the current pattern into an OfflineAudioContext and return an AudioBuffer
-async function renderToBuffer(pattern, bpm, secondsLimit = 120) {
-  // estimate length from pattern rows and bpm: row length = quarter note / 4
-  const rows = pattern[0].length;
-  const rowDur = (60 / bpm) / 4;
-  const estimatedSeconds = Math.min(secondsLimit, rows * rowDur + 1);
-  const sampleRate = 44100;
-  const channels = 2;
-  const offlineCtx = new (window.OfflineAudioContext || window.webkitOfflineAudioContext)(channels, Math.ceil(sampleRate * estimatedSeconds), sampleRate);
-
-  const master = offlineCtx.createGain();
-  master.gain.value = 0.9;
-  master.connect(offlineCtx.destination);
-
-  // For each channel and row, schedule a short note when the cell has a note
-  for (let ci = 0; ci < pattern.length; ci++) {
-    const chan = pattern[ci];
-    for (let ri = 0; ri < chan.length; ri++) {
-      const cell = chan[ri];
-      if (!cell || cell.note === '--') continue;
-
-      const t = ri * rowDur;
-      // very simple mapping of note -> frequency (demo). Replace with proper note->freq mapping if you have one.
-      // if cell.note like 'C-4', you can parse and map — here we use channel-based pitch for simplicity
-      const freq = 110 + ci * 30;
-
-      const osc = offlineCtx.createOscillator();
-      osc.type = 'sawtooth';
-      osc.frequency.value = freq;
-
-      const env = offlineCtx.createGain();
-      env.gain.value = 0;
-      osc.connect(env).connect(master);
-
-      // simple ADSR-ish envelope
-      const noteDur = 0.12; // seconds
-      env.gain.setValueAtTime(0, t);
-      env.gain.linearRampToValueAtTime(0.12, t + 0.005);
-      env.gain.linearRampToValueAtTime(0.03, t + noteDur * 0.5);
-      env.gain.linearRampToValueAtTime(0, t + noteDur);
-
-      osc.start(t);
-      osc.stop(t + noteDur + 0.02);
-    }
-  }
-
-  const rendered = await offlineCtx.startRendering();
-  return rendered;
-}
-
-// Convert AudioBuffer -> WAV Blob
-function audioBufferToWav(buffer) {
-  const numOfChan = buffer.numberOfChannels;
-  const sampleRate = buffer.sampleRate;
-  const format = 1; // PCM
-  const bitDepth = 16;
-
-  const interleaved = (() => {
-    const length = buffer.length * numOfChan;
-    const result = new Float32Array(length);
-    let offset = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      for (let ch = 0; ch < numOfChan; ch++) {
-        result[offset++] = buffer.getChannelData(ch)[i];
-      }
-    }
-    return result;
-  })();
-
-  const bytesPerSample = bitDepth / 8;
-  const blockAlign = numOfChan * bytesPerSample;
-  const bufferLength = 44 + interleaved.length * bytesPerSample;
-  const arrayBuffer = new ArrayBuffer(bufferLength);
-  const view = new DataView(arrayBuffer);
-
-  function writeString(view, offset, string) {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i));
-    }
-  }
-
-  // RIFF chunk descriptor
-  writeString(view, 0, 'RIFF');
-  view.setUint32(4, 36 + interleaved.length * bytesPerSample, true);
-  writeString(view, 8, 'WAVE');
-
-  // fmt sub-chunk
-  writeString(view, 12, 'fmt ');
-  view.setUint32(16, 16, true); // subchunk1Size (16 for PCM)
-  view.setUint16(20, format, true); // audio format 1=PCM
-  view.setUint16(22, numOfChan, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, sampleRate * blockAlign, true); // byte rate
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, bitDepth, true);
-
-  // data sub-chunk
-  writeString(view, 36, 'data');
-  view.setUint32(40, interleaved.length * bytesPerSample, true);
-
-  // write PCM samples
-  let offset = 44;
-  for (let i = 0; i < interleaved.length; i++, offset += 2) {
-    // clamp
-    let s = Math.max(-1, Math.min(1, interleaved[i]));
-    view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
-  }
-
-  return new Blob([view], { type: 'audio/wav' });
-}
-
-// Convert WAV Blob -> MP3 Blob using lamejs
-async function wavBlobToMp3Blob(wavBlob) {
-  // read WAV as ArrayBuffer
-  const arrayBuffer = await wavBlob.arrayBuffer();
-  const view = new DataView(arrayBuffer);
-
-  // read WAV header (simple)
-  function readInt(offset, bytes, littleEndian = true) {
-    if (bytes === 2) return view.getInt16(offset, littleEndian);
-    if (bytes === 4) return view.getInt32(offset, littleEndian);
-    return 0;
-  }
-  // assume stereo or mono 16-bit PCM
-  const numChannels = view.getUint16(22, true);
-  const sampleRate = view.getUint32(24, true);
-  const bitsPerSample = view.getUint16(34, true);
-  const dataOffset = 44;
-  const samples = new Int16Array(arrayBuffer, dataOffset);
-
-  // If interleaved stereo, split into two arrays for encoder
-  let left, right;
-  if (numChannels === 2) {
-    left = new Int16Array(samples.length / 2);
-    right = new Int16Array(samples.length / 2);
-    for (let i = 0, j = 0; i < samples.length; i += 2, j++) {
-      left[j] = samples[i];
-      right[j] = samples[i + 1];
-    }
-  } else {
-    left = samples;
-    right = samples;
-  }
-
-  const mp3enc = new lamejs.Mp3Encoder(numChannels, sampleRate, 128);
-  const chunkSize = 1152;
-  const mp3Data = [];
-
-  for (let i = 0; i < left.length; i += chunkSize) {
-    const leftChunk = left.subarray(i, i + chunkSize);
-    const rightChunk = right.subarray(i, i + chunkSize);
-    const mp3buf = numChannels === 2
-      ? mp3enc.encodeBuffer(leftChunk, rightChunk)
-      : mp3enc.encodeBuffer(leftChunk);
-    if (mp3buf.length > 0) mp3Data.push(mp3buf);
-  }
-  const end = mp3enc.flush();
-  if (end.length > 0) mp3Data.push(end);
-
-  return new Blob(mp3Data, { type: 'audio/mpeg' });
-}
-
-// Helper to download a blob
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  document.body.appendChild(a);
-  a.click();
-  a.remove();
-  setTimeout(() => URL.revokeObjectURL(url), 10000);
-}
-
-// Load a file (WAV, MP3, OGG, etc.) into an AudioBuffer
-async function importAudioFile(file) {
-  if (!file) return null;
-
-  try {
-    const arrayBuffer = await file.arrayBuffer();
-    const audioCtx = audioCtxRef.current || new (window.AudioContext || window.webkitAudioContext)();
-    audioCtxRef.current = audioCtx;
-    
-    return await audioCtx.decodeAudioData(arrayBuffer);
-  } catch (err) {
-    console.error("Error decoding audio file:", err);
-    return null;
-  }
-}
-
-
-// Example: visualize or preview the imported sound
-async function previewAudioBuffer(audioBuffer) {
-  if (!audioBuffer) return;
-
-  if (!audioCtxRef.current) {
-    audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
-  }
-  const audioCtx = audioCtxRef.current;
-  if (audioCtx.state === "suspended") await audioCtx.resume();
-
-  const source = audioCtx.createBufferSource();
-  source.buffer = audioBuffer;
-  oscRef.current = source;
-  
-  const analyser = audioCtx.createAnalyser();
-  analyser.fftSize = 2048;
-  source.connect(analyser);
-  analyser.connect(audioCtx.destination);
-
-  source.start();
-  analyserRef.current = analyser;
-
-  // wait 50ms for React to render the canvas
-  setIsPlaying(true);
-  source.onended = () => setIsPlaying(false);
-  setTimeout(() => startVisualizer(analyser), 50);
-}
-
-function startVisualizer(analyser = analyserRef.current) {
-  const canvas = visRef.current;
-  if (!canvas) return;
-  const ctx = canvas.getContext("2d");
-
-  const dpr = window.devicePixelRatio || 1;
-  const width = canvas.clientWidth * dpr;
-  const height = canvas.clientHeight * dpr;
-  canvas.width = width;
-  canvas.height = height;
-
-  const fontSize = 12 * dpr;
-  ctx.font = `${fontSize}px monospace`;
-  ctx.textBaseline = "top";
-  ctx.textAlign = "center";
-
-  const bufferLength = analyser.frequencyBinCount;
-  const dataArray = new Uint8Array(bufferLength);
-
-  const charWidth = fontSize * 0.6; // tighten horizontal step
-  const cols = Math.floor(width / charWidth);
-  const rows = Math.floor(height / fontSize);
-  const step = Math.floor(bufferLength / cols);
-
-  function draw() {
-    requestAnimationFrame(draw);
-    analyser.getByteFrequencyData(dataArray);
-
-    // subtle trail fade
-    ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
-    ctx.fillRect(0, 0, width, height);
-
-    ctx.fillStyle = "#00ff66";
-
-    for (let x = 0; x < cols; x++) {
-      const value = dataArray[x * step];
-      const barHeight = Math.floor((value / 255) * rows);
-
-      for (let y = 0; y < rows; y++) {
-        // Top row of each bar = @
-        // Below = filled with #
-        const char =
-          y > rows - barHeight
-            ? (y === rows - barHeight + 1 ? "@" : "#")
-            : " ";
-        ctx.fillText(char, x * charWidth + charWidth / 2, y * fontSize);
-      }
-    }
-  }
-
-  draw();
-}
-
-async function renderToVideo() {
-  const canvas = visRef.current;
-  if (!canvas) {
-    alert("No canvas to record!");
-    return;
-  }
-
-  const buffer = await renderToBuffer(pattern, bpm, 180);
-  const wavBlob = audioBufferToWav(buffer);
-  const arrayBuffer = await wavBlob.arrayBuffer();
-
-  const ctx = new AudioContext();
-  const audioBuffer = await ctx.decodeAudioData(arrayBuffer);
-
-  const dest = ctx.createMediaStreamDestination();
-  const source = ctx.createBufferSource();
-  source.buffer = audioBuffer;
-  source.connect(dest);
-  source.connect(ctx.destination);
-
-  const stream = canvas.captureStream(60);
-  const combined = new MediaStream([
-    ...stream.getVideoTracks(),
-    ...dest.stream.getAudioTracks(),
-  ]);
-
-  const mime = MediaRecorder.isTypeSupported("video/webm;codecs=vp9")
-    ? "video/webm;codecs=vp9"
-    : "video/webm";
-  const recorder = new MediaRecorder(combined, { mimeType: mime });
-
-  const chunks = [];
-  recorder.ondataavailable = (e) => chunks.push(e.data);
-  recorder.onstop = async () => {
-    const blob = new Blob(chunks, { type: mime });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "tracker_render.webm";
-    a.click();
-    URL.revokeObjectURL(url);
-  };
-
-  recorder.start();
-  source.start();
-
-  console.log("Rendering to video...");
-  await ctx.resume();
-
-  await new Promise((res) => {
-    source.onended = res;
-  });
-
-  recorder.stop();
-  console.log("Render complete.");
-}
-
-  
-  return (
-    <div className="min-h-screen p-6 bg-[#0a0a0a] text-[#cfcfcf] font-sans">
-      <div className="max-w-full mx-auto grid grid-cols-12 gap-4">
-        {/* Left: tracker / pattern editor */}
-        <div className="col-span-8 p-4 rounded-md border border-[#202020] bg-[#070707] shadow-lg">
-          <div className="flex items-center justify-between mb-3">
-            <h1 className="text-xl font-mono">TRACKER VISUALIZER</h1>
-            <div className="flex gap-2 items-center">
-              <button onClick={togglePlay} className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm">{playing ? 'STOP' : 'PLAY'}</button>
-              <label className="font-mono text-sm">BPM<input value={bpm} onChange={e=>setBpm(Number(e.target.value)||1)} className="ml-2 w-20 bg-transparent border border-[#222] p-1 text-right"/></label>
-            </div>
-          </div>
-          <div className="controls space-x-2 mt-4">
-
-  {/* IMPORT */}
-  <label className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm cursor-pointer">
-    IMPORT AUDIO
-    <input
-      type="file"
-      accept="audio/*"
-      style={{ display: "none" }}
-    onChange={async (e) => {
-  const file = e.target.files[0];
-  if (!file) return;
-
-  const buffer = await importAudioFile(file);
-  if (!buffer) {
-    alert(`Failed to load "${file.name}". See console for details.`);
-    return;
-  }
-
-  // Resume AudioContext before starting
-  if (audioCtxRef.current.state === 'suspended') await audioCtxRef.current.resume();
-
-  previewAudioBuffer(buffer);
-  alert(`Loaded: ${file.name}`);
-}}
-
-
-    />
-  </label>
-
-  {/* EXPORTS */}
-  <button
-    onClick={async () => {
-      const buffer = await renderToBuffer(pattern, bpm, 180);
-      const wavBlob = audioBufferToWav(buffer);
-      downloadBlob(wavBlob, "tracker_export.wav");
-    }}
-    className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm"
-  >
-    EXPORT WAV
-  </button>
-
-  <button
-    onClick={async () => {
-      const buffer = await renderToBuffer(pattern, bpm, 180);
-      const wavBlob = audioBufferToWav(buffer);
-      const mp3Blob = await wavBlobToMp3Blob(wavBlob);
-      downloadBlob(mp3Blob, "tracker_export.mp3");
-    }}
-    className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm ml-2"
-  >
-    EXPORT MP3
-  </button>
- 
-  
-
-
-</div>
-
-          <div className="grid grid-cols-8 gap-1 bg-[#050505] p-2 rounded-sm">
-            {/* channels header */}
-            {Array.from({length: CHANNELS}).map((_,ci)=> (
-              <div key={ci} className={`p-1 text-xs font-mono border-r border-[#111] ${ci===selectedChan ? 'bg-[#0f1720]' : ''}`}>CH {ci}</div>
-            ))}
-          </div>
-
-          {/* HEX CONSOLE VISUALIZER */}
-<div className="relative h-[420px] mt-2 border border-[#111] bg-[#020202] rounded-sm overflow-hidden">
-  <HexConsoleVisualizer analyserRef={analyserRef} playing={isPlaying} />
-</div>
-
-{/* PATTERN GRID (tracker-like) — placed under hex console */}
-<div className="mt-2">
-  <PatternGridVisualizer
-  analyserRef={analyserRef}
-  playing={isPlaying}
-/>
-</div>
-
-        </div>
-
-        {/* Right: instruments + visualization */}
-        <div className="col-span-4 flex flex-col gap-4">
-         {/* INSTRUMENTS PANEL */}
-<div className="p-4 rounded-md border border-[#222] bg-[#060606] flex flex-col gap-4">
-  
-  {/* --- TOP HALF: AUDIO LENGTH + VISUALIZER --- */}
-  <div className="flex flex-col items-center justify-center text-center border-b border-[#111] pb-3">
-    <h2 className="font-mono text-sm mb-1 text-[#7fffd4]">AUDIO LENGTH</h2>
-    <div className="font-mono text-xs text-[#9a9a9a]">
-      {isPlaying ? "Playing..." : "Idle"}
-    </div>
-    <AudioLengthVisualizer
-  audioCtxRef={audioCtxRef}
-  sourceRef={oscRef}       // pass oscRef here
-  analyserRef={analyserRef} // if you need analyserRef inside
-  playing={isPlaying}
-/>
-
-  </div>
-
-  {/* --- BOTTOM HALF: INSTRUMENTS + ASCII CIRCLE --- */}
-  <div className="grid grid-cols-2 gap-2">
-    {/* Instruments list (left) */}
-    <div className="flex flex-col gap-2">
-      {Array.from({ length: 4 }).map((_, i) => (
-        <div
-          key={i}
-          onClick={() => setSelectedChan(i)}
-          className={`p-2 rounded-sm cursor-pointer font-mono text-sm border ${
-            selectedChan === i
-              ? "border-[#7fffd4] bg-[#071214]"
-              : "border-[#111]"
-          }`}
-        >
-          <div>Inst {i}</div>
-          <div className="text-[11px] text-[#8a8a8a]">saw / demo</div>
-        </div>
-      ))}
-    </div>
-
-    {/* ASCII Circle (right) */}
-    <AsciiCircleVisualizer analyserRef={analyserRef} playing={isPlaying} />
-  </div>
-</div>
-
-
-          <div className="p-4 rounded-md border border-[#222] bg-[#060606] flex-1 flex flex-col">
-            <h2 className="font-mono text-sm mb-2">TRACK VISUALIZATION</h2>
-            <div className="flex-1">
-              <canvas ref={visRef} className="w-full h-40 rounded-sm border border-[#111]" />
-            </div>
-            <div className="mt-3 flex items-center justify-between">
-              <div className="text-xs font-mono">Cursor Row: {cursorRow}</div>
-              <div className="text-xs font-mono">Selected CH: {selectedChan}</div>
-            </div>
-          </div>
-
-          <div className="p-3 rounded-md border border-[#222] bg-[#060606]">
-            <div className="font-mono text-sm mb-2">EXPORT / HELP</div>
-            <button
-  onClick={renderToVideo}
-  className="px-3 py-1 mt-2 border border-[#333] rounded-sm font-mono text-sm w-full"
->
-  EXPORT MP4 (VIDEO)
-</button>
-            <div className="text-[12px] text-[#9a9a9a] font-mono">rawr add you track by import button and look at visual.</div>
-          </div>
-        </div>
-
-      </div>
-
-      <footer className="mt-6 text-[12px] font-mono text-[#6a6a6a]">
-        made by sw1tch... sorry for shitcode
-      </footer>
-    </div>
-  );
-  function HexConsoleVisualizer({ analyserRef, playing }) {
-  const [lines, setLines] = React.useState([]);
-  const containerRef = React.useRef(null);
-  const rafRef = React.useRef();
-
-  React.useEffect(() => {
-    if (!playing) {
-      cancelAnimationFrame(rafRef.current);
-      return;
-    }
-
-    const analyser = analyserRef.current;
-    if (!analyser) return;
-
-    const bufferLength = analyser.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
-    const bands = [
-      { name: "BASS", range: [0, 64] },
-      { name: "MID", range: [65, 256] },
-      { name: "HIGH", range: [257, 1024] },
-    ];
-
-    const loop = () => {
-      analyser.getByteFrequencyData(dataArray);
-
-      const energy = (arr, [start, end]) => {
-        let sum = 0;
-        for (let i = start; i < end && i < arr.length; i++) sum += arr[i];
-        return sum / (end - start);
-      };
-
-      const bandData = bands.map(b => {
-        const val = energy(dataArray, b.range);
-        const level = Math.floor((val / 255) * 15);
-        const hex = level.toString(16).toUpperCase().padStart(2, "0");
-        const bar = "█".repeat(Math.floor(level / 3)) + " ".repeat(5 - Math.floor(level / 3));
-        return `[${b.name}] ${hex} ${bar}`;
-      });
-
-      const avgVolume = Math.round(
-        dataArray.reduce((a, b) => a + b, 0) / dataArray.length
-      );
-      const volumeMeter = "■".repeat(Math.floor((avgVolume / 255) * 8)).padEnd(8, "·");
-
-      const time = new Date().toISOString().split("T")[1].split("Z")[0];
-      const newLine = `[${time}] ${bandData.join("  ")}   VOL:${volumeMeter}`;
-
-      setLines(prev => {
-        const next = [...prev, newLine];
-        return next.slice(-80); // keep last 80 lines
-      });
-
-      rafRef.current = requestAnimationFrame(loop);
-    };
-
-    rafRef.current = requestAnimationFrame(loop);
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [playing, analyserRef]);
-
-  // autoscroll
-  React.useEffect(() => {
-    if (containerRef.current)
-      containerRef.current.scrollTop = containerRef.current.scrollHeight;
-  }, [lines]);
-
-  return (
-    <div
-      ref={containerRef}
-      className="absolute inset-0 overflow-hidden font-mono text-[11px] leading-tight p-2 text-[#00ff99]"
-      style={{
-        whiteSpace: "pre",
-        overflowY: "auto",
-        fontFamily: "monospace",
-        backgroundColor: "#020202",
-      }}
-    >
-      {lines.map((line, i) => (
-        <div
-    key={i}
-    className={`transition-all duration-700 ${
-      i > lines.length - 4 ? "opacity-100" : "opacity-50"
-    }`}
-    style={{
-      // recent lines glow a bit brighter and shift color slightly
-      color: i === lines.length - 1
-        ? '#00ffaa' // active, bright mint
-        : i > lines.length - 4
-        ? '#00ff99' // near-recent lines
-        : '#008866', // old faded ones
-      textShadow:
-        i === lines.length - 1
-          ? '0 0 4px #00ffaa, 0 0 8px #00ffaa'
-          : '0 0 2px #006644',
-      filter: i === lines.length - 1 ? 'brightness(1.3)' : 'none',
-    }}
-  >
-    {line}
-        </div>
-      ))}
-    </div>
-  );
-}
-
-
-    /* function HexConsoleVisualizer({ analyserRef, playing }) {
-    const [lines, setLines] = React.useState([]);
-  const containerRef = React.useRef(null);
-  const rafRef = React.useRef();
-
-  React.useEffect(() => {
-    if (!playing) {
-      cancelAnimationFrame(rafRef.current);
-      return;
-    }
-
-    const analyser = analyserRef.current;
-    if (!analyser) return;
-
-    const bufferLength = 128;
-    const dataArray = new Uint8Array(bufferLength);
-
-    const loop = () => {
-      analyser.getByteFrequencyData(dataArray);
-
-      // Convert energy into hex-like string
-      const chunk = Array.from(dataArray.slice(0, 32))
-        .map(v => (Math.floor((v / 255) * 15)).toString(16).toUpperCase())
-        .join(" ");
-
-      const time = new Date().toISOString().split("T")[1].split("Z")[0];
-      const newLine = `[${time}]  ${chunk}`;
-
-      setLines(prev => {
-        const next = [...prev, newLine];
-        // keep recent 60 lines
-        return next.slice(-60);
-      });
-
-      rafRef.current = requestAnimationFrame(loop);
-    };
-
-    rafRef.current = requestAnimationFrame(loop);
-    return () => cancelAnimationFrame(rafRef.current);
-  }, [playing, analyserRef]);
-
-  // auto-scroll
-  React.useEffect(() => {
-    if (containerRef.current) {
-      containerRef.current.scrollTop = containerRef.current.scrollHeight;
-    }
-  }, [lines]);
-
-  return (
-    <div
-      ref={containerRef}
-      className="absolute inset-0 overflow-hidden font-mono text-[11px] leading-tight p-2 text-[#00ff99]"
-      style={{
-        whiteSpace: "pre",
-        overflowY: "auto",
-        fontFamily: "monospace",
-        backgroundColor: "#020202",
-      }}
-    >
-      {lines.map((line, i) => (
-        <div key={i} className="opacity-90">{line}</div>
-      ))}
-    </div>
-  );
-} */
-
-}
+/*
+TrackerVisualizer.jsx
+Single-file React component that implements:
+ - Pattern editor (Schism Tracker style grid)
+ - Channel/instrument list
+ - Track visualization (waveform-like simplified view)
+ - Brutalist / BIOS inspired UI using Tailwind classes
+
+How to use:
+
+
+Notes:
+ - This is a UI-first demo: audio output is simulated (cursor + simple oscillator preview code is included but can be removed).
+ - Styling uses Tailwind utility classes; tweak the `bg-...` classes to tune the brutalist palette.
+ - Uses inline canvas and SVG for visualization. No external audio libraries required.
+
+*/
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { EMPTY_NOTE, NOTE_OFF, noteToFreq, pianoKeyToNote } from "../audio/notes";
+import { CELL_COLUMNS, columnField, emptyValue, formatHex, typeIntoField } from "../audio/pattern";
+import { makeSong, patternRows, setCell } from "../audio/song";
+import { instrumentLabel, makeInstruments, makeSampleInstrument, makeSynthInstrument, startVoice } from "../audio/instruments";
+import { createScheduler } from "../audio/scheduler";
+import { setMaster } from "../audio/master";
+import { createAnalysisEngine, createMonitorBus } from "../audio/analysis";
+import { createBufferPlayer } from "../audio/player";
+import { detectBeats } from "../audio/beats";
+import { renderToBuffer } from "../audio/render";
+import { scheduleSong } from "../audio/sequencer";
+import { markersText, renderStems, STEM_MODES } from "../audio/stems";
+import { LOUDNESS_TARGETS, normalizeLoudness } from "../audio/loudness";
+import { mixStrip, setStrip } from "../audio/mixer";
+import { setFx } from "../audio/sends";
+import { loadMod } from "../formats/mod";
+import { isXm, loadXm } from "../formats/xm";
+import { openProject, PROJECT_EXTENSION, saveProject } from "../formats/project";
+import { makeZip } from "../formats/zip";
+import { encodeWav } from "../formats/wav";
+import { encodeMp3 } from "../formats/mp3";
+import { renderVideo, VIDEO_RESOLUTIONS, VIDEO_SAMPLE_RATE } from "../video/encode";
+import { createScene } from "../video/scene";
+import { DEFAULT_LAYOUT, layoutSize, VIDEO_LAYOUTS } from "../video/layouts";
+import { createSongFeed } from "../video/songFeed";
+import {
+  deleteProject, duplicateProject, getCurrentProjectId, listProjects, loadProject,
+  renameProject, setCurrentProjectId, storeProject,
+} from "../storage/library";
+import { loadVisualizerConfig, saveVisualizerConfig } from "../storage/visualizers";
+import ImportSummary from "./ImportSummary";
+import ProjectLibrary from "./ProjectLibrary";
+import InstrumentEditor from "./InstrumentEditor";
+import Mixer from "./Mixer";
+import SendEffects from "./SendEffects";
+import MasterChain from "./MasterChain";
+import PatternEditor from "./PatternEditor";
+import SongArrangement from "./SongArrangement";
+import WavExportDialog from "./WavExportDialog";
+import Mp3ExportDialog from "./Mp3ExportDialog";
+import VideoExportDialog from "./VideoExportDialog";
+import VisualizerPanel from "./VisualizerPanel";
+import WaveformOverview from "./WaveformOverview";
+
+export default function TrackerVisualizer() {
+  const CHANNELS = 8;
+  const ROWS = 64;
+  const AUTOSAVE_DELAY_MS = 2000;
+
+  const [song, setSong] = useState(() => makeSong(CHANNELS, ROWS));
+  const [editPattern, setEditPattern] = useState(0); // pattern shown in the editor
+  const [orderPos, setOrderPos] = useState(0);       // selected / playing order list entry
+  const pattern = song.patterns[editPattern] || song.patterns[0];
+  const rows = patternRows(pattern);
+  const [playing, setPlaying] = useState(false);
+  const [cursorRow, setCursorRow] = useState(0);
+  const [bpm, setBpm] = useState(125);
+  const [selectedChan, setSelectedChan] = useState(0);
+  const [cursorCol, setCursorCol] = useState(0); // index into CELL_COLUMNS
+  const [octave, setOctave] = useState(4);
+  const [editStep, setEditStep] = useState(1);
+  const [currentInstr, setCurrentInstr] = useState(1);
+  const [instruments, setInstruments] = useState(() => makeInstruments());
+  const [lastImport, setLastImport] = useState(null); // { buffer, name } of the last IMPORT AUDIO
+  const [importSummary, setImportSummary] = useState(null); // shown after a module import
+  const [projectId, setProjectId] = useState(null);      // library entry being autosaved
+  const [projectName, setProjectName] = useState("untitled");
+  const [projects, setProjects] = useState([]);          // library listing
+  const [libraryStatus, setLibraryStatus] = useState("");
+  const [libraryReady, setLibraryReady] = useState(false); // no autosave until the restore has run
+  const [normalize, setNormalize] = useState({ on: false, target: -14, ceiling: -1 }); // export loudness
+  const [loudnessReport, setLoudnessReport] = useState(null);
+  const [stemOptions, setStemOptions] = useState({ by: "channel", mix: true, markers: true });
+  const [stemProgress, setStemProgress] = useState(null); // text while stems render
+  const [wavOptions, setWavOptions] = useState({
+    sampleRate: 44100, bitDepth: 16, dither: true, title: "", artist: "", comment: "", loop: false,
+  });
+  const [wavDialogOpen, setWavDialogOpen] = useState(false);
+  const [wavBusy, setWavBusy] = useState(false);
+  const [mp3Options, setMp3Options] = useState({
+    bitrate: 192, vbr: false, quality: 2, mono: false, title: "", artist: "", bpm: "", cover: null,
+  });
+  const [mp3DialogOpen, setMp3DialogOpen] = useState(false);
+  const [mp3Progress, setMp3Progress] = useState(null); // 0..1 while exporting
+  const mp3AbortRef = useRef(null);
+  const [videoOptions, setVideoOptions] = useState({
+    resolution: 1, fps: 30, container: "mp4",
+    layout: DEFAULT_LAYOUT, panels: VIDEO_LAYOUTS[DEFAULT_LAYOUT].panels, showTitle: true, showProgress: true,
+  });
+  const [videoDialogOpen, setVideoDialogOpen] = useState(false);
+  const [videoProgress, setVideoProgress] = useState(null); // 0..1 while exporting
+  const videoAbortRef = useRef(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const projectIdRef = useRef(null);
+  const audioCtxRef = useRef(null);
+  const playerRef = useRef(null); // transport for the buffer in the waveform overview
+  const [overview, setOverview] = useState(null); // { buffer, name } in the player
+  const [loop, setLoop] = useState(null);         // { start, end, enabled } A–B region
+  const [renderingOverview, setRenderingOverview] = useState(false);
+  const [beatGrid, setBeatGrid] = useState(null); // { buffer, bpm, beats, downbeats, onsets } of an imported file
+  const beatGridRef = useRef(null);
+  const [beatProgress, setBeatProgress] = useState(null); // 0..1 while detecting beats
+  const beatAbortRef = useRef(null);
+  const songRef = useRef(song);
+  const instrumentsRef = useRef(instruments);
+  const bpmRef = useRef(bpm);
+  const playingRef = useRef(playing);   // read by togglePlay, which the keyboard handler keeps from an older render
+  const orderPosRef = useRef(orderPos);
+  const posRef = useRef({ order: 0, row: 0 }); // where the next PLAY starts
+  const schedulerRef = useRef(null);
+  const songFeedRef = useRef(null); // rows heard while the song plays, for the visualizers
+  const [visualizerConfig, setVisualizerConfig] = useState(loadVisualizerConfig);
+  useEffect(() => { saveVisualizerConfig(visualizerConfig); }, [visualizerConfig]);
+  // what every visualizer panel can read (see components/visualizers.js)
+  const monitorRef = useRef(null); // stereo bus all playback goes through, see monitorOut
+  const [analysis] = useState(() => createAnalysisEngine({
+    getSource: () => monitorRef.current,
+    getTime: () => audioCtxRef.current?.currentTime ?? 0,
+    getFeed: () => songFeedRef.current,
+    getBeats: () => {
+      const grid = beatGridRef.current;
+      const player = playerRef.current;
+      return grid && player?.playing && player.buffer === grid.buffer
+        ? { beats: grid.beats, downbeats: grid.downbeats, position: player.position() }
+        : null;
+    },
+  }));
+  const visualizerInput = { analysis, song, pattern, playing: isPlaying, songPlaying: playing };
+
+  // one analysis clock, running only while something plays
+  useEffect(() => {
+    if (!isPlaying && !playing) return;
+    analysis.start();
+    return () => analysis.stop();
+  }, [analysis, isPlaying, playing]);
+  useEffect(() => { songRef.current = song; }, [song]);
+  useEffect(() => { instrumentsRef.current = instruments; }, [instruments]);
+  useEffect(() => { playingRef.current = playing; }, [playing]);
+  useEffect(() => { orderPosRef.current = orderPos; }, [orderPos]);
+
+  // everything audible goes through one stereo bus, so the visualizers hear it all
+  function monitorOut(ctx) {
+    if (monitorRef.current?.context !== ctx) monitorRef.current = createMonitorBus(ctx);
+    return monitorRef.current;
+  }
+
+  useEffect(() => {
+    if (!playing) return;
+
+    // Initialize audio context when starting
+    if (!audioCtxRef.current) {
+      audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    }
+
+    // rows are queued ahead on the audio clock; the editor follows what is heard
+    const ctx = audioCtxRef.current;
+    const feed = createSongFeed(() => songRef.current, ctx.currentTime);
+    songFeedRef.current = feed;
+    const scheduler = createScheduler(ctx, monitorOut(ctx), {
+      getSong: () => songRef.current,
+      getInstruments: () => instrumentsRef.current,
+      bpm: bpmRef.current,
+      order: posRef.current.order,
+      row: posRef.current.row,
+      onRow: (r) => {
+        feed.push(r);
+        setOrderPos(r.order);
+        setEditPattern(r.pattern);
+        setCursorRow(r.row);
+      },
+    });
+    schedulerRef.current = scheduler;
+
+    return () => {
+      scheduler.stop();
+      schedulerRef.current = null;
+      songFeedRef.current = null;
+    };
+  }, [playing]);
+
+  useEffect(() => {
+    bpmRef.current = bpm;
+    schedulerRef.current?.setTempo(bpm);
+  }, [bpm]);
+
+  // mixer and send settings live on the song; push them to the playing graph
+  useEffect(() => {
+    schedulerRef.current?.update(song);
+  }, [song]);
+
+  const getLevels = useCallback(() => schedulerRef.current?.mixer.levels() ?? [], []);
+
+  // reopen the project that was being edited when the page was closed (or crashed)
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const list = await listProjects();
+        if (cancelled) return;
+        setProjects(list);
+        const meta = list.find(p => p.id === getCurrentProjectId());
+        if (meta) {
+          const project = await loadProject(meta.id);
+          if (cancelled) return;
+          applyProject(project);
+          setCurrentProject(meta.id, meta.name);
+          setLibraryStatus("restored");
+        }
+      } catch (err) {
+        console.error("Error restoring project:", err);
+        setLibraryStatus("restore failed");
+      }
+      if (!cancelled) setLibraryReady(true);
+    })();
+    return () => { cancelled = true; };
+  }, []);
+
+  // autosave the current project a moment after every change
+  useEffect(() => {
+    if (!libraryReady) return;
+    const timer = setTimeout(async () => {
+      try {
+        const project = { song, instruments, bpm, lastImport, editor: { octave, editStep } };
+        const id = await storeProject({ id: projectIdRef.current, name: projectName, project });
+        if (id !== projectIdRef.current) {
+          projectIdRef.current = id;
+          setProjectId(id);
+        }
+        setCurrentProjectId(id);
+        setProjects(await listProjects());
+        setLibraryStatus(`autosaved ${new Date().toLocaleTimeString()}`);
+      } catch (err) {
+        console.error("Autosave failed:", err);
+        setLibraryStatus("autosave failed");
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [libraryReady, song, instruments, bpm, lastImport, octave, editStep, projectName]);
+
+  // audition a note on the given instrument slot (used by keyboard entry)
+  const previewNote = (freq, instNo) => {
+    const ctx = audioCtxRef.current;
+    if (!ctx) return;
+    const voice = startVoice(ctx, monitorOut(ctx), instruments[instNo - 1], freq, ctx.currentTime);
+    voice.stop(ctx.currentTime + 0.5);
+  };
+
+  const updateInstrument = (instNo, changes) => {
+    setInstruments(prev => prev.map((inst, i) => (i === instNo - 1 ? { ...inst, ...changes } : inst)));
+  };
+
+  // turn a decoded AudioBuffer into a sample instrument in the given slot
+  const assignSample = (instNo, buffer, name) => {
+    setInstruments(prev => prev.map((inst, i) => (i === instNo - 1 ? makeSampleInstrument(buffer, name) : inst)));
+  };
+
+  const togglePlay = async () => {
+    if (!audioCtxRef.current) audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    if (audioCtxRef.current.state === 'suspended') await audioCtxRef.current.resume();
+    // start from the selected order position and cursor row
+    const wasPlaying = playingRef.current;
+    if (!wasPlaying) posRef.current = { order: orderPosRef.current, row: cursorRow };
+    // STOP silences the buffer transport as well
+    if (wasPlaying && playerRef.current?.playing) {
+      playerRef.current.pause();
+      setIsPlaying(false);
+    }
+    setPlaying(p => !p);
+  };
+
+  const setMix = (chan, changes) => {
+    setSong(prev => setStrip(prev, chan, changes));
+  };
+
+  const updateMaster = (section, changes) => {
+    setSong(prev => setMaster(prev, section, changes));
+  };
+
+  const updateFx = (name, changes) => {
+    setSong(prev => setFx(prev, name, changes));
+  };
+
+  const editCell = (chan, row, changes) => {
+    setSong(prev => setCell(prev, editPattern, chan, row, changes));
+  };
+
+  const selectPattern = (idx) => {
+    setEditPattern(idx);
+    setCursorRow(r => Math.min(r, patternRows(song.patterns[idx] || pattern) - 1));
+  };
+
+  // move the song position (and the playback loop, if running) to an order entry
+  const jumpToOrder = (pos) => {
+    const idx = Math.max(0, Math.min(song.orders.length - 1, pos));
+    setOrderPos(idx);
+    setEditPattern(song.orders[idx]);
+    setCursorRow(0);
+    posRef.current = { order: idx, row: 0 };
+  };
+
+
+  // keyboard: arrows move the cursor, piano keys enter notes (FT2 layout)
+  useEffect(() => {
+    const moveCol = (dir) => {
+      let col = cursorCol + dir, chan = selectedChan;
+      if (col < 0) { if (chan === 0) return; chan--; col = CELL_COLUMNS.length - 1; }
+      if (col >= CELL_COLUMNS.length) { if (chan === pattern.length - 1) return; chan++; col = 0; }
+      setCursorCol(col);
+      setSelectedChan(chan);
+    };
+    const advance = () => setCursorRow(r => Math.min(rows - 1, r + editStep));
+
+    const onKey = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      const column = CELL_COLUMNS[cursorCol];
+
+      if (e.key === ' ') { e.preventDefault(); togglePlay(); return; }
+      if (e.key === 'ArrowDown') { e.preventDefault(); setCursorRow(r => Math.min(rows-1, r+1)); return; }
+      if (e.key === 'ArrowUp') { e.preventDefault(); setCursorRow(r => Math.max(0, r-1)); return; }
+      if (e.key === 'PageDown') { e.preventDefault(); setCursorRow(r => Math.min(rows-1, r+16)); return; }
+      if (e.key === 'PageUp') { e.preventDefault(); setCursorRow(r => Math.max(0, r-16)); return; }
+      if (e.key === 'Home') { e.preventDefault(); setCursorRow(0); return; }
+      if (e.key === 'End') { e.preventDefault(); setCursorRow(rows-1); return; }
+      if (e.key === 'ArrowRight') { e.preventDefault(); moveCol(1); return; }
+      if (e.key === 'ArrowLeft') { e.preventDefault(); moveCol(-1); return; }
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        setSelectedChan(c => e.shiftKey ? Math.max(0, c-1) : Math.min(pattern.length-1, c+1));
+        setCursorCol(0);
+        return;
+      }
+
+      // octave down / up: numpad / and *, or [ and ]
+      if (e.code === 'NumpadDivide' || e.code === 'BracketLeft') { e.preventDefault(); setOctave(o => Math.max(0, o-1)); return; }
+      if (e.code === 'NumpadMultiply' || e.code === 'BracketRight') { e.preventDefault(); setOctave(o => Math.min(8, o+1)); return; }
+
+      if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault();
+        // Delete clears the field under the cursor; note column clears the whole cell
+        if (column === 'note') editCell(selectedChan, cursorRow, { note: EMPTY_NOTE, instr: emptyValue('instr'), vol: emptyValue('vol') });
+        else editCell(selectedChan, cursorRow, { [columnField(column)]: emptyValue(columnField(column)) });
+        advance();
+        return;
+      }
+
+      if (column === 'note') {
+        if (e.code === 'Digit1' || e.code === 'CapsLock') {
+          e.preventDefault();
+          editCell(selectedChan, cursorRow, { note: NOTE_OFF, instr: emptyValue('instr') });
+          advance();
+          return;
+        }
+        const note = pianoKeyToNote(e.code, octave);
+        if (!note) return;
+        e.preventDefault();
+        if (e.repeat) return;
+        editCell(selectedChan, cursorRow, { note, instr: formatHex(currentInstr) });
+        const freq = noteToFreq(note);
+        if (freq) previewNote(freq, currentInstr);
+        advance();
+        return;
+      }
+
+      if (e.key.length !== 1) return;
+      const field = columnField(column);
+      const cell = pattern[selectedChan]?.[cursorRow];
+      if (!cell) return;
+      const value = typeIntoField(column, cell[field], e.key);
+      if (value == null) return;
+      e.preventDefault();
+      editCell(selectedChan, cursorRow, { [field]: value });
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [cursorRow, selectedChan, cursorCol, octave, editStep, currentInstr, pattern, editPattern, rows, instruments]);
+
+// Render for export, normalized to the chosen loudness when that option is on
+async function renderForExport({ sampleRate } = {}) {
+  const buffer = await renderToBuffer(song, instruments, bpm, 180, { sampleRate });
+  if (!normalize.on) {
+    setLoudnessReport(null);
+    return buffer;
+  }
+  const result = normalizeLoudness(buffer, { target: normalize.target, ceiling: normalize.ceiling });
+  setLoudnessReport(result);
+  return result.buffer;
+}
+
+// Sample format for WAV files: bit depth and dither from the WAV dialog
+const wavFormat = () => ({ bitDepth: wavOptions.bitDepth, dither: wavOptions.dither && wavOptions.bitDepth !== 32 });
+
+// Render at the dialog's sample rate and download one WAV with INFO tags and optional loop points
+async function exportWav() {
+  setWavBusy(true);
+  try {
+    const { sampleRate, loop } = wavOptions;
+    const title = wavOptions.title.trim() || projectName;
+    const buffer = await renderForExport({ sampleRate });
+    const end = Math.min(buffer.length, Math.round(scheduleSong(song, { bpm, secondsLimit: 180 }).duration * sampleRate));
+    const blob = encodeWav(buffer, {
+      ...wavFormat(),
+      metadata: { title, artist: wavOptions.artist, comment: wavOptions.comment, software: "tracker-visualizer" },
+      loop: loop ? { start: 0, end } : null,
+    });
+    downloadBlob(blob, `${title.replace(/[\\/:*?"<>|]+/g, "_")}.wav`);
+    setWavDialogOpen(false);
+  } catch (err) {
+    console.error("WAV export failed:", err);
+    alert(`WAV export failed: ${err.message}`);
+  } finally {
+    setWavBusy(false);
+  }
+}
+
+// Render, encode in a worker and download an ID3-tagged MP3; cancellable through mp3AbortRef
+async function exportMp3() {
+  const abort = new AbortController();
+  mp3AbortRef.current = abort;
+  setMp3Progress(0);
+  try {
+    const { title, artist, cover } = mp3Options;
+    const name = title.trim() || projectName;
+    const buffer = await renderForExport();
+    const blob = await encodeMp3(buffer, {
+      bitrate: mp3Options.bitrate,
+      vbr: mp3Options.vbr,
+      quality: mp3Options.quality,
+      mono: mp3Options.mono,
+      tags: { title: name, artist, bpm: mp3Options.bpm || bpm, software: "tracker-visualizer", cover },
+      onProgress: setMp3Progress,
+      signal: abort.signal,
+    });
+    downloadBlob(blob, `${name.replace(/[\\/:*?"<>|]+/g, "_")}.mp3`);
+    setMp3DialogOpen(false);
+  } catch (err) {
+    if (err.name !== "AbortError") {
+      console.error("MP3 export failed:", err);
+      alert(`MP3 export failed: ${err.message}`);
+    }
+  } finally {
+    mp3AbortRef.current = null;
+    setMp3Progress(null);
+  }
+}
+
+// Render stems (plus the optional full mix and markers) and download them as one zip
+async function exportStems() {
+  try {
+    const { sampleRate } = wavOptions;
+    const stems = await renderStems(song, instruments, bpm, {
+      by: stemOptions.by,
+      sampleRate,
+      onProgress: (i, n, name) => setStemProgress(name ? `stem ${i + 1}/${n} ${name}` : "zipping"),
+    });
+    const files = [];
+    for (const { name, buffer } of stems) {
+      files.push({ name: `${name}.wav`, data: new Uint8Array(await encodeWav(buffer, wavFormat()).arrayBuffer()) });
+    }
+    if (stemOptions.mix) {
+      setStemProgress("full mix");
+      // rendered like the stems (no master chain, no normalization) so they add up to it
+      const mix = await renderToBuffer(song, instruments, bpm, 180, { sampleRate, master: false });
+      files.push({ name: "mix.wav", data: new Uint8Array(await encodeWav(mix, wavFormat()).arrayBuffer()) });
+    }
+    if (stemOptions.markers) files.push({ name: "tempo-markers.txt", data: markersText(song, bpm, 180, sampleRate) });
+    downloadBlob(makeZip(files), "tracker_stems.zip");
+  } catch (err) {
+    console.error("Stem export failed:", err);
+    alert(`Stem export failed: ${err.message}`);
+  } finally {
+    setStemProgress(null);
+  }
+}
+
+// Helper to download a blob
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+// Load a file (WAV, MP3, OGG, etc.) into an AudioBuffer
+async function importAudioFile(file) {
+  if (!file) return null;
+
+  try {
+    const arrayBuffer = await file.arrayBuffer();
+    const audioCtx = audioCtxRef.current || new (window.AudioContext || window.webkitAudioContext)();
+    audioCtxRef.current = audioCtx;
+    
+    return await audioCtx.decodeAudioData(arrayBuffer);
+  } catch (err) {
+    console.error("Error decoding audio file:", err);
+    return null;
+  }
+}
+
+// Load a tracker module and replace the song, instruments and tempo with it
+async function importModuleFile(file) {
+  if (!file) return null;
+
+  try {
+    const data = await file.arrayBuffer();
+    const result = isXm(data) ? loadXm(data) : loadMod(data);
+    setPlaying(false);
+    setSong(result.song);
+    setInstruments(result.instruments);
+    setBpm(result.bpm);
+    setEditPattern(result.song.orders[0] ?? 0);
+    setOrderPos(0);
+    setCursorRow(0);
+    setSelectedChan(0);
+    setCursorCol(0);
+    setCurrentInstr(1);
+    posRef.current = { order: 0, row: 0 };
+    setImportSummary(result.summary);
+    setCurrentProject(null, result.summary.title || file.name.replace(/\.[^.]+$/, ""));
+    return result;
+  } catch (err) {
+    console.error("Error loading module:", err);
+    return null;
+  }
+}
+
+// Save the whole project (song, instruments, samples, last import) as one file
+function saveProjectFile() {
+  const blob = saveProject({ song, instruments, bpm, lastImport, editor: { octave, editStep } });
+  downloadBlob(blob, `song${PROJECT_EXTENSION}`);
+}
+
+// Open a saved project, replacing everything currently loaded
+async function openProjectFile(file) {
+  if (!file) return null;
+
+  try {
+    const project = await openProject(await file.arrayBuffer());
+    applyProject(project);
+    setCurrentProject(null, file.name.replace(/\.[^.]+$/, ""));
+    return project;
+  } catch (err) {
+    console.error("Error opening project:", err);
+    alert(`Failed to open "${file.name}": ${err.message}`);
+    return null;
+  }
+}
+
+// Replace everything loaded with an opened project (file or library)
+function applyProject(project) {
+  setPlaying(false);
+  setSong(project.song);
+  setInstruments(project.instruments);
+  setBpm(project.bpm);
+  setLastImport(project.lastImport);
+  if (project.editor.octave != null) setOctave(project.editor.octave);
+  if (project.editor.editStep != null) setEditStep(project.editor.editStep);
+  setEditPattern(project.song.orders[0] ?? 0);
+  setOrderPos(0);
+  setCursorRow(0);
+  setSelectedChan(0);
+  setCursorCol(0);
+  setCurrentInstr(1);
+  posRef.current = { order: 0, row: 0 };
+}
+
+// Which library entry autosave writes to; null starts a new entry
+function setCurrentProject(id, name) {
+  projectIdRef.current = id;
+  setProjectId(id);
+  setProjectName(name);
+  setCurrentProjectId(id);
+}
+
+const refreshLibrary = async () => setProjects(await listProjects());
+
+function newProject() {
+  applyProject({ song: makeSong(CHANNELS, ROWS), instruments: makeInstruments(), bpm: 125, lastImport: null, editor: {} });
+  setCurrentProject(null, "untitled");
+}
+
+async function openLibraryProject(id) {
+  try {
+    const project = await loadProject(id);
+    applyProject(project);
+    setCurrentProject(id, projects.find(p => p.id === id)?.name || "untitled");
+  } catch (err) {
+    console.error("Error opening project:", err);
+    alert(`Failed to open project: ${err.message}`);
+  }
+}
+
+async function renameLibraryProject(id, name) {
+  await renameProject(id, name);
+  if (id === projectIdRef.current) setProjectName(name);
+  await refreshLibrary();
+}
+
+async function duplicateLibraryProject(id) {
+  await duplicateProject(id);
+  await refreshLibrary();
+}
+
+async function deleteLibraryProject(id) {
+  await deleteProject(id);
+  if (id === projectIdRef.current) setCurrentProject(null, projectName);
+  await refreshLibrary();
+}
+
+// The buffer transport, made with the AudioContext; one per context
+async function bufferPlayer() {
+  if (!audioCtxRef.current) {
+    audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  const audioCtx = audioCtxRef.current;
+  if (audioCtx.state === "suspended") await audioCtx.resume();
+  if (playerRef.current?.analyser.context !== audioCtx) {
+    playerRef.current = createBufferPlayer(audioCtx, monitorOut(audioCtx), { onEnded: () => setIsPlaying(false) });
+  }
+  return playerRef.current;
+}
+
+// Put a buffer in the waveform overview; a new buffer drops the loop region
+async function loadOverview(buffer, name, { play = false } = {}) {
+  const player = await bufferPlayer();
+  player.load(buffer);
+  player.setLoop(null);
+  setLoop(null);
+  setOverview({ buffer, name });
+  if (play) player.play(0);
+  setIsPlaying(play);
+}
+
+// Example: visualize or preview the imported sound
+async function previewAudioBuffer(audioBuffer, name = "imported audio") {
+  if (!audioBuffer) return;
+  await loadOverview(audioBuffer, name, { play: true });
+}
+
+async function toggleBufferPlay() {
+  const player = await bufferPlayer();
+  if (player.playing) player.pause();
+  else player.play();
+  setIsPlaying(player.playing);
+}
+
+// Tempo and beats of an imported file, off the main thread; fills in the BPM
+async function detectImportBeats(buffer) {
+  beatAbortRef.current?.abort();
+  const abort = new AbortController();
+  beatAbortRef.current = abort;
+  beatGridRef.current = null;
+  setBeatGrid(null);
+  setBeatProgress(0);
+  try {
+    const result = await detectBeats(buffer, { onProgress: setBeatProgress, signal: abort.signal });
+    const grid = { buffer, ...result };
+    beatGridRef.current = grid;
+    setBeatGrid(grid);
+    if (result.bpm) setBpm(Math.round(result.bpm));
+  } catch (err) {
+    if (err.name !== "AbortError") console.error("Beat detection failed:", err);
+  } finally {
+    if (beatAbortRef.current === abort) {
+      beatAbortRef.current = null;
+      setBeatProgress(null);
+    }
+  }
+}
+
+function changeLoop(next) {
+  setLoop(next);
+  playerRef.current?.setLoop(next?.enabled ? next : null);
+}
+
+// Render the song into the overview so it can be scrubbed and looped like a file
+async function renderSongOverview() {
+  setRenderingOverview(true);
+  try {
+    const player = await bufferPlayer();
+    const buffer = await renderToBuffer(song, instruments, bpm, 180, { sampleRate: player.analyser.context.sampleRate });
+    await loadOverview(buffer, projectName);
+  } catch (err) {
+    console.error("Song render failed:", err);
+    alert(`Song render failed: ${err.message}`);
+  } finally {
+    setRenderingOverview(false);
+  }
+}
+
+// Render the song, then step the video compositor frame by frame and encode it
+async function exportVideo() {
+  const abort = new AbortController();
+  videoAbortRef.current = abort;
+  setVideoProgress(0);
+  try {
+    const { layout, panels, showTitle, showProgress } = videoOptions;
+    const { width, height } = layoutSize(layout, VIDEO_RESOLUTIONS[videoOptions.resolution]);
+    const audio = await renderForExport({ sampleRate: VIDEO_SAMPLE_RATE });
+    const { blob, extension } = await renderVideo(audio, {
+      width,
+      height,
+      fps: videoOptions.fps,
+      container: videoOptions.container,
+      drawFrame: createScene(audio, {
+        width, height, layout, panels, title: projectName, showTitle, showProgress,
+        song, rows: scheduleSong(song, { bpm, secondsLimit: 180, instruments }).rows,
+      }),
+      onProgress: setVideoProgress,
+      signal: abort.signal,
+    });
+    downloadBlob(blob, `${projectName.replace(/[\\/:*?"<>|]+/g, "_")}.${extension}`);
+    setVideoDialogOpen(false);
+  } catch (err) {
+    if (err.name !== "AbortError") {
+      console.error("Video export failed:", err);
+      alert(`Video export failed: ${err.message}`);
+    }
+  } finally {
+    videoAbortRef.current = null;
+    setVideoProgress(null);
+  }
+}
+
+  
+  return (
+    <div className="min-h-screen p-6 bg-[#0a0a0a] text-[#cfcfcf] font-sans">
+      <div className="max-w-full mx-auto grid grid-cols-12 gap-4">
+        {/* WAVEFORM OVERVIEW (full width) */}
+        <div className="col-span-12 p-3 rounded-md border border-[#222] bg-[#060606]">
+          <WaveformOverview
+            buffer={overview?.buffer ?? null}
+            name={overview?.name}
+            playing={isPlaying}
+            analysis={analysis}
+            getPosition={() => playerRef.current?.position() ?? 0}
+            loop={loop}
+            onSeek={t => playerRef.current?.seek(t)}
+            onLoopChange={changeLoop}
+            onTogglePlay={toggleBufferPlay}
+            onRenderSong={renderSongOverview}
+            rendering={renderingOverview}
+            beatGrid={beatGrid?.buffer === overview?.buffer ? beatGrid : null}
+            beatProgress={beatProgress}
+          />
+        </div>
+
+        {/* Left: tracker / pattern editor */}
+        <div className="col-span-8 p-4 rounded-md border border-[#202020] bg-[#070707] shadow-lg">
+          <div className="flex items-center justify-between mb-3">
+            <h1 className="text-xl font-mono">TRACKER VISUALIZER</h1>
+            <div className="flex gap-2 items-center">
+              <button onClick={togglePlay} className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm">{playing ? 'STOP' : 'PLAY'}</button>
+              <label className="font-mono text-sm">BPM<input value={bpm} onChange={e=>setBpm(Number(e.target.value)||1)} className="ml-2 w-20 bg-transparent border border-[#222] p-1 text-right"/></label>
+            </div>
+          </div>
+          <div className="controls space-x-2 mt-4">
+
+  {/* PROJECT */}
+  <button onClick={saveProjectFile} className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm">SAVE</button>
+  <label className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm cursor-pointer">
+    OPEN
+    <input
+      type="file"
+      accept={PROJECT_EXTENSION}
+      style={{ display: "none" }}
+      onChange={(e) => {
+        const file = e.target.files[0];
+        e.target.value = "";
+        openProjectFile(file);
+      }}
+    />
+  </label>
+
+  {/* IMPORT */}
+  <label className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm cursor-pointer">
+    IMPORT AUDIO
+    <input
+      type="file"
+      accept="audio/*"
+      style={{ display: "none" }}
+    onChange={async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  const buffer = await importAudioFile(file);
+  if (!buffer) {
+    alert(`Failed to load "${file.name}". See console for details.`);
+    return;
+  }
+
+  // Resume AudioContext before starting
+  if (audioCtxRef.current.state === 'suspended') await audioCtxRef.current.resume();
+
+  const name = file.name.replace(/\.[^.]+$/, "");
+  setLastImport({ buffer, name });
+  previewAudioBuffer(buffer, name);
+  detectImportBeats(buffer);
+  alert(`Loaded: ${file.name}`);
+}}
+
+
+    />
+  </label>
+
+  <label className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm cursor-pointer">
+    IMPORT MODULE
+    <input
+      type="file"
+      accept=".mod,.xm"
+      style={{ display: "none" }}
+      onChange={async (e) => {
+        const file = e.target.files[0];
+        e.target.value = "";
+        if (!file) return;
+        if (!(await importModuleFile(file))) alert(`Failed to load "${file.name}". See console for details.`);
+      }}
+    />
+  </label>
+
+  {/* EXPORTS */}
+  <button
+    onClick={() => setWavDialogOpen(true)}
+    className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm"
+  >
+    EXPORT WAV
+  </button>
+  {wavDialogOpen && (
+    <WavExportDialog
+      options={wavOptions}
+      defaultTitle={projectName}
+      busy={wavBusy}
+      onChange={setWavOptions}
+      onExport={exportWav}
+      onCancel={() => !wavBusy && setWavDialogOpen(false)}
+    />
+  )}
+
+  <button
+    onClick={exportStems}
+    disabled={!!stemProgress}
+    className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm ml-2"
+  >
+    {stemProgress ? stemProgress.toUpperCase() : "EXPORT STEMS"}
+  </button>
+
+  <button
+    onClick={() => setMp3DialogOpen(true)}
+    className="px-3 py-1 border border-[#333] rounded-sm font-mono text-sm ml-2"
+  >
+    EXPORT MP3
+  </button>
+  {mp3DialogOpen && (
+    <Mp3ExportDialog
+      options={mp3Options}
+      defaultTitle={projectName}
+      defaultBpm={bpm}
+      progress={mp3Progress}
+      onChange={setMp3Options}
+      onExport={exportMp3}
+      onCancel={() => {
+        if (mp3AbortRef.current) mp3AbortRef.current.abort();
+        else setMp3DialogOpen(false);
+      }}
+    />
+  )}
+
+  <div className="flex flex-wrap items-center gap-3 mt-2 font-mono text-xs text-[#9a9a9a]">
+    <label>
+      STEMS BY
+      <select
+        value={stemOptions.by}
+        onChange={e => setStemOptions(o => ({ ...o, by: e.target.value }))}
+        className="ml-1 bg-[#060606] border border-[#222] p-0.5"
+      >
+        {STEM_MODES.map(m => <option key={m} value={m}>{m}</option>)}
+      </select>
+    </label>
+    <label className="flex items-center gap-1">
+      <input type="checkbox" checked={stemOptions.mix} onChange={e => setStemOptions(o => ({ ...o, mix: e.target.checked }))} />
+      + MIX
+    </label>
+    <label className="flex items-center gap-1">
+      <input type="checkbox" checked={stemOptions.markers} onChange={e => setStemOptions(o => ({ ...o, markers: e.target.checked }))} />
+      + MARKERS
+    </label>
+    <label className="flex items-center gap-1">
+      <input type="checkbox" checked={normalize.on} onChange={e => setNormalize(n => ({ ...n, on: e.target.checked }))} />
+      NORMALIZE
+    </label>
+    <label>
+      TARGET
+      <select
+        value={normalize.target}
+        onChange={e => setNormalize(n => ({ ...n, target: Number(e.target.value) }))}
+        className="ml-1 bg-[#060606] border border-[#222] p-0.5"
+      >
+        {LOUDNESS_TARGETS.map(t => <option key={t} value={t}>{t} LUFS</option>)}
+      </select>
+    </label>
+    <label>
+      TRUE PEAK
+      <input
+        type="number"
+        min={-12}
+        max={0}
+        step={0.1}
+        value={normalize.ceiling}
+        onChange={e => setNormalize(n => ({ ...n, ceiling: Math.max(-12, Math.min(0, Number(e.target.value) || 0)) }))}
+        className="ml-1 w-14 bg-transparent border border-[#222] p-0.5 text-right"
+      />
+      {" "}dBTP
+    </label>
+    {loudnessReport && (
+      <span>
+        {loudnessReport.before.lufs.toFixed(1)} LUFS / {loudnessReport.before.truePeak.toFixed(1)} dBTP
+        {" → "}
+        {loudnessReport.after.lufs.toFixed(1)} LUFS / {loudnessReport.after.truePeak.toFixed(1)} dBTP
+        {loudnessReport.peakLimited && " (held back by true peak)"}
+      </span>
+    )}
+  </div>
+ 
+  
+
+
+</div>
+
+          <ImportSummary summary={importSummary} onClose={() => setImportSummary(null)} />
+
+          <div className="flex gap-4 items-center mt-3 mb-2 font-mono text-xs text-[#9a9a9a]">
+            <label>OCTAVE<input type="number" min={0} max={8} value={octave} onChange={e=>setOctave(Math.max(0, Math.min(8, Number(e.target.value)||0)))} className="ml-2 w-12 bg-transparent border border-[#222] p-1 text-right"/></label>
+            <label>STEP<input type="number" min={0} max={16} value={editStep} onChange={e=>setEditStep(Math.max(0, Math.min(16, Number(e.target.value)||0)))} className="ml-2 w-12 bg-transparent border border-[#222] p-1 text-right"/></label>
+            <span>Z–M / Q–P: notes · 1: note-off · DEL: clear · [ ]: octave</span>
+          </div>
+
+          {/* SONG: pattern bank + order list */}
+          <div className="mb-2 p-2 border border-[#111] bg-[#050505] rounded-sm">
+            <SongArrangement
+              song={song}
+              editPattern={editPattern}
+              orderPos={orderPos}
+              defaultRows={ROWS}
+              onChange={setSong}
+              onSelectPattern={selectPattern}
+              onJump={jumpToOrder}
+            />
+          </div>
+
+          {/* PATTERN EDITOR */}
+          <PatternEditor
+            pattern={pattern}
+            cursorRow={cursorRow}
+            selectedChan={selectedChan}
+            cursorCol={CELL_COLUMNS[cursorCol]}
+            octave={octave}
+            strips={pattern.map((_, c) => mixStrip(song, c))}
+            onCellClick={(ci, ri, col) => { setSelectedChan(ci); setCursorRow(ri); setCursorCol(CELL_COLUMNS.indexOf(col)); }}
+            onStripChange={setMix}
+          />
+
+          {/* MIXER */}
+          <div className="mt-2 p-2 border border-[#111] bg-[#050505] rounded-sm">
+            <Mixer song={song} playing={playing} getLevels={getLevels} onChange={setMix} />
+          </div>
+
+          {/* SEND EFFECTS */}
+          <div className="mt-2 p-2 border border-[#111] bg-[#050505] rounded-sm">
+            <SendEffects song={song} onChange={updateFx} />
+          </div>
+
+          {/* MASTER CHAIN */}
+          <div className="mt-2 p-2 border border-[#111] bg-[#050505] rounded-sm">
+            <MasterChain song={song} onChange={updateMaster} />
+          </div>
+
+          {/* HEX CONSOLE VISUALIZER */}
+          <div className="mt-2">
+            <VisualizerPanel
+              slot="console"
+              config={visualizerConfig}
+              input={visualizerInput}
+              onChange={setVisualizerConfig}
+              bodyClass="h-[420px] border border-[#111] bg-[#020202] rounded-sm overflow-hidden"
+            />
+          </div>
+
+          {/* PATTERN GRID (tracker-like) — placed under hex console */}
+          <div className="mt-2">
+            <VisualizerPanel
+              slot="grid"
+              config={visualizerConfig}
+              input={visualizerInput}
+              onChange={setVisualizerConfig}
+              bodyClass="h-[280px] overflow-hidden"
+            />
+          </div>
+
+        </div>
+
+        {/* Right: instruments + visualization */}
+        <div className="col-span-4 flex flex-col gap-4">
+         {/* PROJECT LIBRARY */}
+          <div className="p-4 rounded-md border border-[#222] bg-[#060606]">
+            <ProjectLibrary
+              projects={projects}
+              currentId={projectId}
+              status={libraryStatus}
+              onNew={newProject}
+              onOpen={openLibraryProject}
+              onRename={renameLibraryProject}
+              onDuplicate={duplicateLibraryProject}
+              onDelete={deleteLibraryProject}
+            />
+          </div>
+
+         {/* INSTRUMENTS PANEL */}
+<div className="p-4 rounded-md border border-[#222] bg-[#060606] flex flex-col gap-4">
+  
+  {/* --- BOTTOM HALF: INSTRUMENTS + ASCII CIRCLE --- */}
+  <div className="grid grid-cols-2 gap-2">
+    {/* Instruments list (left) */}
+    <div className="flex flex-col gap-1 max-h-[220px] overflow-y-auto">
+      {instruments.map((inst, i) => (
+        <div
+          key={i}
+          onClick={() => setCurrentInstr(i + 1)}
+          className={`px-2 py-1 rounded-sm cursor-pointer font-mono text-sm border ${
+            currentInstr === i + 1
+              ? "border-[#7fffd4] bg-[#071214]"
+              : "border-[#111]"
+          }`}
+        >
+          <div>Inst {formatHex(i + 1)}</div>
+          <div className="text-[11px] text-[#8a8a8a] truncate">{instrumentLabel(inst)}</div>
+        </div>
+      ))}
+    </div>
+
+    {/* ASCII Circle (right) */}
+    <VisualizerPanel
+      slot="side"
+      config={visualizerConfig}
+      input={visualizerInput}
+      onChange={setVisualizerConfig}
+      bodyClass="flex-1 min-h-[120px] overflow-hidden"
+    />
+  </div>
+
+  {/* selected instrument settings */}
+  <div className="border-t border-[#111] pt-3">
+    <InstrumentEditor
+      key={currentInstr}
+      slot={currentInstr}
+      instrument={instruments[currentInstr - 1]}
+      lastImport={lastImport}
+      onChange={changes => updateInstrument(currentInstr, changes)}
+      onLoadFile={async (file) => {
+        if (!file) return;
+        const buffer = await importAudioFile(file);
+        if (!buffer) {
+          alert(`Failed to load "${file.name}". See console for details.`);
+          return;
+        }
+        assignSample(currentInstr, buffer, file.name.replace(/\.[^.]+$/, ""));
+      }}
+      onAssignImport={() => lastImport && assignSample(currentInstr, lastImport.buffer, lastImport.name)}
+      onMakeSynth={() => setInstruments(prev => prev.map((inst, i) => (i === currentInstr - 1 ? makeSynthInstrument(inst.name) : inst)))}
+    />
+  </div>
+</div>
+
+
+          <div className="p-4 rounded-md border border-[#222] bg-[#060606] flex-1 flex flex-col">
+            <VisualizerPanel
+              slot="track"
+              config={visualizerConfig}
+              input={visualizerInput}
+              onChange={setVisualizerConfig}
+              bodyClass="h-40"
+            />
+            <div className="mt-3 flex items-center justify-between">
+              <div className="text-xs font-mono">Cursor Row: {cursorRow}</div>
+              <div className="text-xs font-mono">Selected CH: {selectedChan}</div>
+            </div>
+          </div>
+
+          <div className="p-3 rounded-md border border-[#222] bg-[#060606]">
+            <div className="font-mono text-sm mb-2">EXPORT / HELP</div>
+            <button
+  onClick={() => setVideoDialogOpen(true)}
+  className="px-3 py-1 mt-2 border border-[#333] rounded-sm font-mono text-sm w-full"
+>
+  EXPORT VIDEO
+</button>
+            {videoDialogOpen && (
+              <VideoExportDialog
+                options={videoOptions}
+                progress={videoProgress}
+                onChange={setVideoOptions}
+                onExport={exportVideo}
+                onCancel={() => {
+                  if (videoAbortRef.current) videoAbortRef.current.abort();
+                  else setVideoDialogOpen(false);
+                }}
+              />
+            )}
+            <div className="text-[12px] text-[#9a9a9a] font-mono">rawr add you track by import button and look at visual.</div>
+          </div>
+        </div>
+
+      </div>
+
+      <footer className="mt-6 text-[12px] font-mono text-[#6a6a6a]">
+        made by sw1tch... sorry for shitcode
+      </footer>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+/*
+VectorscopeVisualizer.jsx
+Stereo image of everything playing, from the left / right split of the
+monitor bus: a vectorscope (mid up, side across) or a plain Lissajous
+figure, with a phase correlation meter underneath (+1 mono, 0 wide,
+below 0 out of phase).
+*/
+import React from 'react';
+import { fitCanvas } from "../video/draw";
+import { correlation, drawCorrelation, drawVectorscope } from "../video/scope";
+import { useAnalysis } from "./useAnalysis";
+
+const METER_HEIGHT = 14; // css px
+
+function VectorscopeVisualizer({ input, settings }) {
+  const { analysis } = input;
+  const { color, mode, gain, fps } = settings;
+  const canvasRef = React.useRef(null);
+  const corr = React.useRef(0);
+
+  useAnalysis(analysis, (frame) => {
+    if (!canvasRef.current) return;
+    const { ctx, width, height, dpr } = fitCanvas(canvasRef.current);
+    const meter = METER_HEIGHT * dpr;
+    const size = Math.min(width, height - meter);
+    const x = (width - size) / 2;
+
+    if (!frame?.left) {
+      corr.current = 0;
+      ctx.fillStyle = "#020202";
+      ctx.fillRect(0, 0, width, height);
+      drawCorrelation(ctx, 0, { x: 0, y: height - meter, width, height: meter });
+      return;
+    }
+    const scaled = (data) => (gain === 1 ? data : data.map(v => v * gain));
+    drawVectorscope(ctx, scaled(frame.left), scaled(frame.right), { x, y: 0, size, color, mode });
+    corr.current = corr.current * 0.8 + correlation(frame.left, frame.right) * 0.2;
+    drawCorrelation(ctx, corr.current, { x: 0, y: height - meter, width, height: meter });
+  }, { stereo: true, fps });
+
+  return <canvas ref={canvasRef} className="w-full h-full block bg-black" />;
+}
+
+export default VectorscopeVisualizer;
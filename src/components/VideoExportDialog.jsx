@@ -0,0 +1,100 @@
+/*
+VideoExportDialog.jsx
+Options for EXPORT VIDEO (video/encode.js): resolution, frame rate,
+container, and the compositor layout (video/layouts.js) with a panel per
+slot plus the title and progress bands. While the export runs it shows a
+progress bar and CANCEL aborts it.
+*/
+import React from 'react';
+import { VIDEO_CONTAINERS, VIDEO_FPS, VIDEO_RESOLUTIONS } from "../video/encode";
+import { layoutSize, VIDEO_LAYOUTS, VIDEO_PANELS } from "../video/layouts";
+
+const btn = "px-3 py-1 border border-[#333] rounded-sm font-mono text-sm hover:border-[#7fffd4]";
+const field = "bg-[#060606] border border-[#222] p-1";
+
+function VideoExportDialog({ options, progress, onChange, onExport, onCancel }) {
+  const set = (changes) => onChange({ ...options, ...changes });
+  const busy = progress != null;
+  const layout = VIDEO_LAYOUTS[options.layout];
+  const size = layoutSize(options.layout, VIDEO_RESOLUTIONS[options.resolution]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70" onClick={busy ? undefined : onCancel}>
+      <div
+        className="w-[420px] p-4 border border-[#333] bg-[#070707] rounded-md font-mono text-xs text-left flex flex-col gap-3"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="text-[#7fffd4] text-sm">EXPORT VIDEO</div>
+
+        <fieldset disabled={busy} className="grid grid-cols-2 gap-x-2 gap-y-2 items-center">
+          <span>RESOLUTION</span>
+          <select value={options.resolution} onChange={e => set({ resolution: Number(e.target.value) })} className={field}>
+            {VIDEO_RESOLUTIONS.map((r, i) => <option key={r.label} value={i}>{r.label}</option>)}
+          </select>
+
+          <span>FRAME RATE</span>
+          <select value={options.fps} onChange={e => set({ fps: Number(e.target.value) })} className={field}>
+            {VIDEO_FPS.map(f => <option key={f} value={f}>{f} fps</option>)}
+          </select>
+
+          <span>FORMAT</span>
+          <select value={options.container} onChange={e => set({ container: e.target.value })} className={field}>
+            {VIDEO_CONTAINERS.map(c => <option key={c} value={c}>{c.toUpperCase()}</option>)}
+          </select>
+
+          <span>LAYOUT</span>
+          <select
+            value={options.layout}
+            onChange={e => set({ layout: e.target.value, panels: VIDEO_LAYOUTS[e.target.value].panels })}
+            className={field}
+          >
+            {Object.entries(VIDEO_LAYOUTS).map(([id, l]) => <option key={id} value={id}>{l.label}</option>)}
+          </select>
+
+          {layout.slots.map((_, i) => (
+            <React.Fragment key={i}>
+              <span className="pl-2 text-[#9a9a9a]">SLOT {i + 1}</span>
+              <select
+                value={options.panels[i] ?? "none"}
+                onChange={e => set({ panels: layout.slots.map((__, j) => (j === i ? e.target.value : options.panels[j] ?? "none")) })}
+                className={field}
+              >
+                {Object.entries(VIDEO_PANELS).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+              </select>
+            </React.Fragment>
+          ))}
+
+          <span>BANDS</span>
+          <div className="flex gap-3">
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={options.showTitle} onChange={e => set({ showTitle: e.target.checked })} />
+              TITLE
+            </label>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={options.showProgress} onChange={e => set({ showProgress: e.target.checked })} />
+              PROGRESS
+            </label>
+          </div>
+        </fieldset>
+
+        <div className="text-[#9a9a9a]">OUTPUT {size.width}×{size.height}</div>
+
+        {busy && (
+          <div className="flex items-center gap-2">
+            <div className="flex-1 h-2 bg-[#111] border border-[#222]">
+              <div className="h-full bg-[#7fffd4]" style={{ width: `${Math.round(progress * 100)}%` }} />
+            </div>
+            <span className="w-20 text-right">{progress === 0 ? "RENDERING" : `${Math.round(progress * 100)}%`}</span>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button className={btn} onClick={onCancel}>CANCEL</button>
+          <button className={btn} disabled={busy} onClick={onExport}>EXPORT</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VideoExportDialog;
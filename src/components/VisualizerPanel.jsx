@@ -0,0 +1,87 @@
+/*
+VisualizerPanel.jsx
+One visualizer slot of the main view: a picker for any registered
+visualizer (visualizers.js), a SET toggle with the settings form built from
+its schema, and the visualizer itself in a body sized by `bodyClass`.
+Picks and settings go back through onChange(config) to be persisted
+(storage/visualizers.js).
+*/
+import React from 'react';
+import { slotVisualizer, VISUALIZER_INPUTS, VISUALIZER_SLOTS, VISUALIZERS, visualizerSettings } from "./visualizers";
+
+const btn = "px-2 border border-[#333] rounded-sm hover:border-[#7fffd4]";
+const field = "bg-[#060606] border border-[#222] p-0.5";
+
+function Field({ field: f, value, onChange }) {
+  switch (f.type) {
+    case "color":
+      return <input type="color" value={value} onChange={e => onChange(e.target.value)} className="w-12 h-5 bg-transparent" />;
+    case "select":
+      return (
+        <select
+          value={value}
+          onChange={e => onChange(typeof f.options[0] === "number" ? Number(e.target.value) : e.target.value)}
+          className={field}
+        >
+          {f.options.map(o => <option key={o} value={o}>{o}</option>)}
+        </select>
+      );
+    case "range":
+      return (
+        <span className="flex items-center gap-1">
+          <input type="range" min={f.min} max={f.max} step={f.step} value={value} onChange={e => onChange(Number(e.target.value))} className="flex-1" />
+          <span className="w-8 text-right">{value}</span>
+        </span>
+      );
+    default:
+      return <input value={value} onChange={e => onChange(e.target.value)} className={`${field} w-24`} />;
+  }
+}
+
+function VisualizerPanel({ slot, config, input, onChange, bodyClass = "" }) {
+  const [editing, setEditing] = React.useState(false);
+  const id = slotVisualizer(config, slot);
+  const vis = VISUALIZERS[id];
+  const settings = visualizerSettings(config, id);
+  const Visualizer = vis.component;
+
+  const pick = (next) => onChange({ ...config, panels: { ...config.panels, [slot]: next } });
+  const set = (key, value) =>
+    onChange({ ...config, settings: { ...config.settings, [id]: { ...config.settings[id], [key]: value } } });
+
+  return (
+    <div className="flex flex-col gap-1 h-full">
+      <div className="flex flex-wrap items-center gap-2 font-mono text-xs">
+        <span className="text-[#7fffd4]">{VISUALIZER_SLOTS[slot].label}</span>
+        <select value={id} onChange={e => pick(e.target.value)} className={field}>
+          {Object.entries(VISUALIZERS).map(([vid, v]) => <option key={vid} value={vid}>{v.name}</option>)}
+        </select>
+        <span className="text-[#6a6a6a]">{vis.inputs.map(i => VISUALIZER_INPUTS[i]).join(" · ")}</span>
+        <button className={`${btn} ml-auto ${editing ? "border-[#7fffd4]" : ""}`} onClick={() => setEditing(e => !e)}>SET</button>
+      </div>
+
+      {editing && (
+        <div className="grid grid-cols-2 gap-x-2 gap-y-1 items-center p-2 border border-[#111] bg-[#050505] font-mono text-xs">
+          {Object.entries(vis.settings).map(([key, f]) => (
+            <React.Fragment key={key}>
+              <span>{f.label}</span>
+              <Field field={f} value={settings[key]} onChange={v => set(key, v)} />
+            </React.Fragment>
+          ))}
+          <button
+            className={`${btn} col-span-2 justify-self-end`}
+            onClick={() => onChange({ ...config, settings: { ...config.settings, [id]: {} } })}
+          >
+            DEFAULTS
+          </button>
+        </div>
+      )}
+
+      <div className={`relative ${bodyClass}`}>
+        <Visualizer key={id} input={input} settings={settings} />
+      </div>
+    </div>
+  );
+}
+
+export default VisualizerPanel;
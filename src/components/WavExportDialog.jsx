@@ -0,0 +1,70 @@
+/*
+WavExportDialog.jsx
+Options for EXPORT WAV (formats/wav.js): render sample rate, bit depth,
+TPDF dither, INFO metadata and embedded loop points. The same sample rate,
+bit depth and dither apply to stems.
+*/
+import React from 'react';
+import { WAV_BIT_DEPTHS } from "../formats/wav";
+import { RENDER_SAMPLE_RATES } from "../audio/render";
+
+const btn = "px-3 py-1 border border-[#333] rounded-sm font-mono text-sm hover:border-[#7fffd4]";
+const field = "bg-[#060606] border border-[#222] p-1";
+
+function WavExportDialog({ options, defaultTitle, busy, onChange, onExport, onCancel }) {
+  const set = (changes) => onChange({ ...options, ...changes });
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70" onClick={onCancel}>
+      <div
+        className="w-[420px] p-4 border border-[#333] bg-[#070707] rounded-md font-mono text-xs text-left flex flex-col gap-3"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="text-[#7fffd4] text-sm">EXPORT WAV</div>
+
+        <div className="grid grid-cols-2 gap-x-2 gap-y-2 items-center">
+          <span>SAMPLE RATE</span>
+          <select value={options.sampleRate} onChange={e => set({ sampleRate: Number(e.target.value) })} className={field}>
+            {RENDER_SAMPLE_RATES.map(r => <option key={r} value={r}>{(r / 1000).toFixed(1)} kHz</option>)}
+          </select>
+
+          <span>FORMAT</span>
+          <select value={options.bitDepth} onChange={e => set({ bitDepth: Number(e.target.value) })} className={field}>
+            {WAV_BIT_DEPTHS.map(b => <option key={b} value={b}>{b === 32 ? "32-bit float" : `${b}-bit integer`}</option>)}
+          </select>
+
+          <span>DITHER</span>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={options.dither && options.bitDepth !== 32}
+              disabled={options.bitDepth === 32}
+              onChange={e => set({ dither: e.target.checked })}
+            />
+            TPDF
+          </label>
+
+          <span>TITLE</span>
+          <input value={options.title} placeholder={defaultTitle} onChange={e => set({ title: e.target.value })} className={field} />
+          <span>ARTIST</span>
+          <input value={options.artist} onChange={e => set({ artist: e.target.value })} className={field} />
+          <span>COMMENT</span>
+          <input value={options.comment} onChange={e => set({ comment: e.target.value })} className={field} />
+
+          <span>LOOP POINTS</span>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={options.loop} onChange={e => set({ loop: e.target.checked })} />
+            song start → end (smpl / cue)
+          </label>
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button className={btn} onClick={onCancel}>CANCEL</button>
+          <button className={btn} disabled={busy} onClick={onExport}>{busy ? "RENDERING…" : "EXPORT"}</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WavExportDialog;
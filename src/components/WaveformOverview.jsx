@@ -0,0 +1,283 @@
+/*
+WaveformOverview.jsx
+Full-width overview of the buffer in the transport (audio/player.js): the
+imported file or the rendered song, drawn from min/max peaks computed once
+(audio/peaks.js).
+
+ - click or drag on the waveform to seek (the playhead follows the drag,
+   playback jumps on release)
+ - drag in the LOOP strip above it to set an A–B region; drag its edges or
+   its middle to adjust, double-click the strip to clear it
+ - wheel zooms around the pointer, shift+wheel pans; the view follows the
+   playhead while zoomed
+ - a detected beat grid (audio/beats.js) is marked under the waveform,
+   downbeats across it
+
+Props: buffer, name, playing, analysis (clock for the playhead),
+getPosition(), loop { start, end, enabled } | null, onSeek(time),
+onLoopChange(loop | null), onTogglePlay(), onRenderSong(), rendering,
+beatGrid { bpm, beats, downbeats } | null, beatProgress (0..1 while detecting).
+*/
+import React from 'react';
+import { computePeaks, peakColumns } from "../audio/peaks";
+import { useAnalysis } from "./useAnalysis";
+
+const btn = "px-2 border border-[#333] rounded-sm hover:border-[#7fffd4] disabled:opacity-40";
+const STRIP = 14;       // css px of the loop strip
+const HANDLE = 6;       // css px either side of a loop edge that grabs it
+const MAX_ZOOM = 256;
+const MIN_BEAT_GAP = 4; // css px between beat marks before they are left out
+const TICK_STEPS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 15, 30, 60, 120];
+
+const formatTime = (s) => `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, "0")}`;
+
+function WaveformOverview({
+  buffer, name, playing, analysis, getPosition, loop,
+  onSeek, onLoopChange, onTogglePlay, onRenderSong, rendering, beatGrid, beatProgress,
+}) {
+  const boxRef = React.useRef(null);
+  const waveRef = React.useRef(null);
+  const overlayRef = React.useRef(null);
+  const dragRef = React.useRef(null); // { kind: "seek" | "start" | "end" | "move" | "new", ... }
+  const [width, setWidth] = React.useState(0);
+  const [zoom, setZoom] = React.useState(1);
+  const [viewStart, setViewStart] = React.useState(0);
+  const [shown, setShown] = React.useState(buffer);
+  const [position, setPosition] = React.useState(0);
+
+  // a new buffer starts fully zoomed out
+  if (shown !== buffer) {
+    setShown(buffer);
+    setZoom(1);
+    setViewStart(0);
+    setPosition(0);
+  }
+
+  const peaks = React.useMemo(() => (buffer ? computePeaks(buffer) : null), [buffer]);
+  const duration = buffer?.duration ?? 0;
+  const span = duration / zoom;
+  const start = Math.max(0, Math.min(viewStart, duration - span));
+
+  const timeAt = (clientX) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return Math.max(0, Math.min(duration, start + ((clientX - rect.left) / rect.width) * span));
+  };
+  const xOf = (time) => ((time - start) / span) * width;
+
+  React.useEffect(() => {
+    const box = boxRef.current;
+    const observer = new ResizeObserver(() => setWidth(box.clientWidth));
+    observer.observe(box);
+    return () => observer.disconnect();
+  }, []);
+
+  // waveform layer: only when the buffer, view or size change
+  React.useEffect(() => {
+    const canvas = waveRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.width = Math.round(width * dpr);
+    const h = canvas.height = Math.round(canvas.clientHeight * dpr);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#020202";
+    ctx.fillRect(0, 0, w, h);
+    const top = STRIP * dpr;
+    ctx.fillStyle = "#060606";
+    ctx.fillRect(0, 0, w, top);
+    if (!peaks || !w) return;
+
+    const { min, max } = peakColumns(peaks, start, start + span, w);
+    const mid = top + (h - top) / 2;
+    const amp = (h - top) / 2 - 1;
+    ctx.fillStyle = "#2f8f6f";
+    for (let x = 0; x < w; x++) {
+      ctx.fillRect(x, mid - max[x] * amp, 1, Math.max(1, (max[x] - min[x]) * amp));
+    }
+    ctx.fillStyle = "#0f2a20";
+    ctx.fillRect(0, mid, w, 1);
+
+    if (!beatGrid) return;
+    const px = (t) => Math.round(((t - start) / span) * w);
+    const inView = (t) => t >= start && t <= start + span;
+    const gap = (times) => (times.length > 1 ? ((times[1] - times[0]) / span) * w : w);
+    if (gap(beatGrid.downbeats) >= MIN_BEAT_GAP * dpr) {
+      ctx.fillStyle = "rgba(127, 255, 212, 0.25)";
+      for (const t of beatGrid.downbeats) if (inView(t)) ctx.fillRect(px(t), top, Math.max(1, dpr), h - top);
+    }
+    if (gap(beatGrid.beats) >= MIN_BEAT_GAP * dpr) {
+      ctx.fillStyle = "#7fffd4";
+      for (const t of beatGrid.beats) if (inView(t)) ctx.fillRect(px(t), h - 5 * dpr, Math.max(1, dpr), 5 * dpr);
+    }
+  }, [peaks, start, span, width, beatGrid]);
+
+  // overlay layer: loop region, time ticks, playhead
+  const drawOverlay = React.useCallback((at) => {
+    const canvas = overlayRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.width = Math.round(width * dpr);
+    const h = canvas.height = Math.round(canvas.clientHeight * dpr);
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, w, h);
+    if (!duration || !w) return;
+    const px = (t) => ((t - start) / span) * w;
+    const top = STRIP * dpr;
+
+    const step = TICK_STEPS.find(s => (s / span) * w >= 80 * dpr) ?? TICK_STEPS[TICK_STEPS.length - 1];
+    ctx.font = `${9 * dpr}px monospace`;
+    ctx.textBaseline = "top";
+    ctx.fillStyle = "#555";
+    for (let t = Math.ceil(start / step) * step; t <= start + span; t += step) {
+      ctx.fillRect(px(t), top, 1, 4 * dpr);
+      ctx.fillText(formatTime(t), px(t) + 2 * dpr, top + 2 * dpr);
+    }
+
+    if (loop) {
+      const a = px(loop.start), b = px(loop.end);
+      ctx.fillStyle = loop.enabled ? "rgba(127, 255, 212, 0.12)" : "rgba(154, 154, 154, 0.08)";
+      ctx.fillRect(a, top, b - a, h - top);
+      ctx.fillStyle = loop.enabled ? "#7fffd4" : "#555";
+      ctx.fillRect(a, 0, b - a, top);
+      ctx.fillRect(a, 0, 1, h);
+      ctx.fillRect(b - 1, 0, 1, h);
+      ctx.fillStyle = "#020202";
+      ctx.fillText("A", a + 2 * dpr, 2 * dpr);
+      ctx.textAlign = "right";
+      ctx.fillText("B", b - 2 * dpr, 2 * dpr);
+      ctx.textAlign = "left";
+    }
+
+    const x = px(at);
+    if (x >= 0 && x <= w) {
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(x - dpr / 2, 0, Math.max(1, dpr), h);
+    }
+  }, [width, duration, start, span, loop]);
+
+  React.useEffect(() => { drawOverlay(dragRef.current?.kind === "seek" ? dragRef.current.time : position); }, [drawOverlay, position]);
+
+  // the playhead rides the shared analysis clock
+  useAnalysis(analysis, () => {
+    if (!buffer || dragRef.current) return;
+    const at = getPosition();
+    setPosition(at);
+    if (playing && zoom > 1 && (at < start || at > start + span)) setViewStart(at - span * 0.1);
+  }, { fps: 30 });
+
+  // wheel zoom / pan needs a non-passive listener to keep the page still
+  React.useEffect(() => {
+    const canvas = overlayRef.current;
+    const onWheel = (e) => {
+      if (!duration) return;
+      e.preventDefault();
+      if (e.shiftKey || Math.abs(e.deltaX) > Math.abs(e.deltaY)) {
+        setViewStart(start + ((e.deltaX || e.deltaY) / width) * span);
+        return;
+      }
+      const rect = canvas.getBoundingClientRect();
+      const frac = (e.clientX - rect.left) / rect.width;
+      const at = start + frac * span;
+      const next = Math.max(1, Math.min(MAX_ZOOM, zoom * (e.deltaY < 0 ? 1.25 : 0.8)));
+      setZoom(next);
+      setViewStart(at - frac * (duration / next));
+    };
+    canvas.addEventListener("wheel", onWheel, { passive: false });
+    return () => canvas.removeEventListener("wheel", onWheel);
+  }, [duration, start, span, width, zoom]);
+
+  const zoomBy = (factor) => {
+    const next = Math.max(1, Math.min(MAX_ZOOM, zoom * factor));
+    setZoom(next);
+    setViewStart(start + span / 2 - duration / next / 2);
+  };
+
+  const onPointerDown = (e) => {
+    if (!duration) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const t = timeAt(e.clientX);
+    const y = e.clientY - e.currentTarget.getBoundingClientRect().top;
+    if (y > STRIP) {
+      dragRef.current = { kind: "seek", time: t };
+      drawOverlay(t);
+      return;
+    }
+    const x = e.clientX - e.currentTarget.getBoundingClientRect().left;
+    if (loop && Math.abs(x - xOf(loop.start)) <= HANDLE) dragRef.current = { kind: "start" };
+    else if (loop && Math.abs(x - xOf(loop.end)) <= HANDLE) dragRef.current = { kind: "end" };
+    else if (loop && t > loop.start && t < loop.end) dragRef.current = { kind: "move", grab: t - loop.start };
+    else dragRef.current = { kind: "new", anchor: t };
+  };
+
+  const onPointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const t = timeAt(e.clientX);
+    if (drag.kind === "seek") {
+      drag.time = t;
+      drawOverlay(t);
+    } else if (drag.kind === "new") {
+      onLoopChange({ start: Math.min(drag.anchor, t), end: Math.max(drag.anchor, t), enabled: true });
+    } else if (drag.kind === "move") {
+      const len = loop.end - loop.start;
+      const a = Math.max(0, Math.min(duration - len, t - drag.grab));
+      onLoopChange({ ...loop, start: a, end: a + len });
+    } else {
+      const other = drag.kind === "start" ? loop.end : loop.start;
+      onLoopChange({ ...loop, start: Math.min(other, t), end: Math.max(other, t) });
+      if ((drag.kind === "start") !== (t < other)) drag.kind = t < other ? "start" : "end";
+    }
+  };
+
+  const onPointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag?.kind === "seek") {
+      setPosition(drag.time);
+      onSeek(drag.time);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-1 font-mono text-xs">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-[#7fffd4]">WAVEFORM</span>
+        <span className="text-[#9a9a9a] truncate max-w-[240px]">{buffer ? name : "nothing loaded"}</span>
+        <span className="text-[#9a9a9a]">{playing ? "Playing..." : "Idle"}</span>
+        <span>{formatTime(position)} / {formatTime(duration)}</span>
+        {loop && <span className="text-[#9a9a9a]">A {formatTime(loop.start)} B {formatTime(loop.end)}</span>}
+        {beatProgress != null && <span className="text-[#9a9a9a]">BEATS {Math.round(beatProgress * 100)}%</span>}
+        {beatGrid?.bpm > 0 && <span>{beatGrid.bpm} BPM</span>}
+        <div className="ml-auto flex gap-1">
+          <button className={btn} disabled={!buffer} onClick={onTogglePlay}>{playing ? "PAUSE" : "PLAY"}</button>
+          <button
+            className={`${btn} ${loop?.enabled ? "border-[#7fffd4]" : ""}`}
+            disabled={!loop}
+            onClick={() => onLoopChange({ ...loop, enabled: !loop.enabled })}
+          >
+            LOOP
+          </button>
+          <button className={btn} disabled={!loop} onClick={() => onLoopChange(null)}>CLEAR</button>
+          <button className={btn} disabled={!buffer || zoom <= 1} onClick={() => zoomBy(0.5)}>−</button>
+          <button className={btn} disabled={!buffer || zoom >= MAX_ZOOM} onClick={() => zoomBy(2)}>+</button>
+          <button className={btn} disabled={!buffer || zoom === 1} onClick={() => { setZoom(1); setViewStart(0); }}>FIT</button>
+          <button className={btn} disabled={rendering} onClick={onRenderSong}>{rendering ? "RENDERING..." : "RENDER SONG"}</button>
+        </div>
+      </div>
+      <div ref={boxRef} className="relative h-24 border border-[#111] rounded-sm overflow-hidden">
+        <canvas ref={waveRef} className="absolute inset-0 w-full h-full" />
+        <canvas
+          ref={overlayRef}
+          className="absolute inset-0 w-full h-full cursor-pointer touch-none"
+          onPointerDown={onPointerDown}
+          onPointerMove={onPointerMove}
+          onPointerUp={onPointerUp}
+          onPointerCancel={() => { dragRef.current = null; }}
+          onDoubleClick={(e) => {
+            if (e.clientY - e.currentTarget.getBoundingClientRect().top <= STRIP) onLoopChange(null);
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default WaveformOverview;
@@ -0,0 +1,17 @@
+/*
+useAnalysis.js
+useAnalysis(engine, onFrame, { fftSize, smoothing, fps, stereo })
+Subscribes a visualizer to the shared analysis engine (audio/analysis.js)
+for as long as it is mounted; onFrame(frame) may change between renders
+without resubscribing. onFrame(null) means playback stopped.
+*/
+import { useEffect, useRef } from 'react';
+
+export function useAnalysis(engine, onFrame, { fftSize, smoothing, fps, stereo } = {}) {
+  const handler = useRef(onFrame);
+  useEffect(() => { handler.current = onFrame; });
+  useEffect(
+    () => engine.subscribe(frame => handler.current(frame), { fftSize, smoothing, fps, stereo }),
+    [engine, fftSize, smoothing, fps, stereo],
+  );
+}
@@ -0,0 +1,164 @@
+/*
+visualizers.js
+Visualizer registry. Each entry declares its name, the inputs it reads and
+a settings schema; VisualizerPanel.jsx offers every entry in every panel
+and builds the settings form from the schema.
+
+  VISUALIZERS[id] = { name, inputs, settings: { [key]: field }, component }
+  field = { label, type: "color" | "select" | "range" | "text", default,
+            options (select), min / max / step (range) }
+
+Components receive { input, settings }. `input` is the same object for all
+of them:
+  analysis      the shared analysis engine (audio/analysis.js); subscribe
+                with useAnalysis.js, frames carry FFT, waveform, bands,
+                levels, onsets, beats and the song feed
+  playing       imported audio is playing
+  songPlaying   our song is playing
+  song, pattern the song and the pattern in the editor
+and `inputs` names which of them a visualizer uses:
+  analyser  frequency data of what is playing
+  waveform  time-domain data of what is playing
+  stereo    left / right time-domain data (the monitor bus split)
+  pattern   the song itself: pattern data and the row / note-trigger feed
+  beats     beat / downbeat events from the beat grid detected in imported
+            audio (audio/beats.js)
+
+VISUALIZER_SLOTS are the panels of the main view with the visualizer each
+starts with. visualizerSettings(config, id) fills in schema defaults.
+*/
+import { FFT_SIZES } from "../audio/analyser";
+import { COLOR_MAPS } from "../video/scope";
+import AsciiSpectrumVisualizer from "./AsciiSpectrumVisualizer";
+import AsciiCircleVisualizer from "./AsciiCircleVisualizer";
+import PatternGridVisualizer from "./PatternGridVisualizer";
+import HexConsoleVisualizer from "./HexConsoleVisualizer";
+import ChannelBarsVisualizer from "./ChannelBarsVisualizer";
+import OscilloscopeVisualizer from "./OscilloscopeVisualizer";
+import SpectrogramVisualizer from "./SpectrogramVisualizer";
+import VectorscopeVisualizer from "./VectorscopeVisualizer";
+
+export const VISUALIZER_INPUTS = {
+  analyser: "FFT",
+  waveform: "WAVE",
+  stereo: "L/R",
+  pattern: "PATTERN",
+  beats: "BEAT",
+};
+
+const color = (value) => ({ label: "COLOR", type: "color", default: value });
+const fftSize = { label: "FFT SIZE", type: "select", options: FFT_SIZES, default: 2048 };
+const smoothing = { label: "SMOOTHING", type: "range", min: 0, max: 0.95, step: 0.05, default: 0.8 };
+const fps = (value) => ({ label: "RATE fps", type: "range", min: 5, max: 60, step: 5, default: value });
+
+export const VISUALIZERS = {
+  spectrum: {
+    name: "ASCII spectrum",
+    inputs: ["analyser"],
+    settings: {
+      color: color("#00ff66"),
+      chars: { label: "CHARS (CAP, BAR)", type: "text", default: "@#" },
+      fontSize: { label: "FONT px", type: "range", min: 6, max: 24, step: 1, default: 12 },
+      fftSize,
+      smoothing,
+    },
+    component: AsciiSpectrumVisualizer,
+  },
+  face: {
+    name: "ASCII face",
+    inputs: ["analyser", "pattern", "beats"],
+    settings: {
+      color: color("#00ff99"),
+      fontSize: { label: "FONT px", type: "range", min: 10, max: 48, step: 1, default: 16 },
+      inertia: { label: "INERTIA", type: "range", min: 0, max: 0.95, step: 0.05, default: 0.8 },
+      beatKick: { label: "BEAT KICK", type: "range", min: 0, max: 1, step: 0.05, default: 0.5 },
+      fftSize,
+      smoothing,
+    },
+    component: AsciiCircleVisualizer,
+  },
+  grid: {
+    name: "pattern grid",
+    inputs: ["analyser", "pattern"],
+    settings: {
+      color: color("#00ff99"),
+      flash: { label: "TRIGGER", type: "color", default: "#7fffd4" },
+      rows: { label: "SONG ROWS", type: "range", min: 4, max: 64, step: 1, default: 16 },
+      channels: { label: "FFT COLUMNS", type: "range", min: 2, max: 16, step: 1, default: 8 },
+      fps: fps(30),
+      fftSize,
+      smoothing,
+    },
+    component: PatternGridVisualizer,
+  },
+  hex: {
+    name: "hex console",
+    inputs: ["analyser", "pattern"],
+    settings: {
+      color: color("#00ffaa"),
+      history: { label: "LINES", type: "range", min: 10, max: 200, step: 10, default: 80 },
+      fps: fps(20),
+      fftSize,
+      smoothing,
+    },
+    component: HexConsoleVisualizer,
+  },
+  scope: {
+    name: "oscilloscope",
+    inputs: ["waveform"],
+    settings: {
+      color: color("#00ff99"),
+      lineWidth: { label: "LINE px", type: "range", min: 1, max: 4, step: 0.5, default: 1.5 },
+      level: { label: "TRIGGER LEVEL", type: "range", min: -0.9, max: 0.9, step: 0.05, default: 0 },
+      edge: { label: "TRIGGER EDGE", type: "select", options: ["rising", "falling"], default: "rising" },
+      fftSize: { ...fftSize, label: "WINDOW" },
+    },
+    component: OscilloscopeVisualizer,
+  },
+  spectrogram: {
+    name: "spectrogram",
+    inputs: ["analyser"],
+    settings: {
+      colorMap: { label: "COLOR MAP", type: "select", options: COLOR_MAPS, default: "phosphor" },
+      speed: { label: "SPEED px", type: "range", min: 1, max: 4, step: 1, default: 1 },
+      minHz: { label: "MIN Hz", type: "range", min: 20, max: 200, step: 10, default: 30 },
+      fftSize: { ...fftSize, default: 4096 },
+      smoothing: { ...smoothing, default: 0 },
+    },
+    component: SpectrogramVisualizer,
+  },
+  vectorscope: {
+    name: "vectorscope",
+    inputs: ["stereo"],
+    settings: {
+      color: color("#7fffd4"),
+      mode: { label: "MODE", type: "select", options: ["vectorscope", "lissajous"], default: "vectorscope" },
+      gain: { label: "GAIN", type: "range", min: 0.5, max: 4, step: 0.5, default: 1 },
+      fps: fps(60),
+    },
+    component: VectorscopeVisualizer,
+  },
+  channels: {
+    name: "channel activity",
+    inputs: ["pattern"],
+    settings: {
+      color: color("#7fffd4"),
+    },
+    component: ChannelBarsVisualizer,
+  },
+};
+
+export const VISUALIZER_SLOTS = {
+  console: { label: "HEX CONSOLE", default: "hex" },
+  grid: { label: "PATTERN GRID", default: "grid" },
+  side: { label: "MOOD", default: "face" },
+  track: { label: "TRACK VISUALIZATION", default: "spectrum" },
+};
+
+export const slotVisualizer = (config, slot) =>
+  (VISUALIZERS[config.panels[slot]] ? config.panels[slot] : VISUALIZER_SLOTS[slot].default);
+
+export function visualizerSettings(config, id) {
+  const defaults = Object.fromEntries(Object.entries(VISUALIZERS[id].settings).map(([k, f]) => [k, f.default]));
+  return { ...defaults, ...config.settings[id] };
+}
@@ -0,0 +1,42 @@
+/*
+effects.js
+Names of tracker effect commands, for import summaries. Keys are the command
+character, or "E" + sub-command for the extended E commands.
+*/
+import { formatHex } from "../audio/pattern";
+
+const EFFECT_NAMES = {
+  "5": "tone porta + volume slide",
+  "6": "vibrato + volume slide",
+  "7": "tremolo",
+  "8": "panning",
+  "9": "sample offset",
+  E0: "filter",
+  E1: "fine porta up",
+  E2: "fine porta down",
+  E3: "glissando",
+  E4: "vibrato waveform",
+  E5: "set finetune",
+  E6: "pattern loop",
+  E7: "tremolo waveform",
+  E8: "panning (coarse)",
+  E9: "retrigger",
+  EA: "fine volume slide up",
+  EB: "fine volume slide down",
+  EE: "pattern delay",
+  EF: "invert loop",
+  G: "global volume",
+  H: "global volume slide",
+  K: "key off",
+  L: "set envelope position",
+  P: "panning slide",
+  R: "multi retrigger",
+  T: "tremor",
+  X1: "extra fine porta up",
+  X2: "extra fine porta down",
+};
+
+export const effectKey = (cmd, param) =>
+  cmd === "E" || cmd === "X" ? `${cmd}${formatHex(param >> 4, 1)}` : cmd;
+
+export const effectName = (key) => EFFECT_NAMES[key] || "unknown";
@@ -0,0 +1,63 @@
+/*
+id3.js
+ID3v2.3 tag writer for MP3 exports.
+
+encodeId3({ title, artist, bpm, software, cover }) -> Uint8Array
+  cover  { type: "image/jpeg" | "image/png", data: Uint8Array } -> APIC
+         frame, picture type 3 (front cover)
+
+Text frames are UTF-16 with a BOM so any title survives; empty fields are
+left out. The tag goes in front of the first MPEG frame.
+*/
+
+const TEXT_FRAMES = { title: "TIT2", artist: "TPE1", bpm: "TBPM", software: "TSSE" };
+
+const ascii = (text) => Uint8Array.from(text, ch => ch.charCodeAt(0) & 0xff);
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+function frame(id, body) {
+  const out = new Uint8Array(10 + body.length);
+  const view = new DataView(out.buffer);
+  out.set(ascii(id), 0);
+  view.setUint32(4, body.length); // v2.3 frame sizes are plain big-endian
+  out.set(body, 10);
+  return out;
+}
+
+function textFrame(id, text) {
+  const body = new Uint8Array(3 + text.length * 2);
+  const view = new DataView(body.buffer);
+  body[0] = 1; // UTF-16 with BOM
+  view.setUint16(1, 0xfeff, true);
+  for (let i = 0; i < text.length; i++) view.setUint16(3 + i * 2, text.charCodeAt(i), true);
+  return frame(id, body);
+}
+
+function pictureFrame({ type, data }) {
+  // encoding (ISO-8859-1), "mime\0", picture type, empty description "\0", image
+  return frame("APIC", concat([new Uint8Array([0]), ascii(`${type}\0`), new Uint8Array([3, 0]), data]));
+}
+
+export function encodeId3(tags = {}) {
+  const frames = [];
+  for (const [key, id] of Object.entries(TEXT_FRAMES)) {
+    const text = tags[key] == null ? "" : String(tags[key]).trim();
+    if (text) frames.push(textFrame(id, text));
+  }
+  if (tags.cover?.data?.length) frames.push(pictureFrame(tags.cover));
+  if (!frames.length) return new Uint8Array(0);
+
+  const body = concat(frames);
+  const header = new Uint8Array(10);
+  header.set(ascii("ID3"), 0);
+  header[3] = 3; // v2.3.0
+  // tag size is "synchsafe": 7 bits per byte
+  for (let i = 0; i < 4; i++) header[6 + i] = (body.length >> (21 - i * 7)) & 0x7f;
+  return concat([header, body]);
+}
@@ -0,0 +1,171 @@
+/*
+mod.js
+ProTracker MOD loader: header, 31 (or 15, Soundtracker) sample definitions,
+order table, patterns and 8-bit sample data, mapped onto the app's song and
+instrument model.
+
+Pitch mapping: Amiga period 428 (ProTracker C-2) becomes "C-4" and samples are
+stored at the PAL rate that period plays at, so every sample instrument gets
+baseNote "C-4". Finetune (-8..7 eighths of a semitone) becomes cents.
+
+Effects the sequencer does not implement stay in the fx column (so nothing is
+lost) and are counted in the import summary.
+*/
+import { midiToNote } from "../audio/notes";
+import { EMPTY_FX, EMPTY_INSTR, EMPTY_VOL, formatHex, makeCell } from "../audio/pattern";
+import { INSTRUMENT_SLOTS, makeSampleInstrument, makeSynthInstrument } from "../audio/instruments";
+import { SUPPORTED_EFFECTS } from "../audio/sequencer";
+import { effectKey, effectName } from "./effects";
+
+const PAL_CLOCK = 7093789.2;
+const C2_PERIOD = 428;
+const C2_RATE = Math.round(PAL_CLOCK / (C2_PERIOD * 2)); // 8287 Hz
+const ROWS = 64;
+
+// Channel count from the 4-byte signature at 1080, or 0 for 15-sample files.
+function channelsFromTag(tag) {
+  if (["M.K.", "M!K!", "M&K!", "FLT4", "4CHN", "N.T."].includes(tag)) return 4;
+  if (["OCTA", "CD81", "FLT8"].includes(tag)) return 8;
+  let m = /^(\d)CHN$/.exec(tag);
+  if (m) return Number(m[1]);
+  m = /^(\d\d)C[HN]$/.exec(tag);
+  if (m) return Number(m[1]);
+  return 0;
+}
+
+const readString = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length)).replace(/\0.*$/s, "").trimEnd();
+
+// Raw file structure; throws on files that are too short to be a MOD.
+export function parseMod(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  if (bytes.length < 600) throw new Error("File is too small to be a MOD");
+
+  const tag = bytes.length >= 1084 ? readString(bytes, 1080, 4) : "";
+  let channels = channelsFromTag(tag);
+  const numSamples = channels ? 31 : 15;
+  if (!channels) channels = 4; // original Soundtracker: no tag, 15 samples
+
+  const samples = [];
+  for (let i = 0; i < numSamples; i++) {
+    const o = 20 + i * 30;
+    const ft = bytes[o + 24] & 0x0f;
+    samples.push({
+      name: readString(bytes, o, 22),
+      length: view.getUint16(o + 22) * 2,
+      finetune: ft > 7 ? ft - 16 : ft,
+      volume: Math.min(64, bytes[o + 25]),
+      loopStart: view.getUint16(o + 26) * 2,
+      loopLength: view.getUint16(o + 28) * 2,
+    });
+  }
+
+  const headerEnd = 20 + numSamples * 30;
+  const songLength = Math.max(1, Math.min(128, bytes[headerEnd]));
+  const orderTable = Array.from(bytes.subarray(headerEnd + 2, headerEnd + 130));
+  const orders = orderTable.slice(0, songLength);
+  // every pattern in the table is stored, even ones past the song length
+  const numPatterns = Math.max(...orderTable) + 1;
+  const patternStart = headerEnd + 130 + (numSamples === 31 ? 4 : 0);
+
+  const patterns = [];
+  for (let p = 0; p < numPatterns; p++) {
+    const rows = [];
+    for (let r = 0; r < ROWS; r++) {
+      const row = [];
+      for (let c = 0; c < channels; c++) {
+        const o = patternStart + ((p * ROWS + r) * channels + c) * 4;
+        if (o + 4 > bytes.length) throw new Error("MOD pattern data is truncated");
+        const [b0, b1, b2, b3] = bytes.subarray(o, o + 4);
+        row.push({
+          sample: (b0 & 0xf0) | (b2 >> 4),
+          period: ((b0 & 0x0f) << 8) | b1,
+          effect: b2 & 0x0f,
+          param: b3,
+        });
+      }
+      rows.push(row);
+    }
+    patterns.push(rows);
+  }
+
+  let offset = patternStart + numPatterns * ROWS * channels * 4;
+  for (const s of samples) {
+    const available = Math.max(0, Math.min(s.length, bytes.length - offset));
+    s.data = new Int8Array(arrayBuffer, offset, available);
+    offset += s.length;
+  }
+
+  return { title: readString(bytes, 0, 20), tag, channels, samples, orders, patterns, truncated: offset > bytes.length };
+}
+
+const periodToNote = (period) => midiToNote(60 + Math.round(12 * Math.log2(C2_PERIOD / period)));
+
+function sampleToInstrument(s, index) {
+  const name = s.name || `sample ${formatHex(index + 1)}`;
+  if (s.data.length < 2) return makeSynthInstrument(name);
+
+  const buffer = new AudioBuffer({ length: s.data.length, numberOfChannels: 1, sampleRate: C2_RATE });
+  const out = buffer.getChannelData(0);
+  for (let i = 0; i < s.data.length; i++) out[i] = s.data[i] / 128;
+
+  const inst = makeSampleInstrument(buffer, name);
+  inst.fineTune = s.finetune * 12.5;
+  // the sample volume is where the channel volume starts, so Cxx replaces it
+  inst.defaultVolume = s.volume / 64;
+  // a repeat length of 2 bytes (1 word) means "no loop" in ProTracker
+  if (s.loopLength > 2 && s.loopStart < s.data.length) {
+    inst.loopMode = "forward";
+    inst.loopStart = s.loopStart;
+    inst.loopEnd = Math.min(s.data.length, s.loopStart + s.loopLength);
+  }
+  return inst;
+}
+
+/*
+loadMod(arrayBuffer) -> { song, instruments, bpm, summary }
+summary = { format, title, channels, patterns, orders, samples, warnings, unsupported: [{ key, name, count }] }
+*/
+export function loadMod(arrayBuffer) {
+  const mod = parseMod(arrayBuffer);
+  const warnings = [];
+  const unsupported = new Map();
+  if (mod.truncated) warnings.push("Sample data is truncated; the last samples may be cut short");
+
+  const patterns = mod.patterns.map(rows =>
+    Array.from({ length: mod.channels }, (_, c) => rows.map(row => {
+      const cell = makeCell();
+      const n = row[c];
+      if (n.period) cell.note = periodToNote(n.period);
+      cell.instr = n.sample ? formatHex(n.sample) : EMPTY_INSTR;
+      cell.vol = EMPTY_VOL;
+      const cmd = formatHex(n.effect, 1);
+      cell.fx = n.effect || n.param ? `${cmd}${formatHex(n.param)}` : EMPTY_FX;
+      if (cell.fx !== EMPTY_FX) {
+        const key = effectKey(cmd, n.param);
+        if (!SUPPORTED_EFFECTS.includes(key)) unsupported.set(key, (unsupported.get(key) || 0) + 1);
+      }
+      return cell;
+    }))
+  );
+
+  const instruments = mod.samples.map(sampleToInstrument);
+  while (instruments.length < INSTRUMENT_SLOTS) instruments.push(makeSynthInstrument());
+
+  return {
+    song: { patterns, orders: mod.orders, speed: 6 },
+    instruments,
+    bpm: 125,
+    summary: {
+      format: mod.samples.length === 15 ? "Soundtracker MOD" : `MOD (${mod.tag})`,
+      title: mod.title,
+      channels: mod.channels,
+      patterns: patterns.length,
+      orders: mod.orders.length,
+      samples: mod.samples.filter(s => s.data.length > 1).length,
+      warnings,
+      unsupported: [...unsupported].map(([key, count]) => ({ key, name: effectName(key), count })),
+    },
+  };
+}
@@ -0,0 +1,62 @@
+/*
+mp3.js
+MP3 export: encodes an AudioBuffer in mp3.worker.js and prepends an ID3v2
+tag (id3.js).
+
+encodeMp3(buffer, options) -> Promise<Blob> (audio/mpeg)
+options:
+  bitrate     CBR kbps, one of MP3_BITRATES, default 192
+  vbr         variable bitrate instead, at `quality` (LAME -V 0 best .. 9 smallest)
+  mono        downmix to one channel
+  tags        see encodeId3
+  onProgress  (fraction 0..1) while encoding
+  signal      AbortSignal; aborting terminates the worker and rejects with an AbortError
+*/
+import { encodeId3 } from "./id3";
+
+export const MP3_BITRATES = [96, 128, 160, 192, 224, 256, 320];
+export const MP3_VBR_QUALITIES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+export function encodeMp3(buffer, { bitrate = 192, vbr = false, quality = 2, mono = false, tags = {}, onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("MP3 export cancelled", "AbortError");
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const worker = new Worker(new URL("./mp3.worker.js", import.meta.url), { type: "module" });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener("abort", onAbort);
+    };
+    const onAbort = () => {
+      finish();
+      reject(abortError());
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    worker.onmessage = (e) => {
+      if (e.data.progress != null) {
+        onProgress?.(e.data.progress);
+      } else if (e.data.error) {
+        finish();
+        reject(new Error(e.data.error));
+      } else {
+        finish();
+        resolve(new Blob([encodeId3(tags), e.data.data], { type: "audio/mpeg" }));
+      }
+    };
+    worker.onerror = (e) => {
+      finish();
+      reject(new Error(e.message || "MP3 worker failed"));
+    };
+
+    // copies, so the transfer doesn't detach the AudioBuffer's own storage
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+    worker.postMessage(
+      { channels, sampleRate: buffer.sampleRate, bitrate, vbr, quality, mono },
+      channels.map(data => data.buffer),
+    );
+  });
+}
@@ -0,0 +1,52 @@
+/*
+mp3.worker.js
+LAME (wasm-media-encoders) running off the main thread.
+
+postMessage({ channels: Float32Array[], sampleRate, bitrate, vbr, quality, mono })
+  -> { progress: 0..1 } while encoding, then { data: Uint8Array } or { error }
+Cancel by terminating the worker.
+*/
+import { createEncoder } from "wasm-media-encoders";
+import mp3Wasm from "wasm-media-encoders/wasm/mp3?url";
+
+const BLOCK = 1152 * 64; // frames per encode() call
+const PROGRESS_EVERY = 8; // blocks between progress messages
+
+self.onmessage = async (e) => {
+  try {
+    const { sampleRate, bitrate, vbr, quality, mono } = e.data;
+    let { channels } = e.data;
+    if (mono && channels.length > 1) {
+      const sum = new Float32Array(channels[0].length);
+      for (const data of channels) {
+        for (let i = 0; i < sum.length; i++) sum[i] += data[i] / channels.length;
+      }
+      channels = [sum];
+    }
+    channels = channels.slice(0, 2);
+
+    const encoder = await createEncoder("audio/mpeg", mp3Wasm);
+    encoder.configure({
+      channels: channels.length,
+      sampleRate,
+      ...(vbr ? { vbrQuality: quality } : { bitrate }),
+    });
+
+    // encode() returns a view into wasm memory, valid until the next call
+    const parts = [];
+    const length = channels[0].length;
+    for (let i = 0, n = 0; i < length; i += BLOCK, n++) {
+      parts.push(encoder.encode(channels.map(data => data.subarray(i, i + BLOCK))).slice());
+      if (n % PROGRESS_EVERY === 0) self.postMessage({ progress: i / length });
+    }
+    parts.push(encoder.finalize().slice());
+
+    const data = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let o = 0;
+    for (const p of parts) { data.set(p, o); o += p.length; }
+    self.postMessage({ progress: 1 });
+    self.postMessage({ data }, [data.buffer]);
+  } catch (err) {
+    self.postMessage({ error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,144 @@
+/*
+project.js
+Native project file (.tvp): a zip holding
+
+  project.json     { format, version, bpm, song, instruments, lastImport, editor }
+  samples/<n>.f32  raw sample data, one Float32 plane per channel (little-endian)
+
+Every AudioBuffer (sample instruments, multi-sample parts, the last IMPORT
+AUDIO) is swapped for { sample: n, sampleRate, channels, length } in the JSON;
+buffers shared between slots are stored once. The project library
+(storage/library.js) stores the same JSON with its own sample keys, through
+projectJson / parseProjectJson.
+
+Versioning: `version` is bumped whenever the JSON shape changes. Older files
+are upgraded on open by running MIGRATIONS[v] for every v from the file's
+version up to PROJECT_VERSION - 1, each taking and returning plain JSON. Files
+from a newer version are refused rather than half-loaded.
+*/
+import { makeZip, readZip } from "./zip";
+
+export const PROJECT_FORMAT = "tracker-visualizer";
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = ".tvp";
+
+// MIGRATIONS[v](json) upgrades a version v project to v + 1.
+const MIGRATIONS = {};
+
+const isAudioBuffer = (v) => v && typeof v.getChannelData === "function";
+
+/*
+projectJson({ song, instruments, bpm, lastImport, editor }, key) -> string
+key(buffer) names where an AudioBuffer's data is kept; it is called for every
+occurrence, so it should hand out the same key for the same buffer
+*/
+export function projectJson({ song, instruments, bpm, lastImport = null, editor = {} }, key) {
+  // JSON.stringify replacer: swap AudioBuffers for references
+  const replacer = (_, value) => (isAudioBuffer(value)
+    ? { sample: key(value), sampleRate: value.sampleRate, channels: value.numberOfChannels, length: value.length }
+    : value);
+
+  return JSON.stringify({
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    bpm,
+    song,
+    instruments,
+    lastImport,
+    editor,
+  }, replacer);
+}
+
+/*
+saveProject({ song, instruments, bpm, lastImport, editor }) -> Blob
+*/
+export function saveProject(project) {
+  const buffers = new Map(); // AudioBuffer -> index
+  const files = [];
+
+  const json = projectJson(project, (buffer) => {
+    if (!buffers.has(buffer)) {
+      const n = buffers.size;
+      buffers.set(buffer, n);
+      const data = new Float32Array(buffer.length * buffer.numberOfChannels);
+      for (let c = 0; c < buffer.numberOfChannels; c++) data.set(buffer.getChannelData(c), c * buffer.length);
+      files.push({ name: `samples/${n}.f32`, data: new Uint8Array(data.buffer) });
+    }
+    return buffers.get(buffer);
+  });
+
+  return makeZip([{ name: "project.json", data: json }, ...files]);
+}
+
+function migrate(json) {
+  if (json?.format !== PROJECT_FORMAT) throw new Error("Not a tracker-visualizer project");
+  let version = json.version;
+  if (!Number.isInteger(version) || version < 1) throw new Error(`Unknown project version ${version}`);
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project was saved by a newer version (v${version}); this build reads up to v${PROJECT_VERSION}`);
+  }
+  while (version < PROJECT_VERSION) {
+    json = MIGRATIONS[version](json);
+    json.version = ++version;
+  }
+  return json;
+}
+
+function validate(json) {
+  const { song } = json;
+  if (!Array.isArray(song?.patterns) || !song.patterns.length) throw new Error("Project has no patterns");
+  if (!Array.isArray(song.orders) || !song.orders.length) throw new Error("Project has no order list");
+  const bad = song.orders.find(o => !Number.isInteger(o) || o < 0 || o >= song.patterns.length);
+  if (bad !== undefined) throw new Error(`Order list refers to a missing pattern (${bad})`);
+  if (!Array.isArray(json.instruments)) throw new Error("Project has no instruments");
+}
+
+/*
+parseProjectJson(text, load) -> { song, instruments, bpm, lastImport, editor }
+load({ sample, sampleRate, channels, length }) -> AudioBuffer for each
+reference projectJson wrote; the same key may come more than once
+*/
+export function parseProjectJson(text, load) {
+  const json = migrate(JSON.parse(text));
+  validate(json);
+
+  const buffers = new Map(); // key -> AudioBuffer, so shared samples stay shared
+  const revive = (value) => {
+    if (Array.isArray(value)) return value.map(revive);
+    if (value && typeof value === "object") {
+      if (value.sample != null && value.sampleRate) {
+        if (!buffers.has(value.sample)) buffers.set(value.sample, load(value));
+        return buffers.get(value.sample);
+      }
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, revive(v)]));
+    }
+    return value;
+  };
+
+  return {
+    song: json.song,
+    instruments: revive(json.instruments),
+    bpm: json.bpm || 125,
+    lastImport: json.lastImport ? revive(json.lastImport) : null,
+    editor: json.editor || {},
+  };
+}
+
+/*
+openProject(arrayBuffer) -> Promise<{ song, instruments, bpm, lastImport, editor }>
+throws with a readable message on anything it can't load
+*/
+export async function openProject(arrayBuffer) {
+  const files = await readZip(arrayBuffer);
+  const main = files.get("project.json");
+  if (!main) throw new Error("Project file is missing project.json");
+
+  return parseProjectJson(new TextDecoder().decode(main), ({ sample, sampleRate, channels, length }) => {
+    const bytes = files.get(`samples/${sample}.f32`);
+    if (!bytes || bytes.length !== length * channels * 4) throw new Error(`Sample ${sample} is missing or damaged`);
+    const data = new Float32Array(bytes.slice().buffer);
+    const buffer = new AudioBuffer({ length, numberOfChannels: channels, sampleRate });
+    for (let c = 0; c < channels; c++) buffer.copyToChannel(data.subarray(c * length, (c + 1) * length), c);
+    return buffer;
+  });
+}
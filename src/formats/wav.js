@@ -0,0 +1,133 @@
+/*
+wav.js
+RIFF / WAVE writer.
+
+encodeWav(buffer, options) -> Blob (audio/wav)
+options:
+  bitDepth   16 | 24 (integer PCM) or 32 (IEEE float), default 16
+  dither     TPDF dither (±1 LSB triangular noise) when quantizing to integers
+  metadata   { title, artist, comment, software } -> LIST/INFO chunk
+  loop       { start, end } in frames -> smpl chunk with one forward loop,
+             plus a cue chunk marking both points
+
+With no metadata or loop the file is the plain 44-byte-header layout.
+*/
+
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+const INFO_IDS = { title: "INAM", artist: "IART", comment: "ICMT", software: "ISFT" };
+
+const encoder = new TextEncoder();
+
+// chunk = { id, bytes: Uint8Array }, padded to an even length as RIFF requires
+function chunk(id, bytes) {
+  const head = new DataView(new ArrayBuffer(8));
+  for (let i = 0; i < 4; i++) head.setUint8(i, id.charCodeAt(i));
+  head.setUint32(4, bytes.length, true);
+  const parts = [new Uint8Array(head.buffer), bytes];
+  if (bytes.length & 1) parts.push(new Uint8Array(1));
+  return parts;
+}
+
+const size = (parts) => parts.reduce((n, p) => n + p.length, 0);
+
+function fmtChunk(channels, sampleRate, bitDepth) {
+  const float = bitDepth === 32;
+  const view = new DataView(new ArrayBuffer(16));
+  const blockAlign = channels * bitDepth / 8;
+  view.setUint16(0, float ? 3 : 1, true); // 1 = PCM, 3 = IEEE float
+  view.setUint16(2, channels, true);
+  view.setUint32(4, sampleRate, true);
+  view.setUint32(8, sampleRate * blockAlign, true);
+  view.setUint16(12, blockAlign, true);
+  view.setUint16(14, bitDepth, true);
+  return chunk("fmt ", new Uint8Array(view.buffer));
+}
+
+function infoChunk(metadata) {
+  const parts = [encoder.encode("INFO")];
+  for (const [key, id] of Object.entries(INFO_IDS)) {
+    const text = metadata[key]?.trim();
+    if (!text) continue;
+    parts.push(...chunk(id, encoder.encode(`${text}\0`)));
+  }
+  if (parts.length === 1) return [];
+  const body = new Uint8Array(size(parts));
+  let o = 0;
+  for (const p of parts) { body.set(p, o); o += p.length; }
+  return chunk("LIST", body);
+}
+
+function smplChunk(sampleRate, { start, end }) {
+  const view = new DataView(new ArrayBuffer(36 + 24));
+  view.setUint32(8, Math.round(1e9 / sampleRate), true); // sample period, ns
+  view.setUint32(12, 60, true);                          // MIDI unity note
+  view.setUint32(28, 1, true);                           // one loop
+  view.setUint32(36, 0, true);                           // cue point id
+  view.setUint32(40, 0, true);                           // forward loop
+  view.setUint32(44, start, true);
+  view.setUint32(48, Math.max(start, end - 1), true);    // last frame, inclusive
+  return chunk("smpl", new Uint8Array(view.buffer));
+}
+
+function cueChunk(points) {
+  const view = new DataView(new ArrayBuffer(4 + points.length * 24));
+  view.setUint32(0, points.length, true);
+  points.forEach((frame, i) => {
+    const o = 4 + i * 24;
+    view.setUint32(o, i + 1, true); // id
+    view.setUint32(o + 4, frame, true);
+    for (let k = 0; k < 4; k++) view.setUint8(o + 8 + k, "data".charCodeAt(k));
+    view.setUint32(o + 20, frame, true);
+  });
+  return chunk("cue ", new Uint8Array(view.buffer));
+}
+
+function sampleData(buffer, bitDepth, dither) {
+  const channels = buffer.numberOfChannels;
+  const data = Array.from({ length: channels }, (_, c) => buffer.getChannelData(c));
+  const bytes = bitDepth / 8;
+  const out = new DataView(new ArrayBuffer(buffer.length * channels * bytes));
+  const max = bitDepth === 24 ? 0x7fffff : 0x7fff;
+  let o = 0;
+  for (let i = 0; i < buffer.length; i++) {
+    for (let c = 0; c < channels; c++, o += bytes) {
+      const x = data[c][i];
+      if (bitDepth === 32) {
+        out.setFloat32(o, x, true);
+        continue;
+      }
+      const noise = dither ? Math.random() - Math.random() : 0; // TPDF, in LSBs
+      const v = Math.max(-max - 1, Math.min(max, Math.round(x * max + noise)));
+      if (bitDepth === 16) {
+        out.setInt16(o, v, true);
+      } else {
+        out.setUint8(o, v & 0xff);
+        out.setUint8(o + 1, (v >> 8) & 0xff);
+        out.setUint8(o + 2, (v >> 16) & 0xff);
+      }
+    }
+  }
+  return new Uint8Array(out.buffer);
+}
+
+export function encodeWav(buffer, { bitDepth = 16, dither = false, metadata = null, loop = null } = {}) {
+  const chunks = [...fmtChunk(buffer.numberOfChannels, buffer.sampleRate, bitDepth)];
+  if (bitDepth === 32) {
+    // non-PCM formats carry a fact chunk with the frame count
+    const fact = new DataView(new ArrayBuffer(4));
+    fact.setUint32(0, buffer.length, true);
+    chunks.push(...chunk("fact", new Uint8Array(fact.buffer)));
+  }
+  if (loop && loop.end > loop.start) {
+    chunks.push(...smplChunk(buffer.sampleRate, loop), ...cueChunk([loop.start, loop.end]));
+  }
+  if (metadata) chunks.push(...infoChunk(metadata));
+  chunks.push(...chunk("data", sampleData(buffer, bitDepth, dither)));
+
+  const riff = new DataView(new ArrayBuffer(12));
+  [..."RIFF"].forEach((ch, i) => riff.setUint8(i, ch.charCodeAt(0)));
+  riff.setUint32(4, 4 + size(chunks), true);
+  [..."WAVE"].forEach((ch, i) => riff.setUint8(8 + i, ch.charCodeAt(0)));
+  return new Blob([riff, ...chunks], { type: "audio/wav" });
+}
@@ -0,0 +1,283 @@
+/*
+xm.js
+FastTracker 2 XM loader: any channel count, variable-length patterns,
+multi-sample instruments with keymaps, volume / panning envelopes, fadeout and
+the XM volume column, mapped onto the app's song and instrument model.
+
+Pitch mapping: XM note 49 (C-4) is "C-4". Samples are stored at 8363 Hz, the
+rate a sample plays at on C-4 with relative note 0, so the relative note and
+finetune become the sample's baseNote and fineTune.
+
+Volume column: XM stores set-volume as 0x10..0x50; it becomes 00..40 here.
+The command range 0x60..0xFF is kept as is (see sequencer.js).
+
+Sample volume: each sample's volume becomes its defaultVolume, the channel
+volume a note on it starts at, as in FT2; the vol column and Cxx replace it.
+A note on a volume-32 sample plays at 0.5, with C40 at 1.0, with vol 10 at
+0.25.
+*/
+import { EMPTY_NOTE, midiToNote, NOTE_OFF } from "../audio/notes";
+import { EMPTY_FX, EMPTY_INSTR, EMPTY_VOL, formatHex, makeCell } from "../audio/pattern";
+import { INSTRUMENT_SLOTS, makeMultiInstrument, makeSampleInstrument, makeSynthInstrument } from "../audio/instruments";
+import { SUPPORTED_EFFECTS } from "../audio/sequencer";
+import { effectKey, effectName } from "./effects";
+
+const XM_ID = "Extended Module: ";
+const C4_RATE = 8363;
+const KEY_OFF = 97;
+
+export const isXm = (arrayBuffer) =>
+  arrayBuffer.byteLength > 60 &&
+  String.fromCharCode(...new Uint8Array(arrayBuffer, 0, XM_ID.length)) === XM_ID;
+
+const readString = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length)).replace(/\0.*$/s, "").trimEnd();
+
+function readEnvelope(bytes, view, o, count, sustain, loopStart, loopEnd, type) {
+  const points = [];
+  for (let i = 0; i < Math.min(12, count); i++) {
+    points.push([view.getUint16(o + i * 4, true), view.getUint16(o + i * 4 + 2, true)]);
+  }
+  return {
+    points,
+    on: !!(type & 1),
+    sustainOn: !!(type & 2),
+    sustain,
+    loopOn: !!(type & 4),
+    loopStart,
+    loopEnd,
+  };
+}
+
+// Raw file structure; throws on malformed files.
+export function parseXm(arrayBuffer) {
+  if (!isXm(arrayBuffer)) throw new Error("Not an XM file");
+  const bytes = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  const need = (end) => {
+    if (end > bytes.length) throw new Error("XM file is truncated");
+  };
+
+  const headerSize = view.getUint32(60, true);
+  const songLength = view.getUint16(64, true);
+  const channels = view.getUint16(68, true);
+  const numPatterns = view.getUint16(70, true);
+  const numInstruments = view.getUint16(72, true);
+  const header = {
+    title: readString(bytes, 17, 20),
+    tracker: readString(bytes, 38, 20),
+    version: view.getUint16(58, true),
+    restart: view.getUint16(66, true),
+    channels,
+    linear: !!(view.getUint16(74, true) & 1),
+    speed: view.getUint16(76, true),
+    bpm: view.getUint16(78, true),
+    orders: Array.from(bytes.subarray(80, 80 + Math.min(256, songLength))),
+  };
+
+  // patterns: packed rows of note / instrument / volume / effect / param
+  let o = 60 + headerSize;
+  const patterns = [];
+  for (let p = 0; p < numPatterns; p++) {
+    need(o + 9);
+    const len = view.getUint32(o, true);
+    const rows = view.getUint16(o + 5, true);
+    const packed = view.getUint16(o + 7, true);
+    o += len;
+    need(o + packed);
+    const data = [];
+    let i = o;
+    for (let r = 0; r < rows; r++) {
+      const row = [];
+      for (let c = 0; c < channels; c++) {
+        const n = { note: 0, instr: 0, vol: 0, effect: 0, param: 0 };
+        if (packed) {
+          const b = bytes[i++];
+          if (b & 0x80) {
+            if (b & 1) n.note = bytes[i++];
+            if (b & 2) n.instr = bytes[i++];
+            if (b & 4) n.vol = bytes[i++];
+            if (b & 8) n.effect = bytes[i++];
+            if (b & 16) n.param = bytes[i++];
+          } else {
+            n.note = b;
+            [n.instr, n.vol, n.effect, n.param] = bytes.subarray(i, i + 4);
+            i += 4;
+          }
+        }
+        row.push(n);
+      }
+      data.push(row);
+    }
+    patterns.push(data);
+    o += packed;
+  }
+
+  // instruments: header, sample headers, then delta-coded sample data
+  const instruments = [];
+  for (let n = 0; n < numInstruments; n++) {
+    need(o + 29);
+    const size = view.getUint32(o, true);
+    const inst = { name: readString(bytes, o + 4, 22), samples: [], keymap: Array(96).fill(0) };
+    const numSamples = view.getUint16(o + 27, true);
+    let sampleHeaderSize = 40;
+    if (numSamples > 0) {
+      need(o + 241);
+      sampleHeaderSize = view.getUint32(o + 29, true) || 40;
+      inst.keymap = Array.from(bytes.subarray(o + 33, o + 129));
+      inst.volEnv = readEnvelope(bytes, view, o + 129, bytes[o + 225], bytes[o + 227], bytes[o + 228], bytes[o + 229], bytes[o + 233]);
+      inst.panEnv = readEnvelope(bytes, view, o + 177, bytes[o + 226], bytes[o + 230], bytes[o + 231], bytes[o + 232], bytes[o + 234]);
+      inst.fadeout = view.getUint16(o + 239, true);
+    }
+    o += size;
+
+    for (let s = 0; s < numSamples; s++) {
+      need(o + 40);
+      const type = bytes[o + 14];
+      inst.samples.push({
+        length: view.getUint32(o, true),
+        loopStart: view.getUint32(o + 4, true),
+        loopLength: view.getUint32(o + 8, true),
+        volume: Math.min(64, bytes[o + 12]),
+        finetune: view.getInt8(o + 13),
+        loopType: type & 3,
+        is16: !!(type & 16),
+        panning: bytes[o + 15],
+        relativeNote: view.getInt8(o + 16),
+        name: readString(bytes, o + 18, 22),
+      });
+      o += sampleHeaderSize;
+    }
+
+    for (const s of inst.samples) {
+      const end = Math.min(bytes.length, o + s.length);
+      if (s.is16) {
+        const frames = Math.floor((end - o) / 2);
+        const data = new Float32Array(frames);
+        let acc = 0;
+        for (let i = 0; i < frames; i++) {
+          acc = (acc + view.getInt16(o + i * 2, true)) << 16 >> 16;
+          data[i] = acc / 32768;
+        }
+        s.data = data;
+      } else {
+        const data = new Float32Array(end - o);
+        let acc = 0;
+        for (let i = 0; i < data.length; i++) {
+          acc = (acc + view.getInt8(o + i)) << 24 >> 24;
+          data[i] = acc / 128;
+        }
+        s.data = data;
+      }
+      s.truncated = o + s.length > bytes.length;
+      o += s.length;
+    }
+    instruments.push(inst);
+  }
+
+  return { ...header, patterns, instruments };
+}
+
+function sampleToInstrument(s, name) {
+  const buffer = new AudioBuffer({ length: s.data.length, numberOfChannels: 1, sampleRate: C4_RATE });
+  buffer.getChannelData(0).set(s.data);
+
+  const inst = makeSampleInstrument(buffer, s.name || name);
+  const div = s.is16 ? 2 : 1; // loop points are stored in bytes
+  inst.baseNote = midiToNote(60 - s.relativeNote);
+  inst.fineTune = (s.finetune / 128) * 100;
+  inst.defaultVolume = s.volume / 64;
+  inst.panning = (s.panning - 128) / 128;
+  if (s.loopType && s.loopLength > 0) {
+    inst.loopMode = s.loopType === 2 ? "pingpong" : "forward";
+    inst.loopStart = Math.min(s.data.length - 1, Math.floor(s.loopStart / div));
+    inst.loopEnd = Math.min(s.data.length, Math.floor((s.loopStart + s.loopLength) / div));
+  }
+  return inst;
+}
+
+function xmInstrument(inst, index) {
+  const name = inst.name || `inst ${formatHex(index + 1)}`;
+  const samples = inst.samples.filter(s => s.data.length > 1);
+  if (!samples.length) return makeSynthInstrument(name);
+
+  // keymap indices refer to all samples; re-point them at the kept ones
+  const kept = inst.samples.map(s => samples.indexOf(s));
+  const multi = makeMultiInstrument(name, samples.map((s, i) => sampleToInstrument(s, `${name} ${i}`)),
+    inst.keymap.map(k => Math.max(0, kept[k] ?? 0)));
+  multi.volEnv = inst.volEnv;
+  multi.panEnv = inst.panEnv;
+  multi.fadeout = inst.fadeout;
+  return multi;
+}
+
+const effectChar = (n) => (n < 10 ? String(n) : String.fromCharCode(55 + n));
+
+function volumeColumn(v) {
+  if (v >= 0x10 && v <= 0x50) return formatHex(v - 0x10);
+  if (v >= 0x60) return formatHex(v);
+  return EMPTY_VOL;
+}
+
+/*
+loadXm(arrayBuffer) -> { song, instruments, bpm, summary }
+same shape as loadMod, see mod.js
+*/
+export function loadXm(arrayBuffer) {
+  const xm = parseXm(arrayBuffer);
+  const warnings = [];
+  const unsupported = new Map();
+  if (!xm.linear) warnings.push("Amiga frequency table: slides use the linear table and may sound slightly different");
+  if (xm.instruments.some(i => i.samples.some(s => s.truncated))) warnings.push("Sample data is truncated; some samples may be cut short");
+
+  const patterns = xm.patterns.map(rows =>
+    Array.from({ length: xm.channels }, (_, c) => {
+      // empty patterns are stored with zero rows; give them the default 64
+      if (!rows.length) return Array.from({ length: 64 }, makeCell);
+      return rows.map(row => {
+        const n = row[c];
+        const cell = makeCell();
+        if (n.note === KEY_OFF) cell.note = NOTE_OFF;
+        else if (n.note > 0 && n.note < KEY_OFF) cell.note = midiToNote(n.note + 11);
+        else cell.note = EMPTY_NOTE;
+        cell.instr = n.instr ? formatHex(n.instr) : EMPTY_INSTR;
+        cell.vol = volumeColumn(n.vol);
+        if (n.effect || n.param) {
+          const cmd = effectChar(n.effect);
+          cell.fx = `${cmd}${formatHex(n.param)}`;
+          const key = effectKey(cmd, n.param);
+          if (!SUPPORTED_EFFECTS.includes(key)) unsupported.set(key, (unsupported.get(key) || 0) + 1);
+        } else {
+          cell.fx = EMPTY_FX;
+        }
+        return cell;
+      });
+    })
+  );
+
+  // orders may point past the stored patterns; those play as empty patterns
+  const maxOrder = Math.max(0, ...xm.orders);
+  while (patterns.length <= maxOrder) {
+    patterns.push(Array.from({ length: xm.channels }, () => Array.from({ length: 64 }, makeCell)));
+    warnings.push(`Pattern ${formatHex(patterns.length - 1)} is referenced but missing; left empty`);
+  }
+
+  const instruments = xm.instruments.map(xmInstrument);
+  while (instruments.length < INSTRUMENT_SLOTS) instruments.push(makeSynthInstrument());
+
+  return {
+    song: { patterns, orders: xm.orders.length ? xm.orders : [0], speed: xm.speed || 6 },
+    instruments,
+    bpm: xm.bpm || 125,
+    summary: {
+      format: `XM ${xm.tracker ? `(${xm.tracker})` : ""}`.trim(),
+      title: xm.title,
+      channels: xm.channels,
+      patterns: patterns.length,
+      orders: xm.orders.length,
+      samples: xm.instruments.reduce((n, i) => n + i.samples.filter(s => s.data.length > 1).length, 0),
+      warnings,
+      unsupported: [...unsupported].map(([key, count]) => ({ key, name: effectName(key), count })),
+    },
+  };
+}
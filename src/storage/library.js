@@ -0,0 +1,175 @@
+/*
+library.js
+Project library in IndexedDB. A project is kept as the project.json of a
+.tvp file (formats/project.js) with its sample data in separate records, so
+autosaving a pattern or mixer edit rewrites the JSON only; sample data is
+written once per AudioBuffer.
+
+Three object stores:
+  meta     { id, name, created, updated, size }     by project id, listed by the library panel
+  data     { json, samples: [sample key] }          by project id, loaded only when opened
+  samples  { sampleRate, length, channels: [Float32Array] }   by sample key, shared between
+                                                    projects (duplicates); dropped when no
+                                                    project refers to them any more
+Entries written before the split hold a .tvp Blob in `data`; they still open.
+
+storeProject({ id?, name, project }) -> id
+loadProject(id) -> { song, instruments, bpm, lastImport, editor }
+
+The id of the project being edited is kept in localStorage so a reload (or a
+crash) reopens it.
+*/
+import { openProject, parseProjectJson, projectJson } from "../formats/project";
+
+const DB_NAME = "tracker-visualizer";
+const DB_VERSION = 2;
+const CURRENT_KEY = "tracker-visualizer:current-project";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("data")) db.createObjectStore("data");
+        if (!db.objectStoreNames.contains("samples")) db.createObjectStore("samples");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(stores)` in one transaction; resolves with fn's result once committed.
+async function transact(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(["meta", "data", "samples"], mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    Promise.resolve(fn({ meta: tx.objectStore("meta"), data: tx.objectStore("data"), samples: tx.objectStore("samples") }))
+      .then(r => { result = r; }, err => { tx.abort(); reject(err); });
+  });
+}
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const newId = () => crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export async function listProjects() {
+  const all = await transact("readonly", ({ meta }) => request(meta.getAll()));
+  return all.sort((a, b) => b.updated - a.updated);
+}
+
+// AudioBuffer -> its key in the samples store, for buffers stored or loaded
+// this session; buffers never change, so a known key means nothing to write
+const sampleKeys = new WeakMap();
+
+const sampleKey = (buffer) => {
+  if (!sampleKeys.has(buffer)) sampleKeys.set(buffer, newId());
+  return sampleKeys.get(buffer);
+};
+
+// delete sample records no project refers to any more
+async function dropUnusedSamples({ data, samples }) {
+  const used = new Set();
+  for (const entry of await request(data.getAll())) for (const key of entry.samples || []) used.add(key);
+  for (const key of await request(samples.getAllKeys())) if (!used.has(key)) samples.delete(key);
+}
+
+/*
+storeProject({ id?, name, project }) -> id
+creates the entry when id is missing or unknown, otherwise overwrites it
+*/
+export async function storeProject({ id, name, project }) {
+  const key = id || newId();
+  const now = Date.now();
+  const buffers = new Map(); // sample key -> AudioBuffer
+  const json = projectJson(project, (buffer) => {
+    const k = sampleKey(buffer);
+    buffers.set(k, buffer);
+    return k;
+  });
+  let size = json.length;
+  for (const b of buffers.values()) size += b.length * b.numberOfChannels * 4;
+
+  await transact("readwrite", async (stores) => {
+    const { meta, data, samples } = stores;
+    const [old, oldData] = await Promise.all([request(meta.get(key)), request(data.get(key))]);
+    for (const [k, b] of buffers) {
+      // cheap existence check: a deleted project may have taken a known key with it
+      if (await request(samples.count(k))) continue;
+      const channels = Array.from({ length: b.numberOfChannels }, (_, c) => b.getChannelData(c));
+      samples.put({ sampleRate: b.sampleRate, length: b.length, channels }, k);
+    }
+    meta.put({ id: key, name, created: old?.created ?? now, updated: now, size });
+    data.put({ json, samples: [...buffers.keys()] }, key);
+    const dropped = (oldData?.samples || []).some(k => !buffers.has(k));
+    if (dropped) await dropUnusedSamples(stores);
+  });
+  return key;
+}
+
+export async function loadProject(id) {
+  const { entry, records } = await transact("readonly", async ({ data, samples }) => {
+    const entry = await request(data.get(id));
+    const keys = entry?.samples || [];
+    return { entry, records: await Promise.all(keys.map(k => request(samples.get(k)))) };
+  });
+  if (!entry) throw new Error("Project not found in the library");
+  if (entry instanceof Blob) return openProject(await entry.arrayBuffer());
+
+  const loaded = new Map(entry.samples.map((k, i) => [k, records[i]]));
+  return parseProjectJson(entry.json, ({ sample }) => {
+    const record = loaded.get(sample);
+    if (!record) throw new Error("A sample of this project is missing from the library");
+    const buffer = new AudioBuffer({ length: record.length, numberOfChannels: record.channels.length, sampleRate: record.sampleRate });
+    record.channels.forEach((data, c) => buffer.copyToChannel(data, c));
+    sampleKeys.set(buffer, sample);
+    return buffer;
+  });
+}
+
+export async function renameProject(id, name) {
+  await transact("readwrite", async ({ meta }) => {
+    const old = await request(meta.get(id));
+    if (old) meta.put({ ...old, name });
+  });
+}
+
+export async function duplicateProject(id) {
+  const key = newId();
+  const now = Date.now();
+  await transact("readwrite", async ({ meta, data }) => {
+    const [old, blob] = await Promise.all([request(meta.get(id)), request(data.get(id))]);
+    if (!old || !blob) throw new Error("Project not found in the library");
+    meta.put({ ...old, id: key, name: `${old.name} copy`, created: now, updated: now });
+    data.put(blob, key);
+  });
+  return key;
+}
+
+export async function deleteProject(id) {
+  await transact("readwrite", async (stores) => {
+    stores.meta.delete(id);
+    await request(stores.data.delete(id));
+    await dropUnusedSamples(stores);
+  });
+  if (getCurrentProjectId() === id) setCurrentProjectId(null);
+}
+
+export const getCurrentProjectId = () => localStorage.getItem(CURRENT_KEY);
+
+export function setCurrentProjectId(id) {
+  if (id) localStorage.setItem(CURRENT_KEY, id);
+  else localStorage.removeItem(CURRENT_KEY);
+}
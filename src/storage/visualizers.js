@@ -0,0 +1,29 @@
+/*
+visualizers.js
+Visualizer picks and settings, kept in localStorage so they survive reloads
+independently of the project being edited:
+
+  { panels: { [slot]: visualizerId }, settings: { [visualizerId]: { ... } } }
+
+Settings are stored per visualizer, not per panel, so a visualizer looks the
+same in whichever panel it is shown. Unreadable data loads as empty.
+*/
+
+const CONFIG_KEY = "tracker-visualizer:visualizers";
+
+export function loadVisualizerConfig() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONFIG_KEY));
+    return { panels: { ...stored?.panels }, settings: { ...stored?.settings } };
+  } catch {
+    return { panels: {}, settings: {} };
+  }
+}
+
+export function saveVisualizerConfig(config) {
+  try {
+    localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+  } catch (err) {
+    console.warn("Could not save visualizer settings:", err);
+  }
+}
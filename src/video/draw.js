@@ -0,0 +1,115 @@
+/*
+draw.js
+Visualizer drawing and text readouts shared by the live view and the video
+renderer, all computed from byte frequency data (AnalyserNode or
+offlineAnalyser.js).
+
+drawAsciiSpectrum(ctx, freq, { x, y, width, height, fontSize, color, chars })
+  ASCII bar spectrum (chars[0] caps over chars[1] columns, "@#" by default)
+  over a translucent black fill, so earlier frames leave a short trail.
+hexConsoleLine(freq, label)         -> "[label] [BASS] 0A ███ ... VOL:■■■·····"
+spectrumNotes(freq, sampleRate, n)  -> n note names, the loudest bin in each
+                                       of n equal slices of the spectrum
+faceForLevel(level)                 -> ASCII face for a 0..255 level
+fitCanvas(canvas)                   -> { ctx, width, height, dpr, resized }
+  sizes a live canvas's backing store to its element (device pixels),
+  blanking it to black when the size changes
+*/
+import { EMPTY_NOTE, freqToNoteName } from "../audio/notes";
+
+export function drawAsciiSpectrum(ctx, freq, { x = 0, y = 0, width, height, fontSize = 12, color = "#00ff66", chars = "@#" }) {
+  const cap = chars[0] || "@";
+  const body = chars[1] || cap;
+  const charWidth = fontSize * 0.6;
+  const cols = Math.floor(width / charWidth);
+  const rows = Math.floor(height / fontSize);
+  const step = Math.max(1, Math.floor(freq.length / cols));
+
+  ctx.fillStyle = "rgba(0, 0, 0, 0.35)";
+  ctx.fillRect(x, y, width, height);
+
+  ctx.font = `${fontSize}px monospace`;
+  ctx.textBaseline = "top";
+  ctx.textAlign = "center";
+  ctx.fillStyle = color;
+  for (let c = 0; c < cols; c++) {
+    const barHeight = Math.floor((freq[c * step] / 255) * rows);
+    for (let r = rows - barHeight + 1; r < rows; r++) {
+      ctx.fillText(r === rows - barHeight + 1 ? cap : body, x + c * charWidth + charWidth / 2, y + r * fontSize);
+    }
+  }
+}
+
+const HEX_BANDS = [
+  { name: "BASS", range: [0, 64] },
+  { name: "MID", range: [65, 256] },
+  { name: "HIGH", range: [257, 1024] },
+];
+
+export function hexConsoleLine(freq, label) {
+  const energy = ([start, end]) => {
+    let sum = 0;
+    for (let i = start; i < end && i < freq.length; i++) sum += freq[i];
+    return sum / (end - start);
+  };
+  const bands = HEX_BANDS.map(b => {
+    const level = Math.floor((energy(b.range) / 255) * 15);
+    const hex = level.toString(16).toUpperCase().padStart(2, "0");
+    const bar = "█".repeat(Math.floor(level / 3)) + " ".repeat(5 - Math.floor(level / 3));
+    return `[${b.name}] ${hex} ${bar}`;
+  });
+  const avg = Math.round(freq.reduce((a, b) => a + b, 0) / freq.length);
+  const volume = "■".repeat(Math.floor((avg / 255) * 8)).padEnd(8, "·");
+  return `[${label}] ${bands.join("  ")}   VOL:${volume}`;
+}
+
+export function spectrumNotes(freq, sampleRate, count) {
+  const binHz = sampleRate / (freq.length * 2);
+  const perSlice = Math.floor(freq.length / count);
+  const notes = [];
+  for (let c = 0; c < count; c++) {
+    let peak = 0, peakIdx = 0;
+    for (let i = c * perSlice; i < (c + 1) * perSlice; i++) {
+      if (freq[i] > peak) { peak = freq[i]; peakIdx = i; }
+    }
+    // only notes that stand out from the noise floor
+    notes.push(peak < 10 || peakIdx === 0 ? EMPTY_NOTE : freqToNoteName(peakIdx * binHz));
+  }
+  return notes;
+}
+
+// 60 ASCII moods from chill → chaos
+export const ASCII_FACES = [
+  // 0–9: calm & relaxed
+  "(·‿·)", "(・‿・)", "(-‿-)", "(￣‿￣)", "(^‿^)", "(^‿-)", "(o‿o)", "(◕‿◕)", "(＾‿＾)", "(＾▽＾)",
+  // 10–19: playful & alert
+  "(•‿•)", "(¬‿¬)", "(^▽^)", "(・▽・)", "(>‿<)", "(⊙‿⊙)", "(°‿°)", "(ʘ‿ʘ)", "(⊙ᴗ⊙)", "(☆‿☆)",
+  // 20–29: surprised / active
+  "(°o°)", "(⊙o⊙)", "(☉_☉)", "(⊙_☉)", "(◎_◎;)", "(°□°)", "(ᵔoᵔ)", "(◉_◉;)", "(⊙﹏⊙)", "(ʘoʘ)",
+  // 30–39: expressive / intense
+  "(╯°□°）╯", "(╮°-°)╭", "(งಠ_ಠ)ง", "(ง •̀_•́)ง", "(ಠ‿ಠ)", "(ಠ⌣ಠ)", "(ಥ‿ಥ)", "(ಥ﹏ಥ)", "(ಥ_ʖಥ)", "(☠‿☠)",
+  // 40–49: angry / chaotic / energy burst
+  "(ノಠ益ಠ)ノ", "(ノಠ益ಠ)ノ彡┻━┻", "(>_<)", "(≧▽≦)", "(≧︿≦)", "(>﹏<)", "(⌐■_■)", "(ಠ益ಠ)", "(ಠ╭╮ಠ)", "(ノ｀Д´)ノ",
+  // 50–59: transcendent / funky / meme energy
+  "(⊂◉‿◉⊃)", "(☯‿☯)", "(☉‿☉✿)", "(ノ◕ヮ◕)ノ*:･ﾟ✧", "(ノ◕‿◕)ノ", "(✧◡✧)", "(☆▽☆)", "(⌒‿⌒)", "(◕‿◕✿)", "¯\\(°_o)/¯",
+];
+
+export const IDLE_FACE = "(・‿・)";
+
+export const faceForLevel = (level) =>
+  ASCII_FACES[Math.min(ASCII_FACES.length - 1, Math.floor((level / 255) * ASCII_FACES.length))];
+
+export function fitCanvas(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.round(canvas.clientWidth * dpr);
+  const height = Math.round(canvas.clientHeight * dpr);
+  const ctx = canvas.getContext("2d");
+  const resized = canvas.width !== width || canvas.height !== height;
+  if (resized) {
+    canvas.width = width;
+    canvas.height = height;
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, width, height);
+  }
+  return { ctx, width, height, dpr, resized };
+}
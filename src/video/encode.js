@@ -0,0 +1,219 @@
+/*
+encode.js
+Offline video export. Frames are drawn one at a time at exact timestamps
+(drawFrame(ctx, time, index) onto a width x height canvas), encoded with
+WebCodecs together with the pre-rendered audio, and muxed into a real MP4 or
+WebM file. Output doesn't depend on machine speed: a slow machine just takes
+longer.
+
+renderVideo(audio, options) -> Promise<{ blob, extension }>
+options:
+  width, height  even pixel sizes (see VIDEO_RESOLUTIONS)
+  fps            one of VIDEO_FPS
+  container      "mp4" | "webm"
+  drawFrame      (ctx, time, index) => void
+  onProgress     (fraction 0..1)
+  signal         AbortSignal; aborting rejects with an AbortError
+
+Codecs: MP4 gets H.264 (or VP9 / AV1) with AAC (or Opus), WebM gets VP9 (or
+VP8 / AV1) with Opus, whichever the browser can encode. Without WebCodecs
+the frames are played through MediaRecorder in real time instead, which is
+still frame-exact in content but WebM / MP4 only as the recorder allows.
+*/
+import { ArrayBufferTarget as Mp4Target, Muxer as Mp4Muxer } from "mp4-muxer";
+import { ArrayBufferTarget as WebmTarget, Muxer as WebmMuxer } from "webm-muxer";
+
+export const VIDEO_CONTAINERS = ["mp4", "webm"];
+export const VIDEO_FPS = [24, 30, 60];
+export const VIDEO_RESOLUTIONS = [
+  { label: "640×360", width: 640, height: 360 },
+  { label: "1280×720", width: 1280, height: 720 },
+  { label: "1920×1080", width: 1920, height: 1080 },
+];
+// Opus only takes 48 kHz, so the audio for a video is rendered at that rate
+export const VIDEO_SAMPLE_RATE = 48000;
+
+const KEYFRAME_SECONDS = 2;
+const AUDIO_BLOCK = 4800;  // frames per AudioData
+const MAX_QUEUE = 8;       // encoder queue depth before waiting
+
+// candidate codecs per container: WebCodecs string and the muxer's name for it
+const VIDEO_CODECS = {
+  mp4: [
+    { codec: "avc1.640033", muxer: "avc" },
+    { codec: "avc1.4d0028", muxer: "avc" },
+    { codec: "vp09.00.40.08", muxer: "vp9" },
+    { codec: "av01.0.08M.08", muxer: "av1" },
+  ],
+  webm: [
+    { codec: "vp09.00.40.08", muxer: "V_VP9" },
+    { codec: "vp8", muxer: "V_VP8" },
+    { codec: "av01.0.08M.08", muxer: "V_AV1" },
+  ],
+};
+const AUDIO_CODECS = {
+  mp4: [
+    { codec: "mp4a.40.2", muxer: "aac" },
+    { codec: "opus", muxer: "opus" },
+  ],
+  webm: [{ codec: "opus", muxer: "A_OPUS" }],
+};
+
+const abortError = () => new DOMException("Video export cancelled", "AbortError");
+const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+
+async function pickCodec(candidates, isSupported, config) {
+  for (const c of candidates) {
+    try {
+      if ((await isSupported({ ...config, codec: c.codec })).supported) return c;
+    } catch {
+      // malformed or unknown codec string: try the next one
+    }
+  }
+  return null;
+}
+
+// MediaRecorder needs a DOM canvas for captureStream(); WebCodecs takes either
+function makeCanvas(width, height, dom = false) {
+  if (!dom && typeof OffscreenCanvas !== "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+async function waitForQueue(encoder, signal) {
+  while (encoder.encodeQueueSize > MAX_QUEUE) {
+    if (signal?.aborted) throw abortError();
+    await new Promise(resolve => encoder.addEventListener("dequeue", resolve, { once: true }));
+  }
+}
+
+async function encodeWithWebCodecs(audio, { width, height, fps, container, drawFrame, onProgress, signal }) {
+  const bitrate = Math.round(width * height * fps * 0.1);
+  const video = await pickCodec(VIDEO_CODECS[container], c => VideoEncoder.isConfigSupported(c), { width, height, bitrate, framerate: fps });
+  const channels = Math.min(2, audio.numberOfChannels);
+  const audioConfig = { sampleRate: audio.sampleRate, numberOfChannels: channels, bitrate: 192000 };
+  const sound = await pickCodec(AUDIO_CODECS[container], c => AudioEncoder.isConfigSupported(c), audioConfig);
+  if (!video || !sound) throw new Error(`This browser can't encode ${container.toUpperCase()} video`);
+
+  const target = container === "mp4" ? new Mp4Target() : new WebmTarget();
+  const muxer = container === "mp4"
+    ? new Mp4Muxer({
+      target,
+      video: { codec: video.muxer, width, height, frameRate: fps },
+      audio: { codec: sound.muxer, sampleRate: audio.sampleRate, numberOfChannels: channels },
+      fastStart: "in-memory",
+      firstTimestampBehavior: "offset",
+    })
+    : new WebmMuxer({
+      target,
+      video: { codec: video.muxer, width, height, frameRate: fps },
+      audio: { codec: sound.muxer, sampleRate: audio.sampleRate, numberOfChannels: channels },
+      firstTimestampBehavior: "offset",
+    });
+
+  let failure = null;
+  const fail = (err) => { failure = failure || err; };
+  const videoEncoder = new VideoEncoder({ output: (chunk, meta) => muxer.addVideoChunk(chunk, meta), error: fail });
+  videoEncoder.configure({
+    codec: video.codec, width, height, bitrate, framerate: fps,
+    ...(video.muxer === "avc" ? { avc: { format: "avc" } } : {}),
+  });
+  const audioEncoder = new AudioEncoder({ output: (chunk, meta) => muxer.addAudioChunk(chunk, meta), error: fail });
+  audioEncoder.configure({ codec: sound.codec, ...audioConfig });
+
+  try {
+    // audio first: it's quick, and the muxer interleaves by timestamp
+    for (let i = 0; i < audio.length; i += AUDIO_BLOCK) {
+      const frames = Math.min(AUDIO_BLOCK, audio.length - i);
+      const data = new Float32Array(frames * channels);
+      for (let c = 0; c < channels; c++) data.set(audio.getChannelData(c).subarray(i, i + frames), c * frames);
+      const chunk = new AudioData({
+        format: "f32-planar",
+        sampleRate: audio.sampleRate,
+        numberOfFrames: frames,
+        numberOfChannels: channels,
+        timestamp: Math.round(i / audio.sampleRate * 1e6),
+        data,
+      });
+      audioEncoder.encode(chunk);
+      chunk.close();
+    }
+
+    const canvas = makeCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+    const total = Math.ceil(audio.duration * fps);
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) throw abortError();
+      if (failure) throw failure;
+      drawFrame(ctx, i / fps, i);
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * 1e6 / fps), duration: Math.round(1e6 / fps) });
+      videoEncoder.encode(frame, { keyFrame: i % (fps * KEYFRAME_SECONDS) === 0 });
+      frame.close();
+      await waitForQueue(videoEncoder, signal);
+      if (i % fps === 0) {
+        onProgress?.(i / total);
+        await nextTask(); // let the progress bar paint
+      }
+    }
+
+    await Promise.all([videoEncoder.flush(), audioEncoder.flush()]);
+    if (failure) throw failure;
+    muxer.finalize();
+    onProgress?.(1);
+    return { blob: new Blob([target.buffer], { type: `video/${container}` }), extension: container };
+  } finally {
+    if (videoEncoder.state !== "closed") videoEncoder.close();
+    if (audioEncoder.state !== "closed") audioEncoder.close();
+  }
+}
+
+// Fallback: the same frames, paced in real time into MediaRecorder
+async function recordRealtime(audio, { width, height, fps, container, drawFrame, onProgress, signal }) {
+  const canvas = makeCanvas(width, height, true);
+  if (!canvas.captureStream) throw new Error("This browser can't record video");
+  const mimeType = [`video/${container}`, "video/webm", "video/mp4"].find(t => MediaRecorder.isTypeSupported(t));
+  if (!mimeType) throw new Error("This browser can't record video");
+
+  const ctx = canvas.getContext("2d");
+  const audioCtx = new AudioContext({ sampleRate: audio.sampleRate });
+  const dest = audioCtx.createMediaStreamDestination();
+  const source = audioCtx.createBufferSource();
+  source.buffer = audio;
+  source.connect(dest);
+  const videoTrack = canvas.captureStream(0).getVideoTracks()[0];
+  const recorder = new MediaRecorder(new MediaStream([videoTrack, ...dest.stream.getAudioTracks()]), { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  drawFrame(ctx, 0, 0);
+  recorder.start();
+  const start = audioCtx.currentTime + 0.1;
+  source.start(start);
+  try {
+    const total = Math.ceil(audio.duration * fps);
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) throw abortError();
+      const wait = (start + i / fps - audioCtx.currentTime) * 1000;
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      drawFrame(ctx, i / fps, i);
+      videoTrack.requestFrame();
+      if (i % fps === 0) onProgress?.(i / total);
+    }
+  } finally {
+    recorder.stop();
+    source.stop();
+    await stopped;
+    audioCtx.close();
+  }
+  onProgress?.(1);
+  return { blob: new Blob(chunks, { type: mimeType }), extension: mimeType.includes("mp4") ? "mp4" : "webm" };
+}
+
+export async function renderVideo(audio, options) {
+  if (options.signal?.aborted) throw abortError();
+  const webCodecs = typeof VideoEncoder !== "undefined" && typeof AudioEncoder !== "undefined";
+  return webCodecs ? encodeWithWebCodecs(audio, options) : recordRealtime(audio, options);
+}
@@ -0,0 +1,53 @@
+/*
+layouts.js
+Layout presets for the video compositor (scene.js). Each preset lists its
+slots as fractions of the content area (x, y, w, h in 0..1) and the panels
+it starts with; the slot contents can be changed per export. `portrait`
+presets swap the chosen resolution's width and height.
+
+The title band along the top and the progress band along the bottom are
+separate toggles, so slots cover whatever space is left between them.
+*/
+
+export const VIDEO_PANELS = {
+  spectrum: "ASCII spectrum",
+  hex: "hex console",
+  grid: "pattern grid",
+  face: "ASCII face",
+  progress: "progress bar",
+  title: "song title",
+  none: "(empty)",
+};
+
+export const VIDEO_LAYOUTS = {
+  full: {
+    label: "full screen",
+    slots: [{ x: 0, y: 0, w: 1, h: 1 }],
+    panels: ["spectrum"],
+  },
+  split: {
+    label: "split",
+    slots: [{ x: 0, y: 0, w: 0.5, h: 1 }, { x: 0.5, y: 0, w: 0.5, h: 1 }],
+    panels: ["spectrum", "hex"],
+  },
+  quad: {
+    label: "2×2",
+    slots: [
+      { x: 0, y: 0, w: 0.5, h: 0.5 }, { x: 0.5, y: 0, w: 0.5, h: 0.5 },
+      { x: 0, y: 0.5, w: 0.5, h: 0.5 }, { x: 0.5, y: 0.5, w: 0.5, h: 0.5 },
+    ],
+    panels: ["spectrum", "hex", "grid", "face"],
+  },
+  vertical: {
+    label: "vertical 9:16",
+    portrait: true,
+    slots: [{ x: 0, y: 0, w: 1, h: 0.25 }, { x: 0, y: 0.25, w: 1, h: 0.4 }, { x: 0, y: 0.65, w: 1, h: 0.35 }],
+    panels: ["face", "spectrum", "grid"],
+  },
+};
+
+export const DEFAULT_LAYOUT = "full";
+
+// Output size for a layout at a resolution preset ({ width, height }, landscape)
+export const layoutSize = (layout, { width, height }) =>
+  (VIDEO_LAYOUTS[layout].portrait ? { width: height, height: width } : { width, height });
@@ -0,0 +1,230 @@
+/*
+scene.js
+Video compositor: draws the chosen panels into the slots of a layout
+preset (layouts.js) on one canvas, every panel fed from the same offline
+analyser over the rendered audio so each frame is computed at its own
+timestamp.
+
+createScene(audio, { width, height, layout, panels, title, showTitle, showProgress, song, rows })
+  -> drawFrame(ctx, time, index) for renderVideo (encode.js); call with
+     increasing times, since the analyser smoothing and the scrolling panels
+     carry state from frame to frame.
+  panels  panel id per layout slot (keys of VIDEO_PANELS), defaults to the
+          layout's own
+  song, rows  the song and its scheduleSong rows when the audio is our own
+          render: the pattern grid, hex console and face then follow the
+          sequencer (songFeed.js) instead of the FFT
+*/
+import { createOfflineAnalyser } from "../audio/offlineAnalyser";
+import { drawAsciiSpectrum, faceForLevel, hexConsoleLine, spectrumNotes } from "./draw";
+import { VIDEO_LAYOUTS } from "./layouts";
+import { createTimedFeed, feedLevel, formatCell, rowDumpLine, triggerLevel } from "./songFeed";
+import { patternRows } from "../audio/song";
+
+const BG = "#020202";
+const MINT = "#7fffd4";
+const GREEN = "#00ff99";
+const GRID_CHANNELS = 8;
+
+const formatTime = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${(s % 60).toFixed(3).padStart(6, "0")}`;
+const shortTime = (s) => `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, "0")}`;
+
+function clear(ctx, { x, y, w, h }) {
+  ctx.fillStyle = BG;
+  ctx.fillRect(x, y, w, h);
+}
+
+function text(ctx, str, x, y, { size, color, align = "left", baseline = "top" }) {
+  ctx.font = `${size}px monospace`;
+  ctx.fillStyle = color;
+  ctx.textAlign = align;
+  ctx.textBaseline = baseline;
+  ctx.fillText(str, x, y);
+}
+
+// Real pattern rows around the heard one; channel headers flash on note triggers
+function songGrid(r, size, lineHeight, visible) {
+  return (ctx, f) => {
+    clear(ctx, r);
+    const current = f.feed.current;
+    const pattern = current && f.feed.getSong().patterns[current.pattern];
+    if (!pattern) return;
+    const shown = Math.max(1, visible - 1); // first line is the channel header
+    const total = patternRows(pattern);
+    const first = Math.max(0, Math.min(current.row - Math.floor(shown / 2), total - shown));
+    const colWidth = (r.w - size * 3) / pattern.length;
+    const cellSize = Math.min(size, colWidth / (9.5 * 0.6));
+
+    pattern.forEach((_, c) => {
+      const lit = triggerLevel(f.feed.triggers[c], f.time);
+      const x = r.x + size * 3 + c * colWidth;
+      if (lit > 0) {
+        ctx.fillStyle = `rgba(127, 255, 212, ${lit * 0.6})`;
+        ctx.fillRect(x, r.y, colWidth, lineHeight);
+      }
+      text(ctx, `CH ${String(c).padStart(2, "0")}`, x + colWidth / 2, r.y + lineHeight / 2, {
+        size: cellSize, color: lit > 0.3 ? BG : "#00ff99aa", align: "center", baseline: "middle",
+      });
+    });
+
+    for (let i = 0; i < shown && first + i < total; i++) {
+      const row = first + i;
+      const y = r.y + (i + 1) * lineHeight;
+      const playing = row === current.row;
+      if (playing) {
+        ctx.fillStyle = "#002a1a";
+        ctx.fillRect(r.x, y, r.w, lineHeight);
+      }
+      text(ctx, String(row).padStart(3, "0"), r.x + size * 2.6, y + lineHeight / 2, { size, color: "#00ff99aa", align: "right", baseline: "middle" });
+      pattern.forEach((ch, c) => {
+        text(ctx, formatCell(ch[row]), r.x + size * 3 + (c + 0.5) * colWidth, y + lineHeight / 2, {
+          size: cellSize, color: playing ? "#00ffaa" : GREEN, align: "center", baseline: "middle",
+        });
+      });
+    }
+  };
+}
+
+// Panel factories: (rect) -> draw(ctx, frame);
+// frame = { freq, time, duration, level, sampleRate, title, feed (null for imported audio) }
+const PANELS = {
+  spectrum: (r) => (ctx, f) => {
+    drawAsciiSpectrum(ctx, f.freq, { x: r.x, y: r.y, width: r.w, height: r.h, fontSize: Math.max(8, Math.round(r.h / 16)) });
+  },
+
+  hex: (r) => {
+    const size = Math.max(8, Math.min(r.h / 14, r.w / (78 * 0.6)));
+    const lineHeight = size * 1.25;
+    const visible = Math.max(1, Math.floor((r.h - size) / lineHeight));
+    let lines = [];
+    return (ctx, f) => {
+      if (f.feed) {
+        lines = f.feed.recent.slice(-visible).map(row => rowDumpLine(f.feed, row));
+      } else {
+        lines.push(hexConsoleLine(f.freq, formatTime(f.time)));
+        if (lines.length > visible) lines.shift();
+      }
+      clear(ctx, r);
+      lines.forEach((line, i) => {
+        const age = lines.length - 1 - i;
+        const color = age === 0 ? "#00ffaa" : age < 3 ? GREEN : "#008866";
+        text(ctx, line, r.x + size / 2, r.y + size / 2 + i * lineHeight, { size, color });
+      });
+    };
+  },
+
+  grid: (r) => {
+    const size = Math.max(8, Math.min(r.h / 16, r.w / ((4 + GRID_CHANNELS * 5) * 0.6)));
+    const lineHeight = size * 1.3;
+    const visible = Math.max(1, Math.floor(r.h / lineHeight));
+    const colWidth = (r.w - size * 3) / GRID_CHANNELS;
+    const rows = [];
+    let count = 0;
+    const drawSong = songGrid(r, size, lineHeight, visible);
+    return (ctx, f) => {
+      if (f.feed) {
+        drawSong(ctx, f);
+        return;
+      }
+      rows.push({ n: count++ % 64, notes: spectrumNotes(f.freq, f.sampleRate, GRID_CHANNELS) });
+      if (rows.length > visible) rows.shift();
+      clear(ctx, r);
+      rows.forEach((row, i) => {
+        const y = r.y + i * lineHeight;
+        if (i === rows.length - 1) {
+          ctx.fillStyle = "#002a1a";
+          ctx.fillRect(r.x, y, r.w, lineHeight);
+        }
+        text(ctx, String(row.n).padStart(3, "0"), r.x + size * 2.6, y + lineHeight / 2, { size, color: "#00ff99aa", align: "right", baseline: "middle" });
+        row.notes.forEach((note, c) => {
+          const color = i === rows.length - 1 ? "#00ffaa" : GREEN;
+          text(ctx, note, r.x + size * 3 + (c + 0.5) * colWidth, y + lineHeight / 2, { size, color, align: "center", baseline: "middle" });
+        });
+      });
+    };
+  },
+
+  face: (r) => (ctx, f) => {
+    clear(ctx, r);
+    text(ctx, faceForLevel(f.level), r.x + r.w / 2, r.y + r.h / 2, {
+      size: Math.max(10, Math.min(r.h * 0.4, r.w / 9)), color: GREEN, align: "center", baseline: "middle",
+    });
+  },
+
+  progress: (r) => (ctx, f) => {
+    clear(ctx, r);
+    const size = Math.max(8, Math.min(r.h * 0.35, r.w / 40));
+    const pad = size;
+    text(ctx, shortTime(f.time), r.x + pad, r.y + pad / 2, { size, color: "#888" });
+    text(ctx, shortTime(f.duration), r.x + r.w - pad, r.y + pad / 2, { size, color: "#888", align: "right" });
+    const barY = r.y + pad / 2 + size * 1.4;
+    const barH = Math.max(2, r.h - (barY - r.y) - pad / 2);
+    ctx.fillStyle = "#111";
+    ctx.fillRect(r.x + pad, barY, r.w - pad * 2, barH);
+    ctx.fillStyle = MINT;
+    ctx.fillRect(r.x + pad, barY, (r.w - pad * 2) * Math.min(1, f.time / (f.duration || 1)), barH);
+  },
+
+  title: (r) => (ctx, f) => {
+    clear(ctx, r);
+    text(ctx, f.title, r.x + r.w / 2, r.y + r.h / 2, {
+      size: Math.max(10, Math.min(r.h * 0.5, (r.w * 0.9) / (Math.max(1, f.title.length) * 0.6))),
+      color: MINT, align: "center", baseline: "middle",
+    });
+  },
+
+  none: (r) => (ctx) => clear(ctx, r),
+};
+
+export function createScene(audio, { width, height, layout = "full", panels, title = "", showTitle = true, showProgress = true, song = null, rows = null }) {
+  const preset = VIDEO_LAYOUTS[layout];
+  const analyser = createOfflineAnalyser(audio);
+  const feed = song && rows ? createTimedFeed(() => song, rows) : null;
+  const freq = new Uint8Array(analyser.frequencyBinCount);
+
+  const titleH = showTitle ? Math.round(height * 0.08) : 0;
+  const progressH = showProgress ? Math.round(height * 0.07) : 0;
+  const area = { x: 0, y: titleH, w: width, h: height - titleH - progressH };
+  const rects = preset.slots.map(s => ({
+    x: Math.round(area.x + s.x * area.w),
+    y: Math.round(area.y + s.y * area.h),
+    w: Math.round(s.w * area.w),
+    h: Math.round(s.h * area.h),
+  }));
+
+  const drawers = rects.map((r, i) => ({ r, draw: PANELS[panels?.[i] ?? preset.panels[i]]?.(r) ?? PANELS.none(r) }));
+  if (titleH) {
+    const r = { x: 0, y: 0, w: width, h: titleH };
+    drawers.push({ r, draw: PANELS.title(r) });
+  }
+  if (progressH) {
+    const r = { x: 0, y: height - progressH, w: width, h: progressH };
+    drawers.push({ r, draw: PANELS.progress(r) });
+  }
+
+  let level = 0; // smoothed average, as the live ASCII face uses
+  return (ctx, time, index) => {
+    if (index === 0) {
+      ctx.fillStyle = "#000";
+      ctx.fillRect(0, 0, width, height);
+    }
+    analyser.seek(time);
+    analyser.getByteFrequencyData(freq);
+    feed?.seek(time);
+    const raw = feed ? feedLevel(feed, time) : freq.reduce((a, b) => a + b, 0) / freq.length;
+    level = level * 0.8 + raw * 0.2;
+    const frame = { freq, time, duration: audio.duration, level, sampleRate: audio.sampleRate, title, feed };
+
+    for (const { r, draw } of drawers) {
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(r.x, r.y, r.w, r.h);
+      ctx.clip();
+      draw(ctx, frame);
+      ctx.restore();
+      ctx.strokeStyle = "#111";
+      ctx.lineWidth = 1;
+      ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.w - 1, r.h - 1);
+    }
+  };
+}
@@ -0,0 +1,216 @@
+/*
+scope.js
+Drawing for the signal views: oscilloscope, spectrogram and vectorscope.
+Like draw.js these only take data and a 2D context, so the live panels and
+the video renderer can share them.
+
+findTrigger(wave, { level, edge, hysteresis })  index of the first crossing
+  of `level` (-1..1) in the first half of byte time-domain data, or 0 when
+  there is none (free run)
+drawScope(ctx, wave, { x, y, width, height, color, lineWidth, level, edge })
+  graticule plus one trigger-stabilized sweep of half the buffer
+
+COLOR_MAPS                     names of the spectrogram palettes
+colorMapLut(name)              -> 256 RGB triples (Uint8ClampedArray)
+logFrequencyBins(height, binCount, sampleRate, minHz)
+                               -> bin per pixel row, top row highest
+drawSpectrogramColumn(ctx, freq, { x, y, width, height, bins, lut })
+drawFrequencyAxis(ctx, { x, y, height, sampleRate, minHz, fontSize })
+
+correlation(left, right)       -> -1..1 phase correlation of two channels
+drawVectorscope(ctx, left, right, { x, y, size, color, mode })
+  mode "vectorscope": mid up, side across (mono is a vertical line);
+  "lissajous": left on x, right on y
+drawCorrelation(ctx, value, { x, y, width, height })   -1 ... +1 meter
+*/
+
+const GRID = "#0c2a1e";
+
+export function findTrigger(wave, { level = 0, edge = "rising", hysteresis = 0.02 } = {}) {
+  const th = 128 + level * 127;
+  const arm = hysteresis * 127;
+  const rising = edge !== "falling";
+  let armed = false;
+  for (let i = 1; i < wave.length / 2; i++) {
+    const v = wave[i];
+    if (rising) {
+      if (v < th - arm) armed = true;
+      else if (armed && wave[i - 1] < th && v >= th) return i;
+    } else {
+      if (v > th + arm) armed = true;
+      else if (armed && wave[i - 1] > th && v <= th) return i;
+    }
+  }
+  return 0;
+}
+
+export function drawScope(ctx, wave, { x = 0, y = 0, width, height, color = "#00ff99", lineWidth = 1.5, level = 0, edge = "rising" }) {
+  ctx.fillStyle = "#020202";
+  ctx.fillRect(x, y, width, height);
+
+  // graticule: 8 × 4 divisions, plus the trigger level
+  ctx.strokeStyle = GRID;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let i = 1; i < 8; i++) {
+    ctx.moveTo(x + (i * width) / 8, y);
+    ctx.lineTo(x + (i * width) / 8, y + height);
+  }
+  for (let i = 1; i < 4; i++) {
+    ctx.moveTo(x, y + (i * height) / 4);
+    ctx.lineTo(x + width, y + (i * height) / 4);
+  }
+  ctx.stroke();
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  ctx.moveTo(x, y + height / 2 - (level * height) / 2);
+  ctx.lineTo(x + width, y + height / 2 - (level * height) / 2);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  const start = findTrigger(wave, { level, edge });
+  const span = Math.floor(wave.length / 2);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+  for (let i = 0; i < span; i++) {
+    const px = x + (i / (span - 1)) * width;
+    const py = y + height / 2 - ((wave[start + i] - 128) / 128) * (height / 2);
+    if (i === 0) ctx.moveTo(px, py);
+    else ctx.lineTo(px, py);
+  }
+  ctx.stroke();
+}
+
+// palette stops, evenly spaced from silence to full scale
+const PALETTES = {
+  phosphor: [[0, 0, 0], [0, 40, 24], [0, 140, 80], [0, 255, 153], [210, 255, 235]],
+  magma: [[0, 0, 4], [59, 15, 112], [140, 41, 129], [222, 73, 104], [254, 159, 109], [252, 253, 191]],
+  viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+  heat: [[0, 0, 0], [128, 0, 0], [255, 64, 0], [255, 200, 0], [255, 255, 255]],
+  gray: [[0, 0, 0], [255, 255, 255]],
+};
+
+export const COLOR_MAPS = Object.keys(PALETTES);
+
+const luts = new Map();
+
+export function colorMapLut(name) {
+  if (luts.has(name)) return luts.get(name);
+  const stops = PALETTES[name] || PALETTES.phosphor;
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const pos = (v / 255) * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(pos));
+    const t = pos - i;
+    for (let c = 0; c < 3; c++) lut[v * 3 + c] = stops[i][c] + (stops[i + 1][c] - stops[i][c]) * t;
+  }
+  luts.set(name, lut);
+  return lut;
+}
+
+export function logFrequencyBins(height, binCount, sampleRate, minHz = 20) {
+  const nyquist = sampleRate / 2;
+  const bins = new Uint16Array(height);
+  for (let row = 0; row < height; row++) {
+    const hz = minHz * Math.pow(nyquist / minHz, 1 - row / Math.max(1, height - 1));
+    bins[row] = Math.min(binCount - 1, Math.round((hz / nyquist) * binCount));
+  }
+  return bins;
+}
+
+export function drawSpectrogramColumn(ctx, freq, { x, y = 0, width = 1, height, bins, lut }) {
+  const img = ctx.createImageData(width, height);
+  for (let row = 0; row < height; row++) {
+    const v = freq[bins[row]];
+    for (let col = 0; col < width; col++) {
+      const o = (row * width + col) * 4;
+      img.data[o] = lut[v * 3];
+      img.data[o + 1] = lut[v * 3 + 1];
+      img.data[o + 2] = lut[v * 3 + 2];
+      img.data[o + 3] = 255;
+    }
+  }
+  ctx.putImageData(img, x, y);
+}
+
+const AXIS_TICKS = [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000];
+
+export function drawFrequencyAxis(ctx, { x = 0, y = 0, height, sampleRate, minHz = 20, fontSize = 10 }) {
+  const nyquist = sampleRate / 2;
+  ctx.font = `${fontSize}px monospace`;
+  ctx.textAlign = "left";
+  ctx.textBaseline = "middle";
+  for (const hz of AXIS_TICKS) {
+    if (hz <= minHz || hz >= nyquist) continue;
+    const py = y + (1 - Math.log(hz / minHz) / Math.log(nyquist / minHz)) * (height - 1);
+    ctx.fillStyle = "rgba(0, 0, 0, 0.6)";
+    ctx.fillRect(x, py - fontSize / 2, fontSize * 2.6, fontSize);
+    ctx.fillStyle = "#9a9a9a";
+    ctx.fillText(hz >= 1000 ? `${hz / 1000}k` : String(hz), x + 2, py);
+  }
+}
+
+export function correlation(left, right) {
+  let lr = 0, ll = 0, rr = 0;
+  for (let i = 0; i < left.length; i++) {
+    lr += left[i] * right[i];
+    ll += left[i] * left[i];
+    rr += right[i] * right[i];
+  }
+  const norm = Math.sqrt(ll * rr);
+  return norm > 1e-9 ? lr / norm : 0;
+}
+
+export function drawVectorscope(ctx, left, right, { x = 0, y = 0, size, color = "#00ff99", mode = "vectorscope" }) {
+  const cx = x + size / 2;
+  const cy = y + size / 2;
+  const r = size / 2;
+
+  // fade the previous traces instead of clearing, for some persistence
+  ctx.fillStyle = "rgba(2, 2, 2, 0.3)";
+  ctx.fillRect(x, y, size, size);
+  ctx.strokeStyle = GRID;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  if (mode === "lissajous") {
+    ctx.moveTo(x, cy); ctx.lineTo(x + size, cy);
+    ctx.moveTo(cx, y); ctx.lineTo(cx, y + size);
+  } else {
+    // L and R axes on the diagonals, mono straight up
+    ctx.moveTo(x, y); ctx.lineTo(x + size, y + size);
+    ctx.moveTo(x + size, y); ctx.lineTo(x, y + size);
+    ctx.moveTo(cx, y); ctx.lineTo(cx, y + size);
+  }
+  ctx.stroke();
+
+  ctx.fillStyle = color;
+  const dot = Math.max(1, size / 200);
+  for (let i = 0; i < left.length; i++) {
+    const l = left[i], rt = right[i];
+    const px = mode === "lissajous" ? l : (rt - l) * Math.SQRT1_2;
+    const py = mode === "lissajous" ? rt : (l + rt) * Math.SQRT1_2;
+    ctx.fillRect(cx + px * r - dot / 2, cy - py * r - dot / 2, dot, dot);
+  }
+}
+
+export function drawCorrelation(ctx, value, { x = 0, y = 0, width, height }) {
+  ctx.fillStyle = "#060606";
+  ctx.fillRect(x, y, width, height);
+  const mid = x + width / 2;
+  const end = mid + (value * width) / 2;
+  // out of phase is red, wide is amber, mono-compatible is green
+  ctx.fillStyle = value < 0 ? "#ff4d4d" : value < 0.3 ? "#ffb347" : "#00ff99";
+  ctx.fillRect(Math.min(mid, end), y + 2, Math.max(1, Math.abs(end - mid)), height - 4);
+  ctx.fillStyle = "#333";
+  ctx.fillRect(mid, y, 1, height);
+  ctx.font = `${Math.max(8, height - 4)}px monospace`;
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#9a9a9a";
+  ctx.textAlign = "left";
+  ctx.fillText("-1", x + 2, y + height / 2);
+  ctx.textAlign = "right";
+  ctx.fillText("+1", x + width - 2, y + height / 2);
+  ctx.textAlign = "center";
+  ctx.fillText(value.toFixed(2), mid + width / 4, y + height / 2);
+}
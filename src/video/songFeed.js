@@ -0,0 +1,87 @@
+/*
+songFeed.js
+What the sequencer is playing, for visualizers that show the song itself
+instead of guessing at it from an FFT. Rows are pushed in as they are heard
+(scheduler.js onRow live, scheduleSong rows for video) and the feed keeps
+the current position, recent rows and the last note-on per channel.
+
+createSongFeed(getSong, startTime) -> feed; row times are on the clock that
+  starts at startTime (the AudioContext live, the song timeline for video)
+  feed.push({ time, order, pattern, row, events })
+  feed.current   last row pushed, or null
+  feed.recent    the last RECENT_ROWS rows, oldest first
+  feed.count     rows pushed so far (changes whenever a row arrives)
+  feed.triggers  per channel: { time, instNo, volume, midi } of its last note
+createTimedFeed(getSong, rows) -> feed with seek(time), pushing every row
+  of `rows` (scheduleSong output) that starts by `time`
+
+triggerLevel(trigger, now)  0..1 flash that decays over TRIGGER_DECAY seconds
+feedLevel(feed, now)        0..255 overall activity, for level-driven visuals
+formatCell(cell)            "C-4 01 40" (note, instrument, volume columns)
+rowDumpLine(feed, row)      one hex-console line for a heard row
+*/
+import { EMPTY_NOTE } from "../audio/notes";
+import { EMPTY_INSTR, EMPTY_VOL, formatHex } from "../audio/pattern";
+
+export const RECENT_ROWS = 80;
+export const TRIGGER_DECAY = 0.4;
+
+export function createSongFeed(getSong, startTime = 0) {
+  const feed = {
+    getSong,
+    startTime,
+    current: null,
+    recent: [],
+    count: 0,
+    triggers: [],
+    push(r) {
+      feed.current = r;
+      feed.recent.push(r);
+      if (feed.recent.length > RECENT_ROWS) feed.recent.shift();
+      feed.count++;
+      for (const ev of r.events || []) {
+        if (ev.type === "note") {
+          feed.triggers[ev.chan] = { time: r.time + ev.offset, instNo: ev.instNo, volume: ev.volume, midi: ev.midi };
+        }
+      }
+    },
+  };
+  return feed;
+}
+
+export function createTimedFeed(getSong, rows) {
+  const feed = createSongFeed(getSong);
+  let next = 0;
+  feed.seek = (time) => {
+    while (next < rows.length && rows[next].time <= time) feed.push(rows[next++]);
+  };
+  return feed;
+}
+
+export function triggerLevel(trigger, now) {
+  if (!trigger) return 0;
+  const age = now - trigger.time;
+  if (age < 0 || age > TRIGGER_DECAY) return 0;
+  return (1 - age / TRIGGER_DECAY) * (trigger.volume ?? 1);
+}
+
+export function feedLevel(feed, now) {
+  let sum = 0;
+  for (const t of feed.triggers) sum += triggerLevel(t, now);
+  return Math.min(255, sum * 96);
+}
+
+export const formatCell = (cell) =>
+  `${cell?.note ?? EMPTY_NOTE} ${cell?.instr ?? EMPTY_INSTR} ${cell?.vol ?? EMPTY_VOL}`;
+
+const formatTime = (s) => `${String(Math.floor(s / 60)).padStart(2, "0")}:${(s % 60).toFixed(3).padStart(6, "0")}`;
+
+// "[00:12.345] O00 P01 R0C | C-4 01 40 | ··· ·· ·· | ..." with the time since startTime
+export function rowDumpLine(feed, r) {
+  const pattern = feed.getSong().patterns[r.pattern] || [];
+  const cells = pattern.map(ch => {
+    const cell = ch[r.row];
+    return cell && cell.note !== EMPTY_NOTE ? formatCell(cell) : "··· ·· ··";
+  });
+  return `[${formatTime(r.time - feed.startTime)}] O${formatHex(r.order)} P${formatHex(r.pattern)} R${formatHex(r.row)} | ${cells.join(" | ")}`;
+}